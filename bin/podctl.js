@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+// podctl: offline Pocket POD bank/patch tool. See src/podctl.js for the commands.
+import { readFileSync, writeFileSync } from "node:fs";
+import { runPodctl } from "../src/podctl.js";
+
+const code = runPodctl(process.argv.slice(2), {
+  readFile: (path) => readFileSync(path),
+  writeFile: (path, data) => writeFileSync(path, data),
+  stdout: (text) => process.stdout.write(text.endsWith("\n") ? text : `${text}\n`),
+  stderr: (text) => process.stderr.write(`${text}\n`),
+});
+process.exitCode = code;
@@ -1,221 +1,59 @@
 import { useState, useEffect, useCallback, useRef, useId } from "react";
-
-// --- Line 6 Pocket POD Protocol Constants ---
-const LINE6_MANUFACTURER_ID = [0x00, 0x01, 0x0c];
-const POCKET_POD_DEVICE_ID = 0x01;
-const MIDI_CHANNEL = 0; // Channel 1 (0-indexed)
-
-const SYSEX_START = 0xf0;
-const SYSEX_END = 0xf7;
-
-// SysEx opcodes
-const OPCODE_PATCH_DUMP_REQUEST = 0x00;
-const OPCODE_PATCH_DUMP = 0x01;
-
-// Universal Device Identity
-const IDENTITY_REQUEST = [0xf0, 0x7e, 0x7f, 0x06, 0x01, 0xf7];
-
-// Request current edit buffer: opcode [0x00, 0x01]
-const REQUEST_EDIT_BUFFER = [
-  SYSEX_START,
-  ...LINE6_MANUFACTURER_ID,
-  POCKET_POD_DEVICE_ID,
-  OPCODE_PATCH_DUMP_REQUEST,
-  0x01, // edit buffer
-  SYSEX_END,
-];
-
-// Request all 124 presets: opcode [0x00, 0x02]
-const REQUEST_ALL_PRESETS = [
-  SYSEX_START,
-  ...LINE6_MANUFACTURER_ID,
-  POCKET_POD_DEVICE_ID,
-  OPCODE_PATCH_DUMP_REQUEST,
-  0x02, // dump all programs
-  SYSEX_END,
-];
-
-// MIDI CC definitions for Pocket POD parameters
-const MIDI_CC_MAP = {
-  // Preamp
-  ampModel: { cc: 12, name: "Amp Model", min: 0, max: 31 },
-  drive: { cc: 13, name: "Drive", min: 0, max: 127 },
-  bass: { cc: 14, name: "Bass", min: 0, max: 127 },
-  mid: { cc: 15, name: "Mid", min: 0, max: 127 },
-  treble: { cc: 16, name: "Treble", min: 0, max: 127 },
-  chanVol: { cc: 17, name: "Chan Vol", min: 0, max: 127 },
-  drive2: { cc: 20, name: "Drive 2", min: 0, max: 127 },
-  presence: { cc: 21, name: "Presence", min: 0, max: 127 },
-  // Reverb
-  reverb_level: { cc: 18, name: "Reverb Level", min: 0, max: 127 },
-  reverb_type: { cc: 37, name: "Reverb Type", min: 0, max: 1 },
-  reverb_decay: { cc: 38, name: "Reverb Decay", min: 0, max: 127 },
-  reverb_tone: { cc: 39, name: "Reverb Tone", min: 0, max: 127 },
-  reverb_diffusion: { cc: 40, name: "Reverb Diffusion", min: 0, max: 127 },
-  reverb_density: { cc: 41, name: "Reverb Density", min: 0, max: 127 },
-  // FX config
-  effect: { cc: 19, name: "Effect Type", min: 0, max: 15 },
-  effect_tweak: { cc: 1, name: "Effect Tweak", min: 0, max: 127 },
-  effect_speed: { cc: 51, name: "Effect Speed", min: 0, max: 127 },
-  effect_depth: { cc: 52, name: "Effect Depth", min: 0, max: 127 },
-  effect_feedback: { cc: 53, name: "Effect Feedback", min: 0, max: 127 },
-  effect_predelay: { cc: 54, name: "Effect Pre-Delay", min: 0, max: 127 },
-  // Noise gate
-  noise_gate: { cc: 23, name: "Noise Gate Thresh", min: 0, max: 127 },
-  noise_gate_decay: { cc: 24, name: "Noise Gate Decay", min: 0, max: 127 },
-  // Delay
-  delay_time: { cc: 30, name: "Delay Time", min: 0, max: 127 },
-  delay_time_fine: { cc: 62, name: "Delay Fine", min: 0, max: 127 },
-  delay_feedback: { cc: 32, name: "Delay Feedback", min: 0, max: 127 },
-  delay_level: { cc: 34, name: "Delay Level", min: 0, max: 127 },
-  // Cabinet
-  cabModel: { cc: 71, name: "Cab Model", min: 0, max: 15 },
-  air: { cc: 72, name: "Air", min: 0, max: 127 },
-  // Wah
-  wah_position: { cc: 4, name: "Wah Position", min: 0, max: 127 },
-  wah_bottom: { cc: 44, name: "Wah Bot Freq", min: 0, max: 127 },
-  wah_top: { cc: 45, name: "Wah Top Freq", min: 0, max: 127 },
-  // Volume pedal
-  vol_level: { cc: 7, name: "Volume Level", min: 0, max: 127 },
-  vol_min: { cc: 46, name: "Volume Min", min: 0, max: 127 },
-  vol_position: { cc: 47, name: "Volume Position", min: 0, max: 127 },
-  // Switches (toggle: CC sends 0 or 127)
-  dist_enable: { cc: 25, name: "Dist Enable", min: 0, max: 1 },
-  drive_enable: { cc: 26, name: "Drive Enable", min: 0, max: 1 },
-  eq_enable: { cc: 27, name: "EQ Enable", min: 0, max: 1 },
-  delay_enable: { cc: 28, name: "Delay Enable", min: 0, max: 1 },
-  reverb_enable: { cc: 36, name: "Reverb Enable", min: 0, max: 1 },
-  noise_gate_enable: { cc: 22, name: "Noise Gate Enable", min: 0, max: 1 },
-  mod_fx_enable: { cc: 50, name: "Mod FX Enable", min: 0, max: 1 },
-  bright_switch: { cc: 73, name: "Bright Switch", min: 0, max: 1 },
-};
-
-// Amp model names (32 models, indexed 0-31 matching CC 12 values)
-const AMP_MODELS = [
-  "Tube Preamp",          // 0
-  "Line 6 Clean",         // 1
-  "Line 6 Crunch",        // 2
-  "Line 6 Drive",         // 3
-  "Line 6 Layer",         // 4
-  "Small Tweed",          // 5
-  "Tweed Blues",           // 6
-  "Black Panel",           // 7
-  "Modern Class A",        // 8
-  "Brit Class A",          // 9
-  "Brit Blues",            // 10
-  "Brit Classic",          // 11
-  "Brit Hi Gain",          // 12
-  "Treadplate",            // 13
-  "Modern Hi Gain",        // 14
-  "Fuzz Box",              // 15
-  "Jazz Clean",            // 16
-  "Boutique #1",           // 17
-  "Boutique #2",           // 18
-  "Brit Class A #2",       // 19
-  "Brit Class A #3",       // 20
-  "Small Tweed #2",        // 21
-  "Black Panel #2",        // 22
-  "Boutique #3",           // 23
-  "California Crunch #1",  // 24
-  "California Crunch #2",  // 25
-  "Treadplate #2",         // 26
-  "Modern Hi Gain #2",     // 27
-  "Line 6 Twang",          // 28
-  "Line 6 Crunch #2",      // 29
-  "Line 6 Blues",           // 30
-  "Line 6 INSANE",         // 31
-];
-
-// Cabinet model names (16 models, indexed 0-15 matching CC 71 values)
-const CAB_MODELS = [
-  "1x8 '60 Fender Tweed Champ",                      // 0
-  "1x12 '52 Fender Tweed Deluxe",                     // 1
-  "1x12 '60 Vox AC15",                                // 2
-  "1x12 '64 Fender Blackface Deluxe",                 // 3
-  "1x12 '98 Line 6 Flextone",                         // 4
-  "2x12 '65 Fender Blackface Twin",                   // 5
-  "2x12 '67 VOX AC30",                                // 6
-  "2x12 '95 Matchless Chieftain",                     // 7
-  "2x12 '98 Pod Custom 2x12",                         // 8
-  "4x10 '59 Fender Bassman",                          // 9
-  "4x10 '98 Pod Custom 4x10",                         // 10
-  "4x12 '96 Marshall w/ V30s",                        // 11
-  "4x12 '78 Marshall w/ 70s",                         // 12
-  "4x12 '97 Marshall Basketweave w/ Greenbacks",      // 13
-  "4x12 '98 Pod Custom 4x12",                         // 14
-  "No Cabinet",                                        // 15
-];
-
-// Effect type names (16 types, indexed 0-15 matching CC 19 values)
-const EFFECT_TYPES = [
-  "Chorus 2",         // 0
-  "Flanger 1",        // 1
-  "Rotary",           // 2
-  "Flanger 2",        // 3
-  "Delay/Chorus 1",   // 4
-  "Delay/Tremolo",    // 5
-  "Delay",            // 6
-  "Delay/Comp",       // 7
-  "Chorus 1",         // 8
-  "Tremolo",          // 9
-  "Bypass",           // 10
-  "Compressor",       // 11
-  "Delay/Chorus 2",   // 12
-  "Delay/Flanger 1",  // 13
-  "Delay/Swell",      // 14
-  "Delay/Flanger 2",  // 15
-];
-
-// --- Effect Category Mapping ---
-const EFFECT_CATEGORIES = {
-  0: 'chorus', 1: 'flanger', 2: 'rotary', 3: 'flanger',
-  4: 'chorus', 5: 'tremolo', 6: 'delay_only', 7: 'compressor',
-  8: 'chorus', 9: 'tremolo', 10: 'bypass', 11: 'compressor',
-  12: 'chorus', 13: 'flanger', 14: 'swell', 15: 'flanger',
-};
-
-const DELAY_EFFECTS = new Set([4, 5, 6, 7, 12, 13, 14, 15]);
-
-const EFFECT_KNOB_CONFIGS = {
-  chorus:     [{ stateKey: 'effect_speed', cc: 51, label: 'Speed' }, { stateKey: 'effect_depth', cc: 52, label: 'Depth' }, { stateKey: 'effect_feedback', cc: 53, label: 'Feedback' }, { stateKey: 'effect_predelay', cc: 54, label: 'Pre-Delay' }],
-  flanger:    [{ stateKey: 'effect_speed', cc: 51, label: 'Speed' }, { stateKey: 'effect_depth', cc: 52, label: 'Depth' }, { stateKey: 'effect_feedback', cc: 53, label: 'Feedback' }, { stateKey: 'effect_predelay', cc: 54, label: 'Pre-Delay' }],
-  rotary:     [{ stateKey: 'effect_speed', cc: 55, label: 'Speed' }, { stateKey: 'effect_depth', cc: 56, label: 'Doppler' }],
-  tremolo:    [{ stateKey: 'effect_speed', cc: 58, label: 'Speed' }, { stateKey: 'effect_depth', cc: 59, label: 'Depth' }],
-  compressor: [{ stateKey: 'effect_speed', cc: 42, label: 'Ratio' }],
-  swell:      [{ stateKey: 'effect_speed', cc: 49, label: 'Attack' }],
-  bypass:     [],
-  delay_only: [],
-};
-
-const EFFECT_SPECIFIC_PARAMS = new Set(['effect_speed', 'effect_depth', 'effect_feedback', 'effect_predelay']);
-
-const EFFECT_CC_REVERSE_MAP = {};
-for (const config of Object.values(EFFECT_KNOB_CONFIGS)) {
-  for (const { stateKey, cc } of config) {
-    EFFECT_CC_REVERSE_MAP[cc] = stateKey;
-  }
-}
-
-function getEffectCC(stateKey, effectType) {
-  const category = EFFECT_CATEGORIES[effectType];
-  const config = EFFECT_KNOB_CONFIGS[category];
-  if (!config) return null;
-  const knob = config.find(k => k.stateKey === stateKey);
-  return knob ? knob.cc : null;
-}
-
-const COMP_RATIO_LABELS = [
-  { max: 21, label: 'Off' }, { max: 42, label: '1.4:1' },
-  { max: 64, label: '2:1' }, { max: 85, label: '3:1' },
-  { max: 107, label: '6:1' }, { max: 127, label: '\u221E:1' },
-];
-
-function formatCompRatio(value) {
-  for (const { max, label } of COMP_RATIO_LABELS) {
-    if (value <= max) return label;
-  }
-  return '\u221E:1';
-}
+import { createLibraryStore, getDeviceKey } from "./libraryStore";
+import { createWebMidiTransport, createWebSocketTransport } from "./midiTransport";
+import {
+  LINE6_MANUFACTURER_ID, POCKET_POD_DEVICE_ID, MIDI_CHANNEL, MIDI_CHANNEL_OMNI,
+  SYSEX_START, SYSEX_END, IDENTITY_REQUEST, REQUEST_EDIT_BUFFER, REQUEST_ALL_PRESETS, PRESET_COUNT,
+  buildPresetRequest, buildEditBufferRequest, buildAllPresetsRequest,
+  buildControlChange, buildProgramChange, outputChannel,
+  MIDI_CC_MAP, AMP_MODELS, CAB_MODELS, EFFECT_TYPES,
+  EFFECT_CATEGORIES, DELAY_EFFECTS, EFFECT_KNOB_CONFIGS,
+  EFFECT_SPECIFIC_PARAMS, EFFECT_CC_REVERSE_MAP,
+  getEffectCC, formatCompRatio, COMP_RATIO_LABELS,
+  PATCH_PARAM_MAP, PATCH_SELECT_PARAMS,
+  decodeNibbles, decodePatchName, parsePatchDump, buildPatchDump,
+  isPatchDump, splitSysEx, buildBankSysEx, findPatchMismatches,
+  diffParams, formatParamValue,
+  DEFAULT_PARAMS, DEFAULT_TONE_NOTES,
+  serializePatchFile, parsePatchFile, PATCH_FILE_FORMAT, PATCH_FILE_VERSION,
+  parseMidiMessage, describeMidiMessage,
+} from "./pocketPodProtocol";
+import { createMockPocketPod, MOCK_PORT_ID, MOCK_PORT_NAME } from "./mockPocketPod";
+import {
+  LOG_CATEGORIES, DEFAULT_LOG_FILTER, filterLogEntries, logToText, logToJson, logToSysEx,
+} from "./midiLog";
+import { createSessionRecorder, parseSessionFile, replaySession } from "./midiSession";
+import { createBankFetch } from "./bankFetch";
+import { createCcQueue } from "./ccQueue";
+import { deviceUpdates, upsertPreset } from "./deviceMessages";
+import {
+  PARAM_UNITS, MOD_SPEED_HZ, MOD_SPEED_CATEGORIES, formatUnits, toValue, parseAmount, parseUnits, parseScale, parseCompRatio,
+  delayTimeMs, delayTimeFromMs, delayFineMs, delayFineFromMs,
+} from "./paramUnits";
+import {
+  BPM_MIN, BPM_MAX, DEFAULT_BPM, NOTE_DIVISIONS, DEFAULT_DIVISION, divisionMs, createTapTempo,
+} from "./tempo";
+
+// Silence after which a read-back check gives up on slots that never came back
+const READBACK_TIMEOUT_MS = 3000;
+
+// Gap between stored-program dumps during a bank restore, so the POD can commit each write
+const RESTORE_INTERVAL_MS = 150;
+
+// Quiet time after the last edit before the sync check re-reads the edit buffer
+const SYNC_CHECK_DELAY_MS = 1500;
+
+// How long the sync check waits for the edit buffer before giving up
+const SYNC_CHECK_TIMEOUT_MS = 2000;
+
+// Undo steps kept per editor session
+const HISTORY_LIMIT = 100;
+
+// MIDI Monitor entries kept in memory, including those buffered while paused
+const MIDI_LOG_LIMIT = 1000;
+
+// Playback rates offered when replaying a recorded session
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
 
 // --- Color Palette ---
 const COLORS = {
@@ -265,130 +103,6 @@ const COLORS = {
   scrollThumb:   "#2a303a",
 };
 
-// Patch data byte offset -> params state key mapping
-// These are the 71 decoded bytes from the nibblized SysEx payload
-const PATCH_PARAM_MAP = {
-  // Switches (positions 0-7)
-  0: 'dist_enable',
-  1: 'drive_enable',
-  2: 'eq_enable',
-  3: 'delay_enable',
-  4: 'mod_fx_enable',
-  5: 'reverb_enable',
-  6: 'noise_gate_enable',
-  7: 'bright_switch',
-  // Preamp (positions 8-15)
-  8: 'ampModel',
-  9: 'drive',
-  10: 'drive2',
-  11: 'bass',
-  12: 'mid',
-  13: 'treble',
-  14: 'presence',
-  15: 'chanVol',
-  // Noise gate (positions 16-17)
-  16: 'noise_gate',
-  17: 'noise_gate_decay',
-  // Wah (positions 18-20)
-  18: 'wah_position',
-  19: 'wah_bottom',
-  20: 'wah_top',
-  // Volume pedal (positions 22-24)
-  22: 'vol_level',
-  23: 'vol_min',
-  24: 'vol_position',
-  // Delay (positions 26, 27, 34, 36)
-  26: 'delay_time',
-  27: 'delay_time_fine',
-  34: 'delay_feedback',
-  36: 'delay_level',
-  // Reverb (positions 38-43)
-  38: 'reverb_type',
-  39: 'reverb_decay',
-  40: 'reverb_tone',
-  41: 'reverb_diffusion',
-  42: 'reverb_density',
-  43: 'reverb_level',
-  // Cabinet (positions 44-45)
-  44: 'cabModel',
-  45: 'air',
-  // FX config (positions 46-47)
-  46: 'effect',
-  47: 'effect_tweak',
-  // Shared effect params (positions 48-54)
-  48: 'effect_speed',
-  50: 'effect_depth',
-  52: 'effect_feedback',
-  53: 'effect_predelay',
-};
-
-// Params that use select/enum values (value used as-is from patch data)
-const PATCH_SELECT_PARAMS = new Set([
-  'dist_enable', 'drive_enable', 'eq_enable', 'delay_enable',
-  'mod_fx_enable', 'reverb_enable', 'noise_gate_enable', 'bright_switch',
-  'ampModel', 'cabModel', 'effect', 'reverb_type',
-]);
-
-// --- Nibble decode utility ---
-function decodeNibbles(data) {
-  const bytes = [];
-  for (let i = 0; i < data.length - 1; i += 2) {
-    bytes.push((data[i] << 4) | data[i + 1]);
-  }
-  return bytes;
-}
-
-function decodePatchName(nibbles) {
-  const bytes = decodeNibbles(nibbles);
-  return bytes
-    .map((b) => String.fromCharCode(b))
-    .join("")
-    .trim();
-}
-
-// Parse a full SysEx patch dump into { name, params, presetNumber, isEditBuffer }
-function parsePatchDump(data) {
-  // Header: F0 00 01 0C 01 01 <type> ...
-  // type 0x00 = stored preset: F0 00 01 0C 01 01 00 <program#> <version> <142 nibblized> F7
-  // type 0x01 = edit buffer:   F0 00 01 0C 01 01 01 <version> <142 nibblized> F7
-  const isEditBuffer = data[6] === 0x01;
-  let presetNumber = null;
-  let nibbleStart;
-
-  if (isEditBuffer) {
-    // data[7] = version, nibblized data starts at index 8
-    nibbleStart = 8;
-  } else {
-    // data[6] = 0x00 (stored), data[7] = program#, data[8] = version
-    presetNumber = data[7];
-    nibbleStart = 9;
-  }
-
-  // Extract 142 nibblized bytes (71 decoded bytes)
-  const nibblizedPayload = data.slice(nibbleStart, nibbleStart + 142);
-  if (nibblizedPayload.length < 142) {
-    console.warn("Patch dump too short:", nibblizedPayload.length, "nibbles");
-    return null;
-  }
-
-  const decoded = decodeNibbles(nibblizedPayload);
-
-  // Extract preset name from bytes 55-70 (16 ASCII chars)
-  const nameBytes = decoded.slice(55, 71);
-  const name = nameBytes.map((b) => String.fromCharCode(b)).join("").trim();
-
-  // Map byte offsets to param values
-  // Decoded nibble bytes are already in the correct 0-127 range (no scaling needed)
-  const params = {};
-  for (const [offset, key] of Object.entries(PATCH_PARAM_MAP)) {
-    const byteIdx = Number(offset);
-    const rawValue = decoded[byteIdx];
-    params[key] = rawValue;
-  }
-
-  return { name, params, presetNumber, isEditBuffer };
-}
-
 // --- ScrewHead (deprecated, kept for export compat) ---
 function ScrewHead() { return null; }
 
@@ -479,12 +193,15 @@ function ToggleButton({ label, active, onToggle, color = "green" }) {
 }
 
 // --- Arc Knob ---
-function ChromeKnob({ value, min, max, label, onChange, size = "md", variant, formatValue }) {
+function ChromeKnob({ value, min, max, label, onChange, size = "md", variant, formatValue, onValueEntry, onDragStart, onDragEnd }) {
   const knobRef = useRef(null);
   const dragging = useRef(false);
   const startY = useRef(0);
   const startValue = useRef(0);
   const [focused, setFocused] = useState(false);
+  // Typed entry: the text being edited, null while the readout is shown
+  const [entry, setEntry] = useState(null);
+  const [entryInvalid, setEntryInvalid] = useState(false);
 
   const sizes = { lg: 84, md: 64, sm: 48 };
   const px = sizes[size] || sizes.md;
@@ -496,6 +213,7 @@ function ChromeKnob({ value, min, max, label, onChange, size = "md", variant, fo
     dragging.current = true;
     startY.current = e.clientY;
     startValue.current = value;
+    onDragStart?.();
     document.addEventListener("mousemove", handleMouseMove);
     document.addEventListener("mouseup", handleMouseUp);
     e.preventDefault();
@@ -518,7 +236,8 @@ function ChromeKnob({ value, min, max, label, onChange, size = "md", variant, fo
     dragging.current = false;
     document.removeEventListener("mousemove", handleMouseMove);
     document.removeEventListener("mouseup", handleMouseUp);
-  }, [handleMouseMove]);
+    onDragEnd?.();
+  }, [handleMouseMove, onDragEnd]);
 
   // Touch support
   const handleTouchStart = (e) => {
@@ -526,6 +245,7 @@ function ChromeKnob({ value, min, max, label, onChange, size = "md", variant, fo
     dragging.current = true;
     startY.current = touch.clientY;
     startValue.current = value;
+    onDragStart?.();
     e.preventDefault();
   };
 
@@ -546,7 +266,8 @@ function ChromeKnob({ value, min, max, label, onChange, size = "md", variant, fo
 
   const handleTouchEnd = useCallback(() => {
     dragging.current = false;
-  }, []);
+    onDragEnd?.();
+  }, [onDragEnd]);
 
   // Keyboard support
   const handleKeyDown = (e) => {
@@ -567,6 +288,10 @@ function ChromeKnob({ value, min, max, label, onChange, size = "md", variant, fo
       case "End":
         newValue = max;
         break;
+      case "Enter":
+        e.preventDefault();
+        startEntry();
+        return;
       default:
         return;
     }
@@ -574,6 +299,27 @@ function ChromeKnob({ value, min, max, label, onChange, size = "md", variant, fo
     if (newValue !== value) onChange(newValue);
   };
 
+  // Typed values are in the readout's units; without a parser, the 0-10 scale
+  const startEntry = () => {
+    setEntry("");
+    setEntryInvalid(false);
+  };
+
+  const commitEntry = () => {
+    let accepted;
+    if (onValueEntry) {
+      accepted = onValueEntry(entry);
+    } else {
+      const parsed = parseScale(entry, max);
+      accepted = parsed !== null;
+      if (accepted && parsed !== value) onChange(Math.max(min, parsed));
+    }
+    if (accepted) setEntry(null);
+    else setEntryInvalid(true);
+  };
+
+  const readout = formatValue ? formatValue(value) : (value / max * 10).toFixed(1);
+
   // Knob geometry
   const uid = useId();
   const svgSize = px + 20;
@@ -702,23 +448,59 @@ function ChromeKnob({ value, min, max, label, onChange, size = "md", variant, fo
       >
         {label}
       </span>
-      <span
-        style={{
-          fontSize: "11px",
-          color: COLORS.accent,
-          fontFamily: "'JetBrains Mono', monospace",
-          fontWeight: 500,
-        }}
-      >
-        {formatValue ? formatValue(value) : (value / max * 10).toFixed(1)}
-      </span>
+      {entry === null ? (
+        <span
+          onDoubleClick={startEntry}
+          title="Double-click to type a value"
+          style={{
+            fontSize: "11px",
+            color: COLORS.accent,
+            fontFamily: "'JetBrains Mono', monospace",
+            fontWeight: 500,
+            cursor: "text",
+          }}
+        >
+          {readout}
+        </span>
+      ) : (
+        <input
+          autoFocus
+          aria-label={`${label} value`}
+          aria-invalid={entryInvalid}
+          placeholder={readout}
+          value={entry}
+          onChange={(e) => {
+            setEntry(e.target.value);
+            setEntryInvalid(false);
+          }}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") commitEntry();
+            else if (e.key === "Escape") setEntry(null);
+          }}
+          onBlur={() => setEntry(null)}
+          style={{
+            width: `${px + 8}px`,
+            padding: "1px 4px",
+            background: COLORS.surface0,
+            border: `1px solid ${entryInvalid ? COLORS.error : COLORS.borderFocus}`,
+            borderRadius: "4px",
+            color: COLORS.accent,
+            fontSize: "11px",
+            fontFamily: "'JetBrains Mono', monospace",
+            textAlign: "center",
+          }}
+        />
+      )}
     </div>
   );
 }
 
 // --- MIDI Log Entry ---
+// Shows the decoded summary when there is one; the raw hex sits behind a toggle
 function LogEntry({ entry }) {
+  const [expanded, setExpanded] = useState(false);
   const isOut = entry.dir === "OUT";
+  const hasSummary = Boolean(entry.summary);
   return (
     <div
       style={{
@@ -740,32 +522,100 @@ function LogEntry({ entry }) {
           minWidth: "32px",
           fontWeight: 500,
           textAlign: "center",
+          alignSelf: "flex-start",
         }}
       >
         {entry.dir}
       </span>
-      <span style={{ color: COLORS.textSecondary, wordBreak: "break-all" }}>{entry.data}</span>
+      {hasSummary ? (
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <div style={{ display: "flex", gap: "6px", alignItems: "baseline" }}>
+            <button
+              onClick={() => setExpanded((v) => !v)}
+              aria-expanded={expanded}
+              aria-label={expanded ? "Hide raw bytes" : "Show raw bytes"}
+              style={{ background: "none", border: "none", padding: 0, color: COLORS.textMuted, cursor: "pointer", fontFamily: "inherit", fontSize: "inherit" }}
+            >
+              {expanded ? "\u25BE" : "\u25B8"}
+            </button>
+            <span style={{ color: entry.error ? COLORS.error : COLORS.textPrimary }} title={entry.error || undefined}>
+              {entry.summary}
+            </span>
+            {entry.error && <span style={{ color: COLORS.error }}>({entry.error})</span>}
+          </div>
+          {expanded && (
+            <div style={{ color: COLORS.textSecondary, wordBreak: "break-all", marginTop: "2px", paddingLeft: "14px" }}>{entry.data}</div>
+          )}
+        </div>
+      ) : (
+        <span style={{ color: COLORS.textSecondary, wordBreak: "break-all" }}>{entry.data}</span>
+      )}
     </div>
   );
 }
 
+// Save bytes or text to disk through a temporary object URL
+function downloadFile(filename, contents, type = "application/octet-stream") {
+  const blob = new Blob([contents], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
 
-const DEFAULT_PARAMS = {
-  ampModel: 0, drive: 64, drive2: 0, bass: 64, mid: 64, treble: 64,
-  chanVol: 100, presence: 64, reverb_level: 40, reverb_type: 0,
-  reverb_decay: 64, reverb_tone: 64, reverb_diffusion: 64, reverb_density: 64,
-  effect: 0, effect_tweak: 64, effect_speed: 64, effect_depth: 64,
-  effect_feedback: 0, effect_predelay: 0, noise_gate: 0, noise_gate_decay: 64,
-  delay_time: 40, delay_time_fine: 0, delay_feedback: 30, delay_level: 50,
-  cabModel: 0, air: 0, wah_position: 0, wah_bottom: 0, wah_top: 127,
-  vol_level: 100, vol_min: 0, vol_position: 127,
-  dist_enable: 0, drive_enable: 0, eq_enable: 0, delay_enable: 0,
-  reverb_enable: 0, noise_gate_enable: 0, mod_fx_enable: 0, bright_switch: 0,
-};
+// --- Param diff panel ---
+function ParamDiffPanel({ rows, onRevert }) {
+  if (rows.length === 0) {
+    return (
+      <div style={{ color: COLORS.textMuted, fontSize: "12px", fontFamily: "'Outfit', sans-serif", textAlign: "center", padding: "12px" }}>
+        No differences
+      </div>
+    );
+  }
+  return (
+    <div role="table" aria-label="Parameter differences" style={{ fontFamily: "'JetBrains Mono', monospace", fontSize: "11px" }}>
+      {rows.map(({ key, from, to }) => {
+        const label = MIDI_CC_MAP[key]?.name || key;
+        return (
+          <div
+            key={key}
+            role="row"
+            style={{ display: "flex", alignItems: "center", gap: "8px", padding: "3px 0", borderBottom: `1px solid ${COLORS.borderSubtle}` }}
+          >
+            <span role="cell" style={{ color: COLORS.textPrimary, flex: "0 0 140px" }}>{label}</span>
+            <span role="cell" style={{ color: COLORS.textMuted, flex: 1 }}>{formatParamValue(key, from)}</span>
+            <span style={{ color: COLORS.textMuted }}>&rarr;</span>
+            <span role="cell" style={{ color: COLORS.accent, flex: 1 }}>{formatParamValue(key, to)}</span>
+            <button
+              onClick={() => onRevert(key, from)}
+              aria-label={`Revert ${label}`}
+              style={{ padding: "2px 8px", background: "transparent", border: `1px solid ${COLORS.border}`, borderRadius: "4px", color: COLORS.textSecondary, fontSize: "10px", cursor: "pointer", fontFamily: "'Outfit', sans-serif" }}
+            >
+              Revert
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
 
-const DEFAULT_TONE_NOTES = {
-  song: "", guitarist: "", band: "", notes: "", author: "", pickup: "", style: "",
-};
+// A port that is still plugged in: the same id, or failing that the same name
+// (some drivers hand out a fresh id after a replug)
+function findPort(ports, { id, name }) {
+  const available = [...ports.values()].filter((port) => port.state !== "disconnected");
+  return available.find((port) => port.id === id) || available.find((port) => port.name === name) || null;
+}
+
+// Strip characters that are not allowed in file names
+function toFileName(name, fallback) {
+  const cleaned = String(name ?? "").replace(/[\\/:*?"<>|]/g, "").trim();
+  return cleaned || fallback;
+}
 
 export {
   decodeNibbles, decodePatchName, parsePatchDump,
@@ -774,20 +624,40 @@ export {
   DEFAULT_PARAMS, DEFAULT_TONE_NOTES,
   LINE6_MANUFACTURER_ID, POCKET_POD_DEVICE_ID, MIDI_CHANNEL,
   SYSEX_START, SYSEX_END, IDENTITY_REQUEST, REQUEST_EDIT_BUFFER, REQUEST_ALL_PRESETS,
-  LED, ToggleButton, ChromeKnob, BevelPanel, LogEntry, ScrewHead,
+  LED, ToggleButton, ChromeKnob, BevelPanel, LogEntry, ScrewHead, ParamDiffPanel,
   EFFECT_CATEGORIES, DELAY_EFFECTS, EFFECT_KNOB_CONFIGS,
   EFFECT_SPECIFIC_PARAMS, EFFECT_CC_REVERSE_MAP,
   getEffectCC, formatCompRatio, COMP_RATIO_LABELS,
 };
 
-// --- Main App ---
-export default function PocketPodEditor() {
-  const [midiAccess, setMidiAccess] = useState(null);
-  const [midiSupported, setMidiSupported] = useState(true);
-  const [inputs, setInputs] = useState([]);
-  const [outputs, setOutputs] = useState([]);
+// Port entries that don't come from Web MIDI: the simulator and a WebSocket bridge
+const BRIDGE_PORT_ID = "websocket-bridge";
+const DEFAULT_BRIDGE_URL = "ws://localhost:8765";
+const VIRTUAL_PORTS = [
+  { id: MOCK_PORT_ID, name: MOCK_PORT_NAME },
+  { id: BRIDGE_PORT_ID, name: "WebSocket bridge" },
+];
+
+// --- Device session ---
+// Everything for one Pocket POD: ports, connection, params, library and MIDI
+// Monitor. PocketPodEditor shows one session per device tab; inactive tabs stay
+// mounted (and connected) but hidden. With `persist`, each session restores and
+// saves its own last edit buffer in IndexedDB, and the library of the unit it
+// is connected to. `onRegister(sessionId, { getPatch, applyPatch })` hands
+// the tab shell what it needs to copy patches between devices. The shell owns
+// the one MIDIAccess; sessions get it (or why it is missing) as props.
+function DeviceSession({
+  sessionId = "device-1", active = true, persist = true, onRegister = null, onStatusChange = null,
+  midiAccess = null, midiSupported = true, midiError = null,
+}) {
+  const [inputs, setInputs] = useState(VIRTUAL_PORTS);
+  const [outputs, setOutputs] = useState(VIRTUAL_PORTS);
   const [selectedInput, setSelectedInput] = useState("");
   const [selectedOutput, setSelectedOutput] = useState("");
+  const [bridgeUrl, setBridgeUrl] = useState(DEFAULT_BRIDGE_URL);
+  // Per-connection addressing: channel 0-15 or MIDI_CHANNEL_OMNI, SysEx device ID 0-127
+  const [midiChannel, setMidiChannel] = useState(MIDI_CHANNEL);
+  const [sysexDeviceId, setSysexDeviceId] = useState(POCKET_POD_DEVICE_ID);
   const [connected, setConnected] = useState(false);
   const [log, setLog] = useState([]);
   const [params, setParams] = useState({ ...DEFAULT_PARAMS });
@@ -795,18 +665,96 @@ export default function PocketPodEditor() {
   const [deviceInfo, setDeviceInfo] = useState(null);
   const [currentPreset, setCurrentPreset] = useState(0);
   const [presets, setPresets] = useState([]); // Array of {number, name, params}
-  const [fetchingPresets, setFetchingPresets] = useState(false);
-  const [fetchProgress, setFetchProgress] = useState(0); // 0-124
+  // Bulk dump in progress: {phase, received, total, retrying, missing} (see bankFetch.js)
+  const [fetchState, setFetchState] = useState(null);
+  const [fetchReport, setFetchReport] = useState(null); // {status, received, total, recovered, missing}
   const [toneNotes, setToneNotes] = useState({ ...DEFAULT_TONE_NOTES });
   const [errors, setErrors] = useState([]); // [{id, message}]
   const [dirty, setDirty] = useState(false); // unsaved changes tracking
   const [lastMidiActivity, setLastMidiActivity] = useState(null);
   const [deviceTimeout, setDeviceTimeout] = useState(false);
-
-  const inputRef = useRef(null);
-  const outputRef = useRef(null);
+  // Hardware ports vanished while connected; the session stays up until they come back
+  const [linkLost, setLinkLost] = useState(false);
+  // Background check of the device edit buffer against params
+  const [syncCheck, setSyncCheck] = useState(false);
+  const [drift, setDrift] = useState(null); // {rows: [{key, from: UI, to: device}], patch}
+  const [saveSlotOpen, setSaveSlotOpen] = useState(false);
+  const [saveSlotTarget, setSaveSlotTarget] = useState(0);
+  const [slotStatus, setSlotStatus] = useState(null); // {type: "verifying"|"ok", text}
+  const [restore, setRestore] = useState(null); // {total, sent, status: "sending"|"paused"|"verifying"}
+  const [restoreReport, setRestoreReport] = useState(null); // {verified, failed: [{number, reason}]}
+  const fetchingPresets = fetchState !== null;
+  const [presetNotes, setPresetNotes] = useState({}); // {[presetNumber]: toneNotes}
+  const [libraryKey, setLibraryKey] = useState(null); // device the library belongs to
+  const [storeReady, setStoreReady] = useState(false);
+  // Undo/redo: each step is {group, changes: {[key]: {from, to}}}
+  const [history, setHistory] = useState({ past: [], future: [] });
+  // A/B compare: the active slot is the live edit buffer, the other holds a params snapshot
+  const [compare, setCompare] = useState({ active: "A", A: null, B: null });
+  // Diff view: compares a library preset (null = the loaded one) with the edit buffer or another preset
+  const [diffOpen, setDiffOpen] = useState(false);
+  const [diffFrom, setDiffFrom] = useState(null);
+  const [diffTo, setDiffTo] = useState("edit");
+  // MIDI Monitor view: filters, and the entries frozen on screen while paused (null = live)
+  const [logFilter, setLogFilter] = useState(DEFAULT_LOG_FILTER);
+  const [pausedLog, setPausedLog] = useState(null);
+  const [logExportFormat, setLogExportFormat] = useState("txt");
+  // Session recording/replay (see midiSession.js)
+  const [recording, setRecording] = useState(false);
+  const [replay, setReplay] = useState(null); // {played, total}
+  const [replaySpeed, setReplaySpeed] = useState(1);
+  const [replayToDevice, setReplayToDevice] = useState(false);
+  // Outgoing CCs waiting in the send queue
+  const [ccQueueDepth, setCcQueueDepth] = useState(0);
+  // Tempo sync: applied BPM and the BPM field's text, note division, and where taps come from
+  const [bpm, setBpm] = useState(DEFAULT_BPM);
+  const [bpmText, setBpmText] = useState(String(DEFAULT_BPM));
+  const [tempoDivision, setTempoDivision] = useState(DEFAULT_DIVISION);
+  const [syncModSpeed, setSyncModSpeed] = useState(false);
+  const [tapKey, setTapKey] = useState("t");
+  const [tapNote, setTapNote] = useState({ note: null, learning: false });
+
+  // Prefix for form field ids, so labels stay tied to their own tab's fields
+  const fieldId = useId();
+
+  // Active MIDI transport (see midiTransport.js)
+  const transportRef = useRef(null);
+  // Channel, device ID and input port name of the open connection, fixed at connect time
+  const addressRef = useRef({ channel: MIDI_CHANNEL, deviceId: POCKET_POD_DEVICE_ID, port: "" });
   const logContainerRef = useRef(null);
   const effectTypeRef = useRef(0);
+  // Unmapped patch bytes + version of the current edit buffer, reused when sending it back
+  const patchDataRef = useRef({ rawData: null, version: 0 });
+  // Pending read-back check of slots written to the device
+  const readbackRef = useRef(null);
+  // Bank restore in progress: {presets, index, timer}
+  const restoreRef = useRef(null);
+  // Running bulk dump transfer
+  const fetchRef = useRef(null);
+  // Web MIDI ports of the open connection, for hot-plug recovery:
+  // {input: {id, name}, output: {id, name}, handlers, lost}
+  const linkRef = useRef(null);
+  // Latest edit buffer for code that runs outside render (port state changes)
+  const editBufferRef = useRef({ params: DEFAULT_PARAMS, name: "" });
+  // Sync check timers; awaiting while an edit buffer request is out, stale once edits overtook it
+  const syncRef = useRef({ timer: null, replyTimer: null, awaiting: false, stale: false });
+  // Rate-limited, coalescing queue for outgoing CCs
+  const ccQueueRef = useRef(null);
+  // Tap tracker, plus the tap note and handler read by handleMidiMessage
+  const tapTempoRef = useRef(null);
+  const tapNoteRef = useRef({ note: null, learning: false });
+  const tapHandlerRef = useRef(null);
+  const syxInputRef = useRef(null);
+  // Simulated device, created the first time it is connected
+  const mockPodRef = useRef(null);
+  const jsonInputRef = useRef(null);
+  const storeRef = useRef(null);
+  // Set while a knob is being dragged so the whole drag becomes one undo step
+  const historyGroupRef = useRef(null);
+  // Session recorder while recording, and the running replay controller
+  const sessionRecorderRef = useRef(null);
+  const replayRef = useRef(null);
+  const sessionInputRef = useRef(null);
 
   const addError = useCallback((message) => {
     const id = Date.now() + Math.random();
@@ -822,6 +770,7 @@ export default function PocketPodEditor() {
   }, []);
 
   const addLog = useCallback((dir, data) => {
+    sessionRecorderRef.current?.record(dir, data);
     const now = new Date();
     const time = now.toLocaleTimeString("en-US", {
       hour12: false,
@@ -832,36 +781,115 @@ export default function PocketPodEditor() {
     const hex = Array.from(data)
       .map((b) => b.toString(16).padStart(2, "0").toUpperCase())
       .join(" ");
+    const { type, summary, error } = describeMidiMessage(data, { deviceId: addressRef.current.deviceId });
     setLog((prev) => [
-      ...prev.slice(-200),
-      { time, dir, data: hex, id: Date.now() + Math.random() },
+      ...prev.slice(-(MIDI_LOG_LIMIT - 1)),
+      { time, dir, bytes: Array.from(data), data: hex, type, summary, error, id: Date.now() + Math.random() },
     ]);
   }, []);
 
+  // CCs leave through the queue; it sends on whatever transport is current
+  useEffect(() => {
+    const queue = createCcQueue({
+      send: (msg) => {
+        if (!transportRef.current) return;
+        transportRef.current.send(msg);
+        addLog("OUT", msg);
+      },
+      onDepthChange: setCcQueueDepth,
+    });
+    ccQueueRef.current = queue;
+    return () => queue.clear();
+  }, [addLog]);
+
   // Track effect type for CC routing
   useEffect(() => { effectTypeRef.current = params.effect; }, [params.effect]);
 
-  // Initialize Web MIDI
   useEffect(() => {
-    if (!navigator.requestMIDIAccess) {
-      setMidiSupported(false);
-      addError("Web MIDI API is not available in this browser. Use Chrome or Edge over HTTPS.");
+    editBufferRef.current = { params, name: presetName === "\u2014" ? "" : presetName };
+  }, [params, presetName]);
+
+  // Hand a freshly opened transport the session's handlers and make it current.
+  // Used by connect() and again when a replugged device is picked back up.
+  // handlers: {onmessage, onclose}, where onclose ends the session
+  const attachTransport = useCallback((transport, handlers) => {
+    transport.onmessage = handlers.onmessage;
+    transport.onerror = (err) => addError(err.message);
+    transport.onclose = () => {
+      if (transportRef.current !== transport) return;
+      addError("MIDI connection closed by the other side.");
+      handlers.onclose();
+    };
+    transportRef.current = transport;
+  }, [addError]);
+
+  // --- Hot-plug recovery ---
+  // Runs on every Web MIDI port state change, outside render, so it only uses
+  // refs and stable callbacks. A vanished port drops the transport right away
+  // (instead of waiting for the unresponsive timeout); when the same device
+  // shows up again (same port id, or failing that the same name) the session
+  // reconnects, re-identifies and pushes the editor's edit buffer, so unsaved
+  // params survive the replug.
+  const checkLinkPorts = useCallback((access) => {
+    const link = linkRef.current;
+    if (!link) return;
+    const input = findPort(access.inputs, link.input);
+    const output = findPort(access.outputs, link.output);
+
+    if (!link.lost) {
+      if (input?.id === link.input.id && output?.id === link.output.id) return;
+      link.lost = true;
+      ccQueueRef.current?.clear();
+      transportRef.current?.close();
+      transportRef.current = null;
+      fetchRef.current?.cancel();
+      const job = restoreRef.current;
+      if (job) {
+        clearTimeout(job.timer);
+        setRestore({ total: job.presets.length, sent: job.index, status: "paused" });
+      }
+      setLinkLost(true);
+      addError("Pocket POD disconnected. Waiting for it to come back...");
       return;
     }
 
-    navigator
-      .requestMIDIAccess({ sysex: true })
-      .then((access) => {
-        setMidiAccess(access);
-        updatePorts(access);
-        access.onstatechange = () => updatePorts(access);
-      })
-      .catch((err) => {
-        console.error("MIDI access denied:", err);
-        setMidiSupported(false);
-        addError(`MIDI access denied: ${err.message || "SysEx permission required. Please allow MIDI access and reload."}`);
-      });
-  }, [addError]);
+    if (!input || !output) return;
+    const transport = createWebMidiTransport(input, output);
+    attachTransport(transport, link.handlers);
+    linkRef.current = { ...link, input: { id: input.id, name: input.name }, output: { id: output.id, name: output.name }, lost: false };
+    setLinkLost(false);
+    setLastMidiActivity(Date.now());
+    setDeviceTimeout(false);
+
+    setTimeout(() => {
+      if (transportRef.current !== transport) return;
+      const { params: current, name } = editBufferRef.current;
+      const { rawData, version } = patchDataRef.current;
+      const dump = buildPatchDump(current, name, { isEditBuffer: true, version, rawData, deviceId: addressRef.current.deviceId });
+      transport.send(IDENTITY_REQUEST);
+      addLog("OUT", IDENTITY_REQUEST);
+      transport.send(dump);
+      addLog("OUT", dump);
+    }, 200);
+  }, [addError, addLog, attachTransport]);
+
+  // Follow the shared Web MIDI access: list its ports and watch for hot-plugs.
+  // Every tab adds its own listener, so tabs never replace each other's.
+  useEffect(() => {
+    if (!midiAccess) return;
+    updatePorts(midiAccess);
+    const handleStateChange = () => {
+      updatePorts(midiAccess);
+      checkLinkPorts(midiAccess);
+    };
+    midiAccess.addEventListener("statechange", handleStateChange);
+    return () => midiAccess.removeEventListener("statechange", handleStateChange);
+  }, [midiAccess, checkLinkPorts]);
+
+  // Web MIDI failures are found once by the shell and shown in every tab
+  useEffect(() => {
+    if (midiError) addError(midiError);
+  }, [midiError, addError]);
 
   const updatePorts = (access) => {
     const ins = [];
@@ -872,10 +900,10 @@ export default function PocketPodEditor() {
     access.outputs.forEach((output) =>
       outs.push({ id: output.id, name: output.name })
     );
-    setInputs(ins);
-    setOutputs(outs);
+    setInputs([...ins, ...VIRTUAL_PORTS]);
+    setOutputs([...outs, ...VIRTUAL_PORTS]);
 
-    // Auto-select Line 6 Pocket POD ports
+    // Auto-select Line 6 Pocket POD ports (never the simulator)
     const podIn = ins.find((i) =>
       i.name.toLowerCase().includes("pocket pod")
     );
@@ -886,13 +914,89 @@ export default function PocketPodEditor() {
     if (podOut) setSelectedOutput(podOut.id);
   };
 
-  // Scroll log container to bottom (without moving page focus)
+  // Restore the last library and edit buffer so they're usable while disconnected
+  useEffect(() => {
+    if (!persist) return;
+    const store = createLibraryStore(window.indexedDB, { sessionId });
+    if (!store) return;
+    storeRef.current = store;
+
+    store.getLastDeviceKey()
+      .then((deviceKey) => Promise.all([
+        deviceKey,
+        deviceKey ? store.loadLibrary(deviceKey) : null,
+        store.loadEditBuffer(),
+      ]))
+      .then(([deviceKey, library, editBuffer]) => {
+        if (library) {
+          setLibraryKey(deviceKey);
+          setPresets(library.presets || []);
+          setPresetNotes(library.toneNotes || {});
+        }
+        if (editBuffer) {
+          setParams((prev) => ({ ...prev, ...editBuffer.params }));
+          setPresetName(editBuffer.name || "\u2014");
+          setToneNotes({ ...DEFAULT_TONE_NOTES, ...editBuffer.toneNotes });
+          patchDataRef.current = { rawData: editBuffer.rawData || null, version: editBuffer.version || 0 };
+        }
+      })
+      .catch((err) => addError(`Could not restore the saved library: ${err.message}`))
+      .finally(() => setStoreReady(true));
+
+    return () => {
+      store.close();
+      storeRef.current = null;
+    };
+  }, [persist, sessionId, addError]);
+
+  // Tie the library to the identified unit (identity, port and device ID): the
+  // unit's saved library replaces the current one; an unassigned library is
+  // adopted when the unit has none yet, so a fresh tab can't wipe it
+  useEffect(() => {
+    const store = storeRef.current;
+    const deviceKey = getDeviceKey(deviceInfo, addressRef.current);
+    if (!store || !storeReady || !deviceKey || deviceKey === libraryKey) return;
+
+    store.setLastDeviceKey(deviceKey).catch(() => {});
+    store.loadLibrary(deviceKey).then((library) => {
+      setLibraryKey(deviceKey);
+      if (library || libraryKey !== null) {
+        setPresets(library?.presets || []);
+        setPresetNotes(library?.toneNotes || {});
+      }
+    }).catch((err) => addError(`Could not load the library for this device: ${err.message}`));
+  }, [deviceInfo, libraryKey, storeReady, addError]);
+
+  // Persist the library (debounced) whenever it changes
+  useEffect(() => {
+    const store = storeRef.current;
+    if (!store || !storeReady || !libraryKey) return;
+    const timer = setTimeout(() => {
+      store.saveLibrary(libraryKey, { deviceInfo, presets, toneNotes: presetNotes })
+        .catch((err) => addError(`Could not save the library: ${err.message}`));
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [libraryKey, presets, presetNotes, deviceInfo, storeReady, addError]);
+
+  // Persist the last edit buffer (debounced)
+  useEffect(() => {
+    const store = storeRef.current;
+    if (!store || !storeReady) return;
+    const timer = setTimeout(() => {
+      const { rawData, version } = patchDataRef.current;
+      store.saveEditBuffer({ name: presetName, params, toneNotes, rawData, version })
+        .catch((err) => addError(`Could not save the edit buffer: ${err.message}`));
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [params, presetName, toneNotes, storeReady, addError]);
+
+  // Scroll log container to bottom (without moving page focus); a paused monitor stays put
   useEffect(() => {
     const container = logContainerRef.current;
-    if (container) {
+    if (container && !pausedLog) {
       container.scrollTop = container.scrollHeight;
     }
-  }, [log]);
+  }, [log, pausedLog]);
 
   // Warn before closing page with unsaved changes
   useEffect(() => {
@@ -908,7 +1012,7 @@ export default function PocketPodEditor() {
 
   // Device timeout detection
   useEffect(() => {
-    if (!connected || !lastMidiActivity) return;
+    if (!connected || !lastMidiActivity || linkLost) return;
     const interval = setInterval(() => {
       const elapsed = Date.now() - lastMidiActivity;
       if (elapsed > 30000) {
@@ -919,7 +1023,7 @@ export default function PocketPodEditor() {
       }
     }, 2000);
     return () => clearInterval(interval);
-  }, [connected, lastMidiActivity, addError]);
+  }, [connected, lastMidiActivity, linkLost, addError]);
 
   // Handle incoming MIDI messages
   const handleMidiMessage = useCallback(
@@ -929,117 +1033,122 @@ export default function PocketPodEditor() {
       setLastMidiActivity(Date.now());
       setDeviceTimeout(false);
 
-      // Check for SysEx
-      if (data[0] === SYSEX_START) {
-        // Identity reply
-        if (data[1] === 0x7e && data[3] === 0x06 && data[4] === 0x02) {
-          const manufacturer = data.slice(5, 8);
-          const family = data.slice(8, 10);
-          const member = data.slice(10, 12);
-          const version = data
-            .slice(12, 16)
-            .map((b) => String.fromCharCode(b))
-            .join("");
-          setDeviceInfo({
-            manufacturer: manufacturer
-              .map((b) => b.toString(16).padStart(2, "0"))
-              .join(" "),
-            family: family
-              .map((b) => b.toString(16).padStart(2, "0"))
-              .join(" "),
-            member: member
-              .map((b) => b.toString(16).padStart(2, "0"))
-              .join(" "),
-            version,
-          });
-        }
-
-        // Patch dump response (opcode 0x01)
-        if (
-          data[1] === LINE6_MANUFACTURER_ID[0] &&
-          data[2] === LINE6_MANUFACTURER_ID[1] &&
-          data[3] === LINE6_MANUFACTURER_ID[2] &&
-          data[4] === POCKET_POD_DEVICE_ID &&
-          data[5] === OPCODE_PATCH_DUMP
-        ) {
-          const parsed = parsePatchDump(data);
-          if (parsed) {
-            if (parsed.isEditBuffer) {
-              // Update the current editor state from edit buffer
-              setParams((prev) => ({ ...prev, ...parsed.params }));
-              setPresetName(parsed.name || presetName);
-            } else {
-              // Store in presets array
-              setPresets((prev) => {
-                const updated = prev.filter((p) => p.number !== parsed.presetNumber);
-                updated.push({
-                  number: parsed.presetNumber,
-                  name: parsed.name,
-                  params: parsed.params,
-                });
-                updated.sort((a, b) => a.number - b.number);
-                // Track fetch progress
-                if (updated.length <= 124) {
-                  setFetchProgress(updated.length);
-                }
-                if (updated.length >= 124) {
-                  setFetchingPresets(false);
-                }
-                return updated;
-              });
-            }
-          }
-        }
-      }
-
-      // Handle CC messages (status 0xB0 for channel 1)
-      if ((data[0] & 0xf0) === 0xb0) {
-        const cc = data[1];
-        const val = data[2];
-        // Check effect-specific CCs first (42, 49, 55, 56, 58, 59)
-        const effectStateKey = EFFECT_CC_REVERSE_MAP[cc];
-        if (effectStateKey) {
-          setParams((prev) => ({ ...prev, [effectStateKey]: val }));
-        } else {
-          for (const [key, def] of Object.entries(MIDI_CC_MAP)) {
-            if (def.cc === cc) {
-              // For toggle params, interpret >= 64 as on (1), < 64 as off (0)
-              const adjustedVal = def.max === 1 ? (val >= 64 ? 1 : 0) : val;
-              setParams((prev) => ({ ...prev, [key]: adjustedVal }));
-              break;
-            }
-          }
+      const { channel, deviceId } = addressRef.current;
+      const message = parseMidiMessage(data, { deviceId });
+      const sync = syncRef.current;
+      const updates = deviceUpdates(message, {
+        channel,
+        sync: sync.awaiting ? { stale: sync.stale, editBuffer: editBufferRef.current } : null,
+        tapNote: tapNoteRef.current,
+      });
+      for (const update of updates) {
+        switch (update.type) {
+          case "deviceInfo":
+            setDeviceInfo(update.deviceInfo);
+            break;
+
+          case "drift":
+            clearTimeout(sync.replyTimer);
+            sync.awaiting = false;
+            if (update.rows) setDrift(update.rows.length > 0 ? { rows: update.rows, patch: update.patch } : null);
+            break;
+
+          case "editBuffer":
+            // Update the current editor state from edit buffer
+            setParams((prev) => ({ ...prev, ...update.params }));
+            setPresetName((prev) => update.name || prev);
+            patchDataRef.current = { rawData: update.rawData, version: update.version };
+            setHistory({ past: [], future: [] });
+            setCompare({ active: "A", A: null, B: null });
+            break;
+
+          case "storedPreset":
+            readbackRef.current?.check(message.patch);
+            fetchRef.current?.receive(update.preset.number);
+            setPresets((prev) => upsertPreset(prev, update.preset));
+            break;
+
+          case "param":
+            setParams((prev) => ({ ...prev, [update.key]: update.value }));
+            break;
+
+          case "program":
+            setPresetName(update.name);
+            setCurrentPreset(update.program);
+            break;
+
+          case "tapNote":
+            tapNoteRef.current = update.tapNote;
+            setTapNote(update.tapNote);
+            break;
+
+          case "tap":
+            tapHandlerRef.current?.();
+            break;
+
+          default:
+            break;
         }
       }
-
-      // Handle Program Change (status 0xC0 for channel 1)
-      if ((data[0] & 0xf0) === 0xc0) {
-        const program = data[1];
-        setPresetName(`Preset ${program + 1}`);
-        setCurrentPreset(program);
-      }
     },
-    [addLog, presetName]
+    [addLog]
   );
 
-  const connect = () => {
-    if (!midiAccess || !selectedInput || !selectedOutput) return;
-
-    if (inputRef.current) {
-      inputRef.current.onmidimessage = null;
+  // Pick the transport driver for the selected ports; null (with an error) when it can't be opened
+  const openTransport = () => {
+    if (selectedInput === BRIDGE_PORT_ID || selectedOutput === BRIDGE_PORT_ID) {
+      if (selectedInput !== selectedOutput) {
+        addError("Failed to connect: the WebSocket bridge must be selected as both input and output.");
+        return null;
+      }
+      try {
+        return createWebSocketTransport(bridgeUrl);
+      } catch (err) {
+        addError(`Failed to open WebSocket bridge: ${err.message}`);
+        return null;
+      }
     }
 
-    const input = midiAccess.inputs.get(selectedInput);
-    const output = midiAccess.outputs.get(selectedOutput);
+    const usesMock = selectedInput === MOCK_PORT_ID || selectedOutput === MOCK_PORT_ID;
+    // The simulator answers on its own channel and device ID, like the hardware,
+    // so it is rebuilt when either setting changes
+    const mock = mockPodRef.current;
+    if (usesMock && (!mock || mock.channel !== midiChannel || mock.deviceId !== sysexDeviceId)) {
+      mockPodRef.current = createMockPocketPod({ channel: midiChannel, deviceId: sysexDeviceId });
+    }
+    const input = selectedInput === MOCK_PORT_ID ? mockPodRef.current.input : midiAccess?.inputs.get(selectedInput);
+    const output = selectedOutput === MOCK_PORT_ID ? mockPodRef.current.output : midiAccess?.outputs.get(selectedOutput);
 
     if (!input || !output) {
       addError("Failed to connect: MIDI port not found. The device may have been disconnected.");
-      return;
+      return null;
     }
+    return createWebMidiTransport(input, output);
+  };
 
-    input.onmidimessage = handleMidiMessage;
-    inputRef.current = input;
-    outputRef.current = output;
+  const connect = () => {
+    if (!selectedInput || !selectedOutput) return;
+
+    transportRef.current?.close();
+    transportRef.current = null;
+
+    const transport = openTransport();
+    if (!transport) return;
+
+    // The port name goes into the library key, so the bridge is told apart by its URL
+    const port = transport.kind === "websocket" ? bridgeUrl : inputs.find((i) => i.id === selectedInput)?.name ?? "";
+    addressRef.current = { channel: midiChannel, deviceId: sysexDeviceId, port };
+    const handlers = { onmessage: handleMidiMessage, onclose: () => disconnect(true) };
+    attachTransport(transport, handlers);
+    linkRef.current = transport.kind === "webmidi" && !isVirtualPort(selectedInput)
+      ? {
+        input: { id: transport.input.id, name: transport.input.name },
+        output: { id: transport.output.id, name: transport.output.name },
+        handlers,
+        lost: false,
+      }
+      : null;
+    setLinkLost(false);
     setConnected(true);
     setDirty(false);
     setLog([]);
@@ -1057,11 +1166,18 @@ export default function PocketPodEditor() {
         return;
       }
     }
-    if (inputRef.current) {
-      inputRef.current.onmidimessage = null;
-      inputRef.current = null;
+    ccQueueRef.current?.clear();
+    transportRef.current?.close();
+    transportRef.current = null;
+    linkRef.current = null;
+    setLinkLost(false);
+    fetchRef.current?.cancel();
+    if (restoreRef.current) {
+      clearTimeout(restoreRef.current.timer);
+      restoreRef.current = null;
+      setRestore(null);
     }
-    outputRef.current = null;
+    stopSyncCheck();
     setConnected(false);
     setDeviceInfo(null);
     setPresetName("\u2014");
@@ -1071,101 +1187,858 @@ export default function PocketPodEditor() {
   };
 
   const sendSysEx = (data) => {
-    if (!outputRef.current) return;
-    outputRef.current.send(data);
+    if (!transportRef.current) return;
+    ccQueueRef.current?.flush();
+    transportRef.current.send(data);
     addLog("OUT", data);
   };
 
   const sendCC = (cc, value) => {
-    if (!outputRef.current) return;
-    const msg = [0xb0 | MIDI_CHANNEL, cc, value];
-    outputRef.current.send(msg);
-    addLog("OUT", msg);
+    if (!transportRef.current) return;
+    ccQueueRef.current.push(buildControlChange(cc, value, outputChannel(addressRef.current.channel)));
   };
 
   const sendProgramChange = (program) => {
-    if (!outputRef.current) return;
-    const msg = [0xc0 | MIDI_CHANNEL, program];
-    outputRef.current.send(msg);
+    if (!transportRef.current) return;
+    ccQueueRef.current?.flush();
+    const msg = buildProgramChange(program, outputChannel(addressRef.current.channel));
+    transportRef.current.send(msg);
     addLog("OUT", msg);
   };
 
+  // --- Sync check ---
+  // CCs are fire-and-forget, so with the check on every edit re-arms a timer;
+  // once edits settle the edit buffer is requested and the reply is compared
+  // with params instead of being applied. A reply overtaken by further edits
+  // is dropped and the next check decides.
+  const runSyncCheck = () => {
+    const sync = syncRef.current;
+    if (!transportRef.current) return;
+    // Bulk transfers own the SysEx stream; look again once they are done
+    if (sync.awaiting || fetchRef.current || restoreRef.current || readbackRef.current) {
+      sync.timer = setTimeout(runSyncCheck, SYNC_CHECK_DELAY_MS);
+      return;
+    }
+    sync.awaiting = true;
+    sync.stale = false;
+    sendSysEx(buildEditBufferRequest(addressRef.current.deviceId));
+    sync.replyTimer = setTimeout(() => { sync.awaiting = false; }, SYNC_CHECK_TIMEOUT_MS);
+  };
+
+  const scheduleSyncCheck = () => {
+    const sync = syncRef.current;
+    clearTimeout(sync.timer);
+    if (sync.awaiting) sync.stale = true;
+    sync.timer = setTimeout(runSyncCheck, SYNC_CHECK_DELAY_MS);
+  };
+
+  // Cancel pending checks; a reply still on its way is swallowed, not applied
+  const stopSyncCheck = () => {
+    const sync = syncRef.current;
+    clearTimeout(sync.timer);
+    sync.stale = true;
+    setDrift(null);
+  };
+
+  const toggleSyncCheck = (enabled) => {
+    setSyncCheck(enabled);
+    if (!enabled) stopSyncCheck();
+    else if (connected) scheduleSyncCheck();
+  };
+
+  // Resolve drift by sending the whole edit buffer, then check again
+  const pushUiToDevice = () => {
+    const { rawData, version } = patchDataRef.current;
+    sendSysEx(buildPatchDump(params, currentPatchName(), {
+      isEditBuffer: true, version, rawData, deviceId: addressRef.current.deviceId,
+    }));
+    setDrift(null);
+    scheduleSyncCheck();
+  };
+
+  // Take the device's values as one undo step, so undo goes back to what the UI showed
+  const pullDeviceToUi = () => {
+    const { patch } = drift;
+    historyGroupRef.current = {};
+    for (const [key, value] of Object.entries(patch.params)) {
+      if (params[key] !== value) recordHistory(key, params[key], value);
+    }
+    historyGroupRef.current = null;
+    setParams((prev) => ({ ...prev, ...patch.params }));
+    patchDataRef.current = { rawData: patch.rawData, version: patch.version };
+    setDrift(null);
+  };
+
+  const sendParamCC = (key, value, effectType) => {
+    if (EFFECT_SPECIFIC_PARAMS.has(key)) {
+      // Use effect-type-specific CC routing
+      const cc = getEffectCC(key, effectType);
+      if (cc !== null) sendCC(cc, value);
+    } else if (MIDI_CC_MAP[key]) {
+      // For toggle params, send 127 for on, 0 for off
+      const ccValue = MIDI_CC_MAP[key].max === 1 ? (value ? 127 : 0) : value;
+      sendCC(MIDI_CC_MAP[key].cc, ccValue);
+    }
+    if (syncCheck) scheduleSyncCheck();
+  };
+
+  // Apply several param values at once. The effect type goes out first so
+  // effect-specific params are routed to the new effect's CCs.
+  const applyParamChanges = (changes) => {
+    setParams((prev) => ({ ...prev, ...changes }));
+    setDirty(true);
+    if (!connected) return;
+    if ("effect" in changes) {
+      effectTypeRef.current = changes.effect;
+      sendParamCC("effect", changes.effect, changes.effect);
+    }
+    for (const [key, value] of Object.entries(changes)) {
+      if (key !== "effect") sendParamCC(key, value, effectTypeRef.current);
+    }
+  };
+
+  const recordHistory = (key, from, to) => {
+    const group = historyGroupRef.current;
+    setHistory(({ past }) => {
+      const last = past[past.length - 1];
+      if (group && last?.group === group) {
+        const merged = { ...last, changes: { ...last.changes, [key]: { from: last.changes[key]?.from ?? from, to } } };
+        return { past: [...past.slice(0, -1), merged], future: [] };
+      }
+      return { past: [...past, { group, changes: { [key]: { from, to } } }].slice(-HISTORY_LIMIT), future: [] };
+    });
+  };
+
   const handleParamChange = (key, value) => {
+    recordHistory(key, params[key], value);
     setParams((prev) => ({ ...prev, [key]: value }));
     setDirty(true);
-    if (connected) {
-      if (EFFECT_SPECIFIC_PARAMS.has(key)) {
-        // Use effect-type-specific CC routing
-        const cc = getEffectCC(key, effectTypeRef.current);
-        if (cc !== null) sendCC(cc, value);
-      } else if (MIDI_CC_MAP[key]) {
-        // For toggle params, send 127 for on, 0 for off
-        const ccValue = MIDI_CC_MAP[key].max === 1 ? (value ? 127 : 0) : value;
-        sendCC(MIDI_CC_MAP[key].cc, ccValue);
-      }
+    if (connected) sendParamCC(key, value, effectTypeRef.current);
+  };
+
+  const undo = () => {
+    const step = history.past[history.past.length - 1];
+    if (!step) return;
+    setHistory({ past: history.past.slice(0, -1), future: [...history.future, step] });
+    applyParamChanges(Object.fromEntries(Object.entries(step.changes).map(([key, { from }]) => [key, from])));
+  };
+
+  const redo = () => {
+    const step = history.future[history.future.length - 1];
+    if (!step) return;
+    setHistory({ past: [...history.past, step], future: history.future.slice(0, -1) });
+    applyParamChanges(Object.fromEntries(Object.entries(step.changes).map(([key, { to }]) => [key, to])));
+  };
+
+  const clearHistory = () => {
+    setHistory({ past: [], future: [] });
+    setCompare({ active: "A", A: null, B: null });
+  };
+
+  // Knob drags collapse into a single undo step
+  const historyGroupProps = {
+    onDragStart: () => { historyGroupRef.current = {}; },
+    onDragEnd: () => { historyGroupRef.current = null; },
+  };
+
+  // --- Display units ---
+  // Readout and typed entry in real-world units (paramUnits.js); knobs
+  // without these props fall back to the 0-10 scale.
+  const unitProps = (key, spec = PARAM_UNITS[key]) => (spec ? {
+    formatValue: (value) => formatUnits(spec, value),
+    onValueEntry: (text) => {
+      const value = parseUnits(spec, text);
+      if (value === null) return false;
+      handleParamChange(key, value);
+      return true;
+    },
+  } : {});
+
+  // Speed reads in Hz for the modulation effects, as a ratio for the compressor
+  const effectUnitProps = (category, stateKey) => {
+    if (stateKey !== "effect_speed") return {};
+    if (category === "compressor") {
+      return {
+        formatValue: formatCompRatio,
+        onValueEntry: (text) => {
+          const value = parseCompRatio(text);
+          if (value === null) return false;
+          handleParamChange(stateKey, value);
+          return true;
+        },
+      };
     }
+    return MOD_SPEED_CATEGORIES.has(category) ? unitProps(stateKey, MOD_SPEED_HZ) : {};
   };
 
-  const requestEditBuffer = () => sendSysEx(REQUEST_EDIT_BUFFER);
+  // Several knobs set together (typed delay time, tempo sync) make one undo step
+  const changeParamsTogether = (changes) => {
+    historyGroupRef.current = {};
+    for (const [key, value] of Object.entries(changes)) {
+      if (params[key] !== value) handleParamChange(key, value);
+    }
+    historyGroupRef.current = null;
+  };
 
-  const fetchAllPresets = () => {
-    if (!connected || fetchingPresets) return;
-    setFetchingPresets(true);
-    setPresets([]);
-    setFetchProgress(0);
-    // Send single bulk request — device streams back all 124 programs
-    sendSysEx(REQUEST_ALL_PRESETS);
+  const delayTimeProps = {
+    formatValue: () => `${delayTimeMs(params.delay_time, params.delay_time_fine)} ms`,
+    onValueEntry: (text) => {
+      const ms = parseAmount(text, "ms");
+      if (ms === null) return false;
+      // Coarse and fine are the two halves of one delay time
+      changeParamsTogether(delayTimeFromMs(ms));
+      return true;
+    },
   };
 
-  const loadPreset = (preset) => {
-    // Send program change to switch the device
-    sendProgramChange(preset.number);
-    // Update UI with the stored params
-    setParams((prev) => ({ ...prev, ...preset.params }));
-    setPresetName(preset.name || `Preset ${preset.number + 1}`);
-    setCurrentPreset(preset.number);
-    setDirty(false);
+  // --- Tempo sync ---
+  // The BPM at the chosen division sets the delay time and, with "Sync mod
+  // speed", one modulation cycle per note for the effects whose speed is in Hz.
+  const applyTempo = ({ bpm: nextBpm = bpm, division = tempoDivision, syncMod = syncModSpeed } = {}) => {
+    if (!(nextBpm >= BPM_MIN && nextBpm <= BPM_MAX)) return;
+    const ms = divisionMs(nextBpm, division);
+    const changes = delayTimeFromMs(ms);
+    if (syncMod && MOD_SPEED_CATEGORIES.has(EFFECT_CATEGORIES[params.effect])) {
+      changes.effect_speed = toValue(MOD_SPEED_HZ, 1000 / ms);
+    }
+    changeParamsTogether(changes);
   };
 
+  // The BPM field applies on Enter or blur, not per keystroke, so typing "100"
+  // doesn't pass through 10; anything out of range puts the last tempo back
+  const commitBpm = () => {
+    const typed = Number(bpmText);
+    if (bpmText.trim() === "" || !(typed >= BPM_MIN && typed <= BPM_MAX)) {
+      setBpmText(String(bpm));
+      return;
+    }
+    setBpm(typed);
+    setBpmText(String(typed));
+    applyTempo({ bpm: typed });
+  };
 
-  // --- Select style used in dropdowns ---
-  const selectStyle = {
-    padding: "8px 12px",
-    background: COLORS.surface0,
-    border: `1px solid ${COLORS.border}`,
-    borderRadius: "6px",
-    color: COLORS.textPrimary,
-    fontSize: "12px",
-    fontFamily: "'Outfit', sans-serif",
-    fontWeight: 500,
-    maxWidth: "200px",
+  const tapTempo = () => {
+    if (!tapTempoRef.current) tapTempoRef.current = createTapTempo();
+    const tapped = tapTempoRef.current.tap();
+    if (tapped === null) return;
+    setBpm(tapped);
+    setBpmText(String(tapped));
+    applyTempo({ bpm: tapped });
   };
 
-  // --- Section label style ---
-  const sectionLabel = (text, toggle) => (
-    <div
-      style={{
-        fontSize: "13px",
-        color: COLORS.textSecondary,
-        letterSpacing: "0.5px",
-        textTransform: "uppercase",
-        fontFamily: "'Outfit', sans-serif",
-        fontWeight: 600,
-        marginBottom: "12px",
-        display: "flex",
-        alignItems: "center",
-        gap: "8px",
-      }}
-    >
-      {toggle && (
-        <button
-          onClick={toggle.onToggle}
-          role="switch"
-          aria-checked={toggle.active}
-          aria-label={`${text} ${toggle.active ? "on" : "off"}`}
-          style={{
-            width: "28px",
-            height: "14px",
+  // The next incoming note on becomes the tap note
+  const learnTapNote = () => {
+    tapNoteRef.current = { note: tapNoteRef.current.note, learning: !tapNoteRef.current.learning };
+    setTapNote(tapNoteRef.current);
+  };
+
+  const delayFineProps = {
+    formatValue: (value) => `+${delayFineMs(value).toFixed(1)} ms`,
+    onValueEntry: (text) => {
+      const ms = parseAmount(text, "ms");
+      if (ms === null) return false;
+      handleParamChange("delay_time_fine", delayFineFromMs(ms));
+      return true;
+    },
+  };
+
+  // --- A/B compare ---
+  // Only the params that differ are pushed, through the same CC routing as knob edits.
+  // Undo steps belong to one slot, so history starts over after a switch.
+  const switchCompareSlot = (slot) => {
+    if (slot === compare.active) return;
+    const target = compare[slot] ?? params;
+    setCompare({ ...compare, [compare.active]: params, [slot]: null, active: slot });
+    setHistory({ past: [], future: [] });
+    const changes = Object.fromEntries(Object.entries(target).filter(([key, value]) => params[key] !== value));
+    if (Object.keys(changes).length > 0) applyParamChanges(changes);
+  };
+
+  const copyCompareAToB = () => {
+    if (compare.active === "A") {
+      setCompare({ ...compare, B: params });
+      return;
+    }
+    const snapshot = compare.A ?? params;
+    setCompare({ ...compare, A: snapshot });
+    setHistory({ past: [], future: [] });
+    const changes = Object.fromEntries(Object.entries(snapshot).filter(([key, value]) => params[key] !== value));
+    if (Object.keys(changes).length > 0) applyParamChanges(changes);
+  };
+
+  // --- Param diff ---
+  const diffFromPreset = presets.find((p) => p.number === (diffFrom ?? currentPreset));
+  const diffToParams = diffTo === "edit" ? params : presets.find((p) => p.number === diffTo)?.params;
+  const diffRows = diffFromPreset && diffToParams ? diffParams(diffFromPreset.params, diffToParams) : [];
+
+  // Put one param of the compared target back to the source value
+  const revertDiffParam = (key, value) => {
+    if (diffTo === "edit") {
+      handleParamChange(key, value);
+      return;
+    }
+    setPresets((prev) => prev.map((p) => (
+      p.number === diffTo ? { ...p, params: { ...p.params, [key]: value } } : p
+    )));
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); text fields keep their own undo. Only the visible tab listens.
+  useEffect(() => {
+    if (!active) return;
+    const handler = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const tag = e.target?.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || e.target?.isContentEditable) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener("keydown", handler);
+    return () => window.removeEventListener("keydown", handler);
+  });
+
+  useEffect(() => {
+    tapHandlerRef.current = tapTempo;
+  });
+
+  // Tap key: only the visible tab listens, and never while typing in a field
+  useEffect(() => {
+    if (!active || !tapKey) return;
+    const handler = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+      const tag = e.target?.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || e.target?.isContentEditable) return;
+      if (e.key.toLowerCase() !== tapKey.toLowerCase()) return;
+      e.preventDefault();
+      tapHandlerRef.current?.();
+    };
+    window.addEventListener("keydown", handler);
+    return () => window.removeEventListener("keydown", handler);
+  }, [active, tapKey]);
+
+  const requestEditBuffer = () => sendSysEx(buildEditBufferRequest(addressRef.current.deviceId));
+
+  // Display name without the empty-state placeholder
+  const currentPatchName = () => (presetName === "\u2014" ? "" : presetName);
+
+  // --- Read-back verification ---
+  // Written slots are re-requested and compared with what we sent. The check
+  // finishes once every slot has come back, or after READBACK_TIMEOUT_MS of silence.
+  const startReadback = (expected, onComplete) => {
+    if (readbackRef.current) clearTimeout(readbackRef.current.timer);
+    const readback = {
+      expected: new Map(expected.map((p) => [p.number, p])),
+      verified: [],
+      mismatched: [], // [{number, keys}]
+      timer: null,
+    };
+
+    const finish = () => {
+      clearTimeout(readback.timer);
+      if (readbackRef.current === readback) readbackRef.current = null;
+      const checked = new Set([...readback.verified, ...readback.mismatched.map((m) => m.number)]);
+      const missing = [...readback.expected.keys()].filter((n) => !checked.has(n));
+      onComplete({ verified: readback.verified, mismatched: readback.mismatched, missing });
+    };
+
+    const armTimeout = () => {
+      clearTimeout(readback.timer);
+      readback.timer = setTimeout(finish, READBACK_TIMEOUT_MS);
+    };
+
+    // Called from handleMidiMessage for every stored-program dump
+    readback.check = (parsed) => {
+      const slot = readback.expected.get(parsed.presetNumber);
+      if (!slot) return;
+      const keys = findPatchMismatches(slot, parsed);
+      if (keys.length === 0) readback.verified.push(parsed.presetNumber);
+      else readback.mismatched.push({ number: parsed.presetNumber, keys });
+      if (readback.verified.length + readback.mismatched.length >= readback.expected.size) {
+        finish();
+      } else {
+        armTimeout();
+      }
+    };
+
+    readbackRef.current = readback;
+    armTimeout();
+  };
+
+  // Write the edit buffer into a stored program slot, then read it back
+  const saveToSlot = (presetNumber) => {
+    if (!connected || readbackRef.current) return;
+    const slotLabel = String(presetNumber + 1).padStart(3, "0");
+    const existing = presets.find((p) => p.number === presetNumber);
+    const target = existing?.name ? `${slotLabel} "${existing.name}"` : slotLabel;
+    if (!window.confirm(`Overwrite preset ${target} on the device with the current edit buffer?`)) {
+      return;
+    }
+
+    const name = currentPatchName();
+    const { rawData, version } = patchDataRef.current;
+    sendSysEx(buildPatchDump(params, name, {
+      isEditBuffer: false, presetNumber, version, rawData, deviceId: addressRef.current.deviceId,
+    }));
+    setSlotStatus({ type: "verifying", text: `Verifying slot ${slotLabel}...` });
+
+    startReadback([{ number: presetNumber, name, params: { ...params } }], ({ verified, mismatched }) => {
+      if (verified.includes(presetNumber)) {
+        setDirty(false);
+        setCurrentPreset(presetNumber);
+        setSaveSlotOpen(false);
+        setSlotStatus({ type: "ok", text: `Saved and verified slot ${slotLabel}` });
+      } else {
+        setSlotStatus(null);
+        const detail = mismatched.length > 0
+          ? `device returned different values for ${mismatched[0].keys.join(", ")}`
+          : "no read-back from device";
+        addError(`Save to slot ${slotLabel} could not be verified: ${detail}.`);
+      }
+    });
+
+    // Give the device a moment to commit the write before reading it back
+    setTimeout(() => sendSysEx(buildPresetRequest(presetNumber, addressRef.current.deviceId)), 200);
+  };
+
+  // Push the whole edit buffer as one patch dump instead of a CC per param
+  const sendEditBuffer = () => {
+    if (!connected) return;
+    const { rawData, version } = patchDataRef.current;
+    sendSysEx(buildPatchDump(params, currentPatchName(), {
+      isEditBuffer: true, version, rawData, deviceId: addressRef.current.deviceId,
+    }));
+  };
+
+  // --- Bank restore ---
+  // Uploads every library preset as a stored-program dump, paced by
+  // RESTORE_INTERVAL_MS, then reads the whole bank back to verify each slot.
+  const verifyRestore = () => {
+    const job = restoreRef.current;
+    if (!job) return;
+    setRestore({ total: job.presets.length, sent: job.presets.length, status: "verifying" });
+    startReadback(job.presets, ({ verified, mismatched, missing }) => {
+      restoreRef.current = null;
+      setRestore(null);
+      const failed = [
+        ...mismatched.map(({ number, keys }) => ({ number, reason: `${keys.join(", ")} differ` })),
+        ...missing.map((number) => ({ number, reason: "no read-back" })),
+      ].sort((a, b) => a.number - b.number);
+      setRestoreReport({ verified: verified.length, failed });
+      if (failed.length > 0) {
+        addError(`Bank restore: ${failed.length} of ${job.presets.length} slots failed verification.`);
+        // Keep the library's copy of failed slots so the restore can be retried
+        const failedNumbers = new Set(failed.map((f) => f.number));
+        setPresets((prev) => prev.map((p) => (
+          failedNumbers.has(p.number) ? job.presets.find((q) => q.number === p.number) || p : p
+        )));
+      }
+    });
+    sendSysEx(buildAllPresetsRequest(addressRef.current.deviceId));
+  };
+
+  const sendNextRestoreDump = () => {
+    const job = restoreRef.current;
+    if (!job) return;
+    const preset = job.presets[job.index];
+    sendSysEx(buildPatchDump(preset.params, preset.name, {
+      isEditBuffer: false,
+      presetNumber: preset.number,
+      version: preset.version || 0,
+      rawData: preset.rawData || null,
+      deviceId: addressRef.current.deviceId,
+    }));
+    job.index += 1;
+    setRestore({ total: job.presets.length, sent: job.index, status: "sending" });
+    job.timer = setTimeout(
+      job.index < job.presets.length ? sendNextRestoreDump : verifyRestore,
+      RESTORE_INTERVAL_MS
+    );
+  };
+
+  const startRestore = () => {
+    if (!connected || restore || presets.length === 0) return;
+    if (!window.confirm(`Upload all ${presets.length} library presets to the device? This overwrites the stored programs.`)) {
+      return;
+    }
+    restoreRef.current = { presets: presets.map((p) => ({ ...p })), index: 0, timer: null };
+    setRestoreReport(null);
+    setRestore({ total: presets.length, sent: 0, status: "sending" });
+    sendNextRestoreDump();
+  };
+
+  const cancelRestore = () => {
+    const job = restoreRef.current;
+    if (!job || restore?.status !== "sending") return;
+    clearTimeout(job.timer);
+    setRestore({ total: job.presets.length, sent: job.index, status: "paused" });
+  };
+
+  const resumeRestore = () => {
+    if (!connected || restore?.status !== "paused") return;
+    setRestore({ ...restore, status: "sending" });
+    sendNextRestoreDump();
+  };
+
+  const discardRestore = () => {
+    if (restoreRef.current) clearTimeout(restoreRef.current.timer);
+    restoreRef.current = null;
+    setRestore(null);
+  };
+
+  // --- .syx import/export ---
+  const importSysExFile = (file) => {
+    file.arrayBuffer().then((buffer) => {
+      const messages = splitSysEx(new Uint8Array(buffer));
+      const stored = [];
+      let editBuffer = null;
+      let skipped = 0;
+
+      for (const message of messages) {
+        // Dumps saved from a unit with any device ID are accepted
+        const parsed = isPatchDump(message, message[4]) ? parsePatchDump(message) : null;
+        if (!parsed) {
+          skipped++;
+        } else if (parsed.isEditBuffer) {
+          editBuffer = parsed;
+        } else {
+          stored.push(parsed);
+        }
+      }
+
+      if (!editBuffer && stored.length === 0) {
+        addError(`No Pocket POD patch dumps found in ${file.name}.`);
+        return;
+      }
+      if (skipped > 0) {
+        addError(`Skipped ${skipped} message${skipped === 1 ? "" : "s"} in ${file.name} that ${skipped === 1 ? "is not a" : "are not"} Pocket POD patch dump${skipped === 1 ? "" : "s"}.`);
+      }
+
+      if (editBuffer) {
+        setParams((prev) => ({ ...prev, ...editBuffer.params }));
+        setPresetName(editBuffer.name || file.name.replace(/\.syx$/i, ""));
+        patchDataRef.current = { rawData: editBuffer.rawData, version: editBuffer.version };
+        clearHistory();
+        setDirty(true);
+      }
+      if (stored.length > 0) {
+        setPresets((prev) => {
+          const byNumber = new Map(prev.map((p) => [p.number, p]));
+          for (const parsed of stored) {
+            byNumber.set(parsed.presetNumber, {
+              number: parsed.presetNumber,
+              name: parsed.name,
+              params: parsed.params,
+              rawData: parsed.rawData,
+              version: parsed.version,
+            });
+          }
+          return [...byNumber.values()].sort((a, b) => a.number - b.number);
+        });
+      }
+    }).catch((err) => {
+      addError(`Failed to read ${file.name}: ${err.message}`);
+    });
+  };
+
+  const exportPatchSysEx = () => {
+    const { rawData, version } = patchDataRef.current;
+    const name = currentPatchName();
+    const data = buildPatchDump(params, name, { isEditBuffer: true, version, rawData });
+    downloadFile(`${toFileName(name, "patch")}.syx`, new Uint8Array(data));
+  };
+
+  const exportBankSysEx = () => {
+    if (presets.length === 0) return;
+    downloadFile("pocket-pod-bank.syx", new Uint8Array(buildBankSysEx(presets)));
+  };
+
+  // --- MIDI Monitor ---
+  const updateLogFilter = (changes) => setLogFilter((prev) => ({ ...prev, ...changes }));
+
+  const toggleLogCategory = (category) => {
+    setLogFilter((prev) => ({
+      ...prev,
+      categories: prev.categories.includes(category)
+        ? prev.categories.filter((c) => c !== category)
+        : [...prev.categories, category],
+    }));
+  };
+
+  // Pausing freezes the view; addLog keeps collecting underneath
+  const toggleLogPaused = () => setPausedLog((prev) => (prev ? null : log));
+
+  const clearLog = () => {
+    setLog([]);
+    if (pausedLog) setPausedLog([]);
+  };
+
+  // Exports everything captured (including entries buffered while paused) that passes the filters
+  const exportLog = () => {
+    const entries = filterLogEntries(log, logFilter);
+    if (logExportFormat === "json") downloadFile("midi-log.json", logToJson(entries), "application/json");
+    else if (logExportFormat === "syx") downloadFile("midi-log.syx", new Uint8Array(logToSysEx(entries)));
+    else downloadFile("midi-log.txt", logToText(entries), "text/plain");
+  };
+
+  // --- Session recording and replay ---
+  // Everything that passes through addLog (both directions) is recorded
+  const toggleRecording = () => {
+    const recorder = sessionRecorderRef.current;
+    if (!recorder) {
+      sessionRecorderRef.current = createSessionRecorder();
+      setRecording(true);
+      return;
+    }
+    sessionRecorderRef.current = null;
+    setRecording(false);
+    downloadFile("midi-session.json", recorder.toJson(), "application/json");
+  };
+
+  const stopReplay = () => {
+    replayRef.current?.cancel();
+    replayRef.current = null;
+    setReplay(null);
+  };
+
+  // IN events go through handleMidiMessage as if the device had sent them; OUT
+  // events are only re-sent when a device is connected and the user asked for it
+  const replaySessionFile = (file) => {
+    file.text().then((text) => {
+      let session;
+      try {
+        session = parseSessionFile(text);
+      } catch (err) {
+        addError(`Could not replay ${file.name}: ${err.message}.`);
+        return;
+      }
+      stopReplay();
+      const directions = replayToDevice && transportRef.current ? ["IN", "OUT"] : ["IN"];
+      const controller = replaySession(session, (event) => {
+        if (event.dir === "IN") {
+          handleMidiMessage({ data: Uint8Array.from(event.data) });
+        } else if (transportRef.current) {
+          transportRef.current.send(event.data);
+          addLog("OUT", event.data);
+        }
+      }, {
+        speed: replaySpeed,
+        directions,
+        onProgress: (played, total) => setReplay({ played, total }),
+      });
+      replayRef.current = controller;
+      setReplay({ played: 0, total: controller.total });
+      controller.done.then(() => {
+        if (replayRef.current !== controller) return;
+        replayRef.current = null;
+        setReplay(null);
+      });
+    }).catch((err) => {
+      addError(`Failed to read ${file.name}: ${err.message}`);
+    });
+  };
+
+  // --- Device tabs ---
+  const getPatch = () => ({
+    name: currentPatchName(),
+    params: { ...params },
+    toneNotes: { ...toneNotes },
+    ...patchDataRef.current,
+  });
+
+  // Take over a patch from another tab and push it to this session's device
+  const applyPatch = (patch) => {
+    setParams((prev) => ({ ...prev, ...patch.params }));
+    setToneNotes({ ...DEFAULT_TONE_NOTES, ...patch.toneNotes });
+    setPresetName(patch.name || "\u2014");
+    patchDataRef.current = { rawData: patch.rawData || null, version: patch.version || 0 };
+    clearHistory();
+    setDirty(true);
+    if (transportRef.current) {
+      sendSysEx(buildPatchDump(patch.params, patch.name, {
+        isEditBuffer: true,
+        version: patch.version || 0,
+        rawData: patch.rawData || null,
+        deviceId: addressRef.current.deviceId,
+      }));
+    }
+  };
+
+  // Re-registered every render so the shell always sees current state
+  useEffect(() => {
+    onRegister?.(sessionId, { getPatch, applyPatch });
+  });
+
+  useEffect(() => () => onRegister?.(sessionId, null), [onRegister, sessionId]);
+
+  useEffect(() => {
+    onStatusChange?.(sessionId, { connected });
+  }, [onStatusChange, sessionId, connected]);
+
+  // Release the port and stop every pending transfer when the tab is closed
+  useEffect(() => () => {
+    transportRef.current?.close();
+    transportRef.current = null;
+    replayRef.current?.cancel();
+    fetchRef.current?.cancel();
+    clearTimeout(restoreRef.current?.timer);
+    restoreRef.current = null;
+    clearTimeout(readbackRef.current?.timer);
+    readbackRef.current = null;
+    clearTimeout(syncRef.current.timer);
+    clearTimeout(syncRef.current.replyTimer);
+  }, []);
+
+  // --- JSON patch files ---
+  const savePatchFile = () => {
+    const name = currentPatchName();
+    downloadFile(
+      `${toFileName(name, "patch")}.json`,
+      serializePatchFile({ name, params, toneNotes }),
+      "application/json"
+    );
+  };
+
+  const loadPatchFile = (file) => {
+    file.text().then((text) => {
+      const { patch, errors } = parsePatchFile(text);
+      if (!patch) {
+        addError(`Could not load ${file.name}: ${errors[0]}.`);
+        return;
+      }
+      if (errors.length > 0) {
+        addError(`${file.name}: skipped ${errors.length} invalid field${errors.length === 1 ? "" : "s"} (${errors.join("; ")}).`);
+      }
+      setParams((prev) => ({ ...prev, ...patch.params }));
+      setToneNotes((prev) => ({ ...prev, ...patch.toneNotes }));
+      setPresetName(patch.name || file.name.replace(/\.json$/i, ""));
+      patchDataRef.current = { rawData: null, version: 0 };
+      clearHistory();
+      setDirty(true);
+    }).catch((err) => {
+      addError(`Failed to read ${file.name}: ${err.message}`);
+    });
+  };
+
+  // One bulk request (the device streams back all 124 programs), then per-slot
+  // re-requests for any the stream dropped
+  const fetchAllPresets = () => {
+    if (!connected || fetchRef.current) return;
+    setPresets([]);
+    setFetchReport(null);
+    const { deviceId } = addressRef.current;
+    const transfer = createBankFetch({
+      total: PRESET_COUNT,
+      requestAll: () => sendSysEx(buildAllPresetsRequest(deviceId)),
+      requestSlot: (number) => sendSysEx(buildPresetRequest(number, deviceId)),
+      onUpdate: setFetchState,
+      onComplete: (report) => {
+        if (fetchRef.current === transfer) fetchRef.current = null;
+        setFetchState(null);
+        setFetchReport(report);
+        if (report.status === "incomplete") {
+          addError(`Fetch All: ${report.missing.length} of ${report.total} presets never arrived.`);
+        } else if (report.status === "unanswered") {
+          addError("Fetch All: the device sent nothing back. Check the MIDI ports and device ID.");
+        }
+      },
+    });
+    fetchRef.current = transfer;
+    transfer.start();
+  };
+
+  const cancelFetch = () => fetchRef.current?.cancel();
+
+  const loadPreset = (preset) => {
+    // Send program change to switch the device
+    sendProgramChange(preset.number);
+    // Update UI with the stored params
+    setParams((prev) => ({ ...prev, ...preset.params }));
+    setPresetName(preset.name || `Preset ${preset.number + 1}`);
+    setCurrentPreset(preset.number);
+    setToneNotes({ ...DEFAULT_TONE_NOTES, ...presetNotes[preset.number] });
+    patchDataRef.current = { rawData: preset.rawData || null, version: preset.version || 0 };
+    clearHistory();
+    setDirty(false);
+  };
+
+  // Tone notes belong to the library preset currently loaded (if any)
+  const handleToneNoteChange = (key, value) => {
+    const next = { ...toneNotes, [key]: value };
+    setToneNotes(next);
+    if (presets.some((p) => p.number === currentPreset)) {
+      setPresetNotes((prev) => ({ ...prev, [currentPreset]: next }));
+    }
+  };
+
+  // --- Select style used in dropdowns ---
+  const selectStyle = {
+    padding: "8px 12px",
+    background: COLORS.surface0,
+    border: `1px solid ${COLORS.border}`,
+    borderRadius: "6px",
+    color: COLORS.textPrimary,
+    fontSize: "12px",
+    fontFamily: "'Outfit', sans-serif",
+    fontWeight: 500,
+    maxWidth: "200px",
+  };
+
+  // --- Connectable ports ---
+  // Without Web MIDI only the simulator and the WebSocket bridge can be connected
+  const isVirtualPort = (id) => VIRTUAL_PORTS.some((port) => port.id === id);
+  const canConnect = Boolean(selectedInput && selectedOutput) &&
+    (midiSupported || (isVirtualPort(selectedInput) && isVirtualPort(selectedOutput)));
+  const usesBridge = selectedInput === BRIDGE_PORT_ID || selectedOutput === BRIDGE_PORT_ID;
+
+  // MIDI Monitor view; while paused, count what arrived after the frozen snapshot
+  const visibleLog = filterLogEntries(pausedLog ?? log, logFilter);
+  const bufferedCount = pausedLog ? log.length - 1 - log.findIndex((e) => e.id === pausedLog.at(-1)?.id) : 0;
+
+  // --- Secondary action button style ---
+  const actionButtonStyle = (enabled) => ({
+    padding: "6px 14px",
+    background: "transparent",
+    border: `1px solid ${COLORS.border}`,
+    borderRadius: "6px",
+    color: COLORS.textSecondary,
+    fontSize: "11px",
+    fontWeight: 600,
+    cursor: enabled ? "pointer" : "default",
+    fontFamily: "'Outfit', sans-serif",
+    opacity: enabled ? 1 : 0.5,
+    transition: "all 150ms ease",
+  });
+
+  // --- Section label style ---
+  const sectionLabel = (text, toggle) => (
+    <div
+      style={{
+        fontSize: "13px",
+        color: COLORS.textSecondary,
+        letterSpacing: "0.5px",
+        textTransform: "uppercase",
+        fontFamily: "'Outfit', sans-serif",
+        fontWeight: 600,
+        marginBottom: "12px",
+        display: "flex",
+        alignItems: "center",
+        gap: "8px",
+      }}
+    >
+      {toggle && (
+        <button
+          onClick={toggle.onToggle}
+          role="switch"
+          aria-checked={toggle.active}
+          aria-label={`${text} ${toggle.active ? "on" : "off"}`}
+          style={{
+            width: "28px",
+            height: "14px",
             borderRadius: "7px",
             border: "none",
             background: toggle.active ? COLORS.accent : COLORS.surface3,
@@ -1176,21 +2049,1379 @@ export default function PocketPodEditor() {
             flexShrink: 0,
           }}
         >
-          <span style={{
-            position: "absolute",
-            top: "2px",
-            left: toggle.active ? "14px" : "2px",
-            width: "10px",
-            height: "10px",
-            borderRadius: "50%",
-            background: toggle.active ? COLORS.textOnAccent : COLORS.textMuted,
-            transition: "left 150ms ease",
-          }} />
-        </button>
-      )}
-      {text}
+          <span style={{
+            position: "absolute",
+            top: "2px",
+            left: toggle.active ? "14px" : "2px",
+            width: "10px",
+            height: "10px",
+            borderRadius: "50%",
+            background: toggle.active ? COLORS.textOnAccent : COLORS.textMuted,
+            transition: "left 150ms ease",
+          }} />
+        </button>
+      )}
+      {text}
+    </div>
+  );
+
+  return (
+    <div className="app-layout" data-session={sessionId} style={{ display: active ? "grid" : "none", gridTemplateColumns: "340px minmax(0, 960px)", gridTemplateRows: "auto 1fr", justifyContent: "center", flex: 1 }}>
+
+        {/* ============ MIDI CONNECTION (Row 1, Col 1) ============ */}
+        <BevelPanel className="midi-connection" variant="sidebar" style={{ padding: "12px", gridColumn: 1, gridRow: 1, display: "flex", flexDirection: "column" }}>
+          {sectionLabel("MIDI Connection")}
+          <div style={{ display: "flex", flexDirection: "column", gap: "8px" }}>
+            <div>
+              <label style={{ display: "block", fontSize: "11px", color: COLORS.textSecondary, marginBottom: "4px", fontWeight: 500 }}>
+                MIDI Input
+              </label>
+              <select
+                value={selectedInput}
+                onChange={(e) => setSelectedInput(e.target.value)}
+                disabled={connected}
+                style={{ width: "100%", padding: "8px 10px", background: COLORS.surface0, border: `1px solid ${COLORS.border}`, borderRadius: "6px", color: COLORS.textPrimary, fontSize: "12px", fontFamily: "'Outfit', sans-serif" }}
+              >
+                <option value="">Select input...</option>
+                {inputs.map((i) => (
+                  <option key={i.id} value={i.id}>{i.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label style={{ display: "block", fontSize: "11px", color: COLORS.textSecondary, marginBottom: "4px", fontWeight: 500 }}>
+                MIDI Output
+              </label>
+              <select
+                value={selectedOutput}
+                onChange={(e) => setSelectedOutput(e.target.value)}
+                disabled={connected}
+                style={{ width: "100%", padding: "8px 10px", background: COLORS.surface0, border: `1px solid ${COLORS.border}`, borderRadius: "6px", color: COLORS.textPrimary, fontSize: "12px", fontFamily: "'Outfit', sans-serif" }}
+              >
+                <option value="">Select output...</option>
+                {outputs.map((o) => (
+                  <option key={o.id} value={o.id}>{o.name}</option>
+                ))}
+              </select>
+            </div>
+            {usesBridge && (
+              <div>
+                <label htmlFor={`${fieldId}-bridge-url`} style={{ display: "block", fontSize: "11px", color: COLORS.textSecondary, marginBottom: "4px", fontWeight: 500 }}>
+                  Bridge URL
+                </label>
+                <input
+                  id={`${fieldId}-bridge-url`}
+                  type="text"
+                  value={bridgeUrl}
+                  onChange={(e) => setBridgeUrl(e.target.value)}
+                  disabled={connected}
+                  style={{ width: "100%", padding: "8px 10px", background: COLORS.surface0, border: `1px solid ${COLORS.border}`, borderRadius: "6px", color: COLORS.textPrimary, fontSize: "12px", fontFamily: "'JetBrains Mono', monospace" }}
+                />
+              </div>
+            )}
+            <div style={{ display: "flex", gap: "8px" }}>
+              <div style={{ flex: 1 }}>
+                <label htmlFor={`${fieldId}-midi-channel`} style={{ display: "block", fontSize: "11px", color: COLORS.textSecondary, marginBottom: "4px", fontWeight: 500 }}>
+                  MIDI Channel
+                </label>
+                <select
+                  id={`${fieldId}-midi-channel`}
+                  value={midiChannel}
+                  onChange={(e) => setMidiChannel(e.target.value === MIDI_CHANNEL_OMNI ? MIDI_CHANNEL_OMNI : Number(e.target.value))}
+                  disabled={connected}
+                  style={{ width: "100%", padding: "8px 10px", background: COLORS.surface0, border: `1px solid ${COLORS.border}`, borderRadius: "6px", color: COLORS.textPrimary, fontSize: "12px", fontFamily: "'Outfit', sans-serif" }}
+                >
+                  <option value={MIDI_CHANNEL_OMNI}>Omni</option>
+                  {Array.from({ length: 16 }, (_, ch) => (<option key={ch} value={ch}>{ch + 1}</option>))}
+                </select>
+              </div>
+              <div style={{ flex: 1 }}>
+                <label htmlFor={`${fieldId}-sysex-device-id`} style={{ display: "block", fontSize: "11px", color: COLORS.textSecondary, marginBottom: "4px", fontWeight: 500 }}>
+                  Device ID
+                </label>
+                <input
+                  id={`${fieldId}-sysex-device-id`}
+                  type="number"
+                  min={0}
+                  max={127}
+                  value={sysexDeviceId}
+                  onChange={(e) => setSysexDeviceId(Math.max(0, Math.min(127, Math.round(Number(e.target.value)) || 0)))}
+                  disabled={connected}
+                  title="SysEx device ID (byte 5 of Pocket POD SysEx)"
+                  style={{ width: "100%", padding: "8px 10px", background: COLORS.surface0, border: `1px solid ${COLORS.border}`, borderRadius: "6px", color: COLORS.textPrimary, fontSize: "12px", fontFamily: "'JetBrains Mono', monospace" }}
+                />
+              </div>
+            </div>
+            <div style={{ display: "flex", alignItems: "center", gap: "8px", marginTop: "4px" }}>
+              <button
+                onClick={connected ? () => disconnect() : connect}
+                disabled={!connected && !canConnect}
+                style={{
+                  flex: 1,
+                  padding: "8px 16px",
+                  background: connected ? "transparent" : COLORS.accent,
+                  border: connected ? `1px solid ${COLORS.border}` : "none",
+                  borderRadius: "6px",
+                  color: connected ? COLORS.textSecondary : COLORS.textOnAccent,
+                  fontWeight: 600,
+                  fontSize: "12px",
+                  cursor: "pointer",
+                  fontFamily: "'Outfit', sans-serif",
+                  transition: "all 150ms ease",
+                  opacity: (!connected && !canConnect) ? 0.5 : 1,
+                }}
+              >
+                {connected ? "Disconnect" : "Connect"}
+              </button>
+              <LED active={connected} color="green" size={8} />
+              <span style={{ fontSize: "11px", color: connected ? COLORS.success : COLORS.textMuted, fontFamily: "'JetBrains Mono', monospace", fontWeight: 500 }}>
+                {connected ? "ON" : "OFF"}
+              </span>
+            </div>
+          </div>
+          {deviceInfo && (
+            <div style={{ marginTop: "8px", padding: "6px 8px", background: COLORS.surface0, borderRadius: "6px", fontFamily: "'JetBrains Mono', monospace", fontSize: "11px" }}>
+              <span style={{ color: COLORS.textMuted }}>Device: </span>
+              <span style={{ color: COLORS.success }}>Pocket POD v{deviceInfo.version}</span>
+            </div>
+          )}
+        </BevelPanel>
+
+        {/* ============ PRESET LIBRARY (Row 2, Col 1) ============ */}
+        <div className="preset-library-container" style={{ gridColumn: 1, gridRow: 2, position: "sticky", top: 0, alignSelf: "start", maxHeight: "100vh", overflowY: "auto" }}>
+        <BevelPanel className="preset-library" variant="sidebar" style={{ padding: "12px", display: "flex", flexDirection: "column", height: "100%" }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "12px" }}>
+            {sectionLabel("Preset Library")}
+            <div style={{ display: "flex", gap: "8px", alignItems: "center" }}>
+              {fetchState && (
+                <>
+                  <span style={{ fontSize: "11px", color: COLORS.warning, fontFamily: "'JetBrains Mono', monospace", fontWeight: 500 }}>
+                    {fetchState.phase === "retrying"
+                      ? `Retrying ${String(fetchState.retrying + 1).padStart(3, "0")} (${fetchState.missing.length} missing)`
+                      : `${fetchState.received}/${fetchState.total}`}
+                  </span>
+                  <button onClick={cancelFetch} aria-label="Cancel fetch" style={{ ...actionButtonStyle(true), padding: "6px 10px" }}>
+                    Cancel
+                  </button>
+                </>
+              )}
+              <button
+                onClick={fetchAllPresets}
+                disabled={!connected || fetchingPresets}
+                style={{
+                  padding: "6px 14px",
+                  background: fetchingPresets ? COLORS.surface2 : COLORS.accent,
+                  border: fetchingPresets ? `1px solid ${COLORS.border}` : "none",
+                  borderRadius: "6px",
+                  color: fetchingPresets ? COLORS.textMuted : COLORS.textOnAccent,
+                  fontWeight: 600,
+                  fontSize: "11px",
+                  cursor: fetchingPresets || !connected ? "default" : "pointer",
+                  fontFamily: "'Outfit', sans-serif",
+                  opacity: !connected ? 0.5 : 1,
+                  transition: "all 150ms ease",
+                }}
+              >
+                {fetchingPresets ? "Fetching..." : "Fetch All"}
+              </button>
+            </div>
+          </div>
+
+          {/* Library actions */}
+          <div className="library-actions" style={{ display: "flex", gap: "8px", flexWrap: "wrap", marginBottom: "8px" }}>
+            <input
+              ref={syxInputRef}
+              type="file"
+              accept=".syx"
+              aria-label="Import .syx file"
+              style={{ display: "none" }}
+              onChange={(e) => {
+                const file = e.target.files?.[0];
+                if (file) importSysExFile(file);
+                e.target.value = "";
+              }}
+            />
+            <button onClick={() => syxInputRef.current?.click()} style={actionButtonStyle(true)}>
+              Import .syx
+            </button>
+            <button
+              onClick={exportBankSysEx}
+              disabled={presets.length === 0}
+              title="Download the whole library as one .syx bank"
+              style={actionButtonStyle(presets.length > 0)}
+            >
+              Export Bank
+            </button>
+            <button
+              onClick={() => {
+                setSaveSlotTarget(currentPreset);
+                setSaveSlotOpen((open) => !open);
+              }}
+              disabled={!connected}
+              style={actionButtonStyle(connected)}
+            >
+              Save to slot&hellip;
+            </button>
+            {!restore && (
+              <button
+                onClick={startRestore}
+                disabled={!connected || presets.length === 0 || fetchingPresets}
+                title="Upload every library preset back to the device"
+                style={actionButtonStyle(connected && presets.length > 0 && !fetchingPresets)}
+              >
+                Restore All
+              </button>
+            )}
+            {restore?.status === "sending" && (
+              <button onClick={cancelRestore} style={actionButtonStyle(true)}>
+                Cancel Restore
+              </button>
+            )}
+            {restore?.status === "paused" && (
+              <>
+                <button onClick={resumeRestore} disabled={!connected} style={actionButtonStyle(connected)}>
+                  Resume Restore
+                </button>
+                <button onClick={discardRestore} style={actionButtonStyle(true)}>
+                  Discard
+                </button>
+              </>
+            )}
+          </div>
+
+          {/* Restore progress */}
+          {restore && (
+            <div style={{ marginBottom: "8px" }}>
+              <div style={{ display: "flex", justifyContent: "space-between", fontSize: "11px", color: COLORS.warning, fontFamily: "'JetBrains Mono', monospace", fontWeight: 500, marginBottom: "4px" }}>
+                <span>
+                  {restore.status === "sending" && "Restoring..."}
+                  {restore.status === "paused" && "Restore paused"}
+                  {restore.status === "verifying" && "Verifying..."}
+                </span>
+                <span>{restore.sent}/{restore.total}</span>
+              </div>
+              <div style={{ height: "4px", background: COLORS.surface0, borderRadius: "2px", overflow: "hidden" }}>
+                <div style={{ height: "100%", width: `${(restore.sent / restore.total) * 100}%`, background: COLORS.accent, borderRadius: "2px", transition: "width 80ms linear" }} />
+              </div>
+            </div>
+          )}
+
+          {/* Restore verification report */}
+          {restoreReport && (
+            <div className="restore-report" style={{ marginBottom: "8px", padding: "6px 8px", background: COLORS.surface0, borderRadius: "6px", fontFamily: "'JetBrains Mono', monospace", fontSize: "11px" }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                <span style={{ color: restoreReport.failed.length ? COLORS.error : COLORS.success }}>
+                  Restore verified {restoreReport.verified}/{restoreReport.verified + restoreReport.failed.length}
+                </span>
+                <button onClick={() => setRestoreReport(null)} aria-label="Dismiss restore report" style={{ background: "none", border: "none", color: COLORS.textMuted, cursor: "pointer", fontSize: "14px", padding: "0 4px" }}>×</button>
+              </div>
+              {restoreReport.failed.map(({ number, reason }) => (
+                <div key={number} style={{ color: COLORS.error, marginTop: "2px" }}>
+                  {String(number + 1).padStart(3, "0")}: {reason}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Save to slot form */}
+          {saveSlotOpen && connected && (
+            <div style={{ display: "flex", gap: "8px", alignItems: "center", marginBottom: "8px" }}>
+              <select
+                aria-label="Target slot"
+                value={saveSlotTarget}
+                onChange={(e) => setSaveSlotTarget(Number(e.target.value))}
+                style={{ ...selectStyle, flex: 1 }}
+              >
+                {Array.from({ length: PRESET_COUNT }, (_, n) => {
+                  const existing = presets.find((p) => p.number === n);
+                  return (
+                    <option key={n} value={n}>
+                      {String(n + 1).padStart(3, "0")} {existing?.name || ""}
+                    </option>
+                  );
+                })}
+              </select>
+              <button
+                onClick={() => saveToSlot(saveSlotTarget)}
+                disabled={slotStatus?.type === "verifying"}
+                style={{ ...actionButtonStyle(slotStatus?.type !== "verifying"), background: COLORS.accent, border: "none", color: COLORS.textOnAccent }}
+              >
+                Save
+              </button>
+              <button onClick={() => setSaveSlotOpen(false)} style={actionButtonStyle(true)}>
+                Cancel
+              </button>
+            </div>
+          )}
+
+          {slotStatus && (
+            <div role="status" style={{ fontSize: "11px", color: slotStatus.type === "ok" ? COLORS.success : COLORS.warning, fontFamily: "'JetBrains Mono', monospace", fontWeight: 500, marginBottom: "8px" }}>
+              {slotStatus.text}
+            </div>
+          )}
+
+          {/* Progress bar */}
+          {fetchState && (
+            <div style={{ height: "4px", background: COLORS.surface0, borderRadius: "2px", marginBottom: "8px", overflow: "hidden" }}>
+              <div style={{ height: "100%", width: `${(fetchState.received / fetchState.total) * 100}%`, background: COLORS.accent, borderRadius: "2px", transition: "width 80ms linear" }} />
+            </div>
+          )}
+
+          {/* Fetch report */}
+          {fetchReport && (
+            <div className="fetch-report" role="status" style={{ marginBottom: "8px", padding: "6px 8px", background: COLORS.surface0, borderRadius: "6px", fontFamily: "'JetBrains Mono', monospace", fontSize: "11px" }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                <span style={{ color: fetchReport.status === "complete" ? COLORS.success : fetchReport.status === "cancelled" ? COLORS.warning : COLORS.error }}>
+                  {fetchReport.status === "unanswered" ? "No answer from the device"
+                    : `${fetchReport.status === "cancelled" ? "Fetch cancelled at" : "Fetched"} ${fetchReport.received}/${fetchReport.total}`}
+                </span>
+                <button onClick={() => setFetchReport(null)} aria-label="Dismiss fetch report" style={{ background: "none", border: "none", color: COLORS.textMuted, cursor: "pointer", fontSize: "14px", padding: "0 4px" }}>×</button>
+              </div>
+              {fetchReport.recovered.length > 0 && (
+                <div style={{ color: COLORS.textSecondary, marginTop: "2px" }}>
+                  Recovered by re-request: {fetchReport.recovered.map((n) => String(n + 1).padStart(3, "0")).join(", ")}
+                </div>
+              )}
+              {fetchReport.status === "incomplete" && (
+                <div style={{ color: COLORS.error, marginTop: "2px" }}>
+                  Missing: {fetchReport.missing.map((n) => String(n + 1).padStart(3, "0")).join(", ")}
+                </div>
+              )}
+            </div>
+          )}
+
+          {!connected && presets.length > 0 && (
+            <div style={{ fontSize: "11px", color: COLORS.textMuted, fontFamily: "'Outfit', sans-serif", marginBottom: "6px" }}>
+              Saved library (offline)
+            </div>
+          )}
+
+          {/* Preset list */}
+          {presets.length > 0 && (
+            <div style={{ flex: 1, overflowY: "auto", background: COLORS.surface0, borderRadius: "6px", border: `1px solid ${COLORS.borderSubtle}` }}>
+              {presets.map((preset) => (
+                <button
+                  key={preset.number}
+                  onClick={() => loadPreset(preset)}
+                  aria-label={`Load preset ${preset.number + 1}: ${preset.name || "unnamed"}`}
+                  style={{
+                    display: "flex",
+                    gap: "12px",
+                    width: "100%",
+                    padding: "8px 12px",
+                    background: currentPreset === preset.number ? COLORS.accentMuted : "transparent",
+                    border: "none",
+                    borderBottom: `1px solid ${COLORS.borderSubtle}`,
+                    cursor: "pointer",
+                    textAlign: "left",
+                    fontFamily: "'Outfit', sans-serif",
+                    fontSize: "12px",
+                    color: currentPreset === preset.number ? COLORS.accent : COLORS.textPrimary,
+                    transition: "background 100ms ease",
+                  }}
+                  onMouseEnter={(e) => {
+                    if (currentPreset !== preset.number) e.currentTarget.style.background = COLORS.surface2;
+                  }}
+                  onMouseLeave={(e) => {
+                    if (currentPreset !== preset.number) e.currentTarget.style.background = "transparent";
+                  }}
+                >
+                  <span style={{ minWidth: "32px", color: COLORS.textMuted, fontFamily: "'JetBrains Mono', monospace", fontSize: "11px", fontWeight: 500 }}>
+                    {String(preset.number + 1).padStart(3, "0")}
+                  </span>
+                  <span>{preset.name || `Preset ${preset.number + 1}`}</span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          {presets.length === 0 && !fetchingPresets && (
+            <div style={{ color: COLORS.textMuted, fontSize: "12px", fontFamily: "'Outfit', sans-serif", textAlign: "center", padding: "16px" }}>
+              {connected ? "Click \"Fetch All\" to load presets" : "Connect to fetch presets"}
+            </div>
+          )}
+        </BevelPanel>
+        </div>
+
+      {/* ============ HEADER AREA (Row 1, Col 2) ============ */}
+      <div className="header-area" style={{ gridColumn: 2, gridRow: 1, display: "flex", flexDirection: "column" }}>
+
+      {/* MIDI Not Supported Warning */}
+      {!midiSupported && (
+        <div style={{ background: COLORS.errorBg, border: `1px solid ${COLORS.error}33`, borderRadius: "0", padding: "10px 16px", display: "flex", alignItems: "center", gap: "10px", fontSize: "13px", margin: "8px 0" }}>
+          <LED active color="red" size={8} />
+          <div>
+            <strong style={{ color: COLORS.error }}>Web MIDI API Not Available</strong>
+            <span style={{ color: COLORS.textSecondary, marginLeft: "8px" }}>Use Chrome/Edge over HTTPS or localhost.</span>
+          </div>
+        </div>
+      )}
+
+      {/* Error banners */}
+      {errors.map((err) => (
+        <div key={err.id} role="alert" style={{ background: COLORS.errorBg, border: `1px solid ${COLORS.error}33`, borderRadius: "0", padding: "10px 16px", display: "flex", alignItems: "center", gap: "10px", fontSize: "13px", marginTop: "4px" }}>
+          <LED active color="red" size={8} />
+          <span style={{ flex: 1, color: COLORS.error }}>{err.message}</span>
+          <button onClick={() => dismissError(err.id)} aria-label="Dismiss error" style={{ background: "none", border: "none", color: COLORS.error, cursor: "pointer", fontSize: "16px", padding: "0 4px" }}>×</button>
+        </div>
+      ))}
+
+      {/* Device timeout warning */}
+      {deviceTimeout && connected && (
+        <div role="alert" style={{ background: COLORS.warningBg, border: `1px solid ${COLORS.warning}33`, borderRadius: "0", padding: "10px 16px", display: "flex", alignItems: "center", gap: "10px", fontSize: "13px", marginTop: "4px" }}>
+          <LED active color="amber" size={8} />
+          <span style={{ color: COLORS.warning }}>No response from device for 10+ seconds. Check connection.</span>
+        </div>
+      )}
+
+      {/* Hot-plug: ports gone, waiting for the device to return */}
+      {linkLost && connected && (
+        <div role="alert" style={{ background: COLORS.warningBg, border: `1px solid ${COLORS.warning}33`, borderRadius: "0", padding: "10px 16px", display: "flex", alignItems: "center", gap: "10px", fontSize: "13px", marginTop: "4px" }}>
+          <LED active color="amber" size={8} />
+          <span style={{ color: COLORS.warning }}>Pocket POD unplugged. Reconnecting when it comes back; unsaved edits are kept.</span>
+        </div>
+      )}
+
+      {/* ============ HEADER PANEL ============ */}
+      <BevelPanel className="header-panel" style={{ padding: "20px", flex: 1 }}>
+        {/* Display panel */}
+        <div style={{ display: "flex", gap: "8px", marginBottom: "16px" }}>
+        <div style={{ flex: 1, background: COLORS.displayBg, border: `1px solid ${COLORS.border}`, borderRadius: "0", padding: "12px 20px", textAlign: "center" }}>
+          <div style={{ fontFamily: "'JetBrains Mono', monospace", fontSize: "16px", color: COLORS.displayText, fontWeight: 600, textShadow: `0 0 12px ${COLORS.displayText}33` }}>
+            {presetName}
+          </div>
+          <div style={{ fontFamily: "'JetBrains Mono', monospace", fontSize: "11px", color: COLORS.textSecondary, marginTop: "4px" }}>
+            {AMP_MODELS[params.ampModel] || "—"} <span style={{ color: COLORS.textMuted }}>/</span> {EFFECT_TYPES[params.effect] || "—"} <span style={{ color: COLORS.textMuted }}>/</span> {CAB_MODELS[params.cabModel]?.split(" ").slice(0, 2).join(" ") || "—"}
+          </div>
+        </div>
+
+        {/* A/B compare slots */}
+        <div className="ab-compare" role="group" aria-label="A/B compare" style={{ display: "flex", flexDirection: "column", gap: "4px", justifyContent: "center" }}>
+          <div style={{ display: "flex", gap: "4px" }}>
+            {["A", "B"].map((slot) => (
+              <button
+                key={slot}
+                onClick={() => switchCompareSlot(slot)}
+                aria-pressed={compare.active === slot}
+                title={`Compare slot ${slot}`}
+                style={{
+                  ...actionButtonStyle(true),
+                  flex: 1,
+                  padding: "6px 10px",
+                  fontFamily: "'JetBrains Mono', monospace",
+                  background: compare.active === slot ? COLORS.accentMuted : "transparent",
+                  color: compare.active === slot ? COLORS.accent : COLORS.textSecondary,
+                  borderColor: compare.active === slot ? COLORS.accent : COLORS.border,
+                }}
+              >
+                {slot}
+              </button>
+            ))}
+          </div>
+          <button onClick={copyCompareAToB} title="Copy slot A into slot B" style={{ ...actionButtonStyle(true), padding: "4px 8px", fontSize: "10px" }}>
+            Copy A→B
+          </button>
+        </div>
+        </div>
+
+        {/* Edit buffer actions */}
+        <div className="patch-actions" style={{ display: "flex", gap: "8px", justifyContent: "center", flexWrap: "wrap", marginBottom: "16px" }}>
+          <button onClick={undo} disabled={history.past.length === 0} title="Undo (Ctrl+Z)" style={actionButtonStyle(history.past.length > 0)}>
+            Undo
+          </button>
+          <button onClick={redo} disabled={history.future.length === 0} title="Redo (Ctrl+Shift+Z)" style={actionButtonStyle(history.future.length > 0)}>
+            Redo
+          </button>
+          <button
+            onClick={sendEditBuffer}
+            disabled={!connected}
+            title="Send the complete edit buffer to the device as one patch dump"
+            style={actionButtonStyle(connected)}
+          >
+            Send to POD
+          </button>
+          <button onClick={exportPatchSysEx} title="Download the edit buffer as a .syx patch dump" style={actionButtonStyle(true)}>
+            Export .syx
+          </button>
+          <button onClick={savePatchFile} title="Save patch and tone notes as a JSON file" style={actionButtonStyle(true)}>
+            Save JSON
+          </button>
+          <input
+            ref={jsonInputRef}
+            type="file"
+            accept=".json,application/json"
+            aria-label="Load JSON patch file"
+            style={{ display: "none" }}
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              if (file) loadPatchFile(file);
+              e.target.value = "";
+            }}
+          />
+          <button onClick={() => jsonInputRef.current?.click()} style={actionButtonStyle(true)}>
+            Load JSON
+          </button>
+          <button onClick={() => setDiffOpen((v) => !v)} aria-pressed={diffOpen} title="Show changed parameters" style={actionButtonStyle(true)}>
+            {diffOpen ? "Hide Diff" : "Diff"}
+          </button>
+          <label
+            title="Re-read the device edit buffer after edits settle and flag differences"
+            style={{ display: "flex", alignItems: "center", gap: "4px", fontSize: "11px", color: COLORS.textSecondary, fontFamily: "'Outfit', sans-serif" }}
+          >
+            <input type="checkbox" checked={syncCheck} onChange={(e) => toggleSyncCheck(e.target.checked)} />
+            Sync check
+          </label>
+        </div>
+
+        {/* Model selectors row */}
+        <div style={{ display: "flex", gap: "12px", flexWrap: "wrap", justifyContent: "center", alignItems: "flex-start" }}>
+          <div style={{ flex: 1, minWidth: "140px" }}>
+            <div style={{ fontSize: "11px", color: COLORS.textSecondary, marginBottom: "4px", fontWeight: 500 }}>Amp Model</div>
+            <select value={params.ampModel} onChange={(e) => handleParamChange("ampModel", Number(e.target.value))} style={{ ...selectStyle, width: "100%", maxWidth: "none" }}>
+              {AMP_MODELS.map((name, i) => (<option key={i} value={i}>{name}</option>))}
+            </select>
+          </div>
+          <div style={{ flex: 1, minWidth: "140px" }}>
+            <div style={{ fontSize: "11px", color: COLORS.textSecondary, marginBottom: "4px", fontWeight: 500 }}>Effect Type</div>
+            <select value={params.effect} onChange={(e) => handleParamChange("effect", Number(e.target.value))} style={{ ...selectStyle, width: "100%", maxWidth: "none" }}>
+              {EFFECT_TYPES.map((name, i) => (<option key={i} value={i}>{name}</option>))}
+            </select>
+          </div>
+          <div style={{ flex: 1, minWidth: "140px" }}>
+            <div style={{ fontSize: "11px", color: COLORS.textSecondary, marginBottom: "4px", fontWeight: 500 }}>Cabinet</div>
+            <select value={params.cabModel} onChange={(e) => handleParamChange("cabModel", Number(e.target.value))} style={{ ...selectStyle, width: "100%", maxWidth: "none" }}>
+              {CAB_MODELS.map((name, i) => (<option key={i} value={i}>{name}</option>))}
+            </select>
+          </div>
+          <ChromeKnob value={params.air} min={0} max={127} label="Air" onChange={(v) => handleParamChange("air", v)} size="sm" {...historyGroupProps} />
+        </div>
+      </BevelPanel>
+      </div>
+
+      {/* ============ MAIN CONTENT (Row 2, Col 2) ============ */}
+      <div className="main-content" style={{ gridColumn: 2, gridRow: 2 }}>
+
+      {/* ============ DEVICE DRIFT ============ */}
+      {drift && (
+        <BevelPanel className="sync-drift" style={{ padding: "12px", border: `1px solid ${COLORS.warning}66` }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: "8px", flexWrap: "wrap", marginBottom: "8px" }}>
+            {sectionLabel("Device Drift")}
+            <div style={{ display: "flex", gap: "6px", alignItems: "center" }}>
+              <button onClick={pushUiToDevice} disabled={!connected} title="Send the editor's values to the device edit buffer" style={actionButtonStyle(connected)}>
+                Push UI to Device
+              </button>
+              <button onClick={pullDeviceToUi} title="Take the device's values into the editor" style={actionButtonStyle(true)}>
+                Pull Device to UI
+              </button>
+            </div>
+          </div>
+          <div role="table" aria-label="Device drift" style={{ fontFamily: "'JetBrains Mono', monospace", fontSize: "11px" }}>
+            <div role="row" style={{ display: "flex", gap: "8px", padding: "3px 0", color: COLORS.textMuted }}>
+              <span role="columnheader" style={{ flex: "0 0 140px" }}>Param</span>
+              <span role="columnheader" style={{ flex: 1 }}>UI</span>
+              <span role="columnheader" style={{ flex: 1 }}>Device</span>
+            </div>
+            {drift.rows.map(({ key, from, to }) => (
+              <div key={key} role="row" style={{ display: "flex", gap: "8px", padding: "3px 0", borderBottom: `1px solid ${COLORS.borderSubtle}` }}>
+                <span role="cell" style={{ color: COLORS.textPrimary, flex: "0 0 140px" }}>{MIDI_CC_MAP[key]?.name || key}</span>
+                <span role="cell" style={{ color: COLORS.accent, flex: 1 }}>{formatParamValue(key, from)}</span>
+                <span role="cell" style={{ color: COLORS.warning, flex: 1 }}>{formatParamValue(key, to)}</span>
+              </div>
+            ))}
+          </div>
+        </BevelPanel>
+      )}
+
+      {/* ============ PARAM DIFF ============ */}
+      {diffOpen && (
+        <BevelPanel className="param-diff" style={{ padding: "12px" }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: "8px", flexWrap: "wrap", marginBottom: "8px" }}>
+            {sectionLabel("Changes")}
+            <div style={{ display: "flex", gap: "6px", alignItems: "center" }}>
+              <select
+                aria-label="Compare from"
+                value={diffFrom === null ? "" : String(diffFrom)}
+                onChange={(e) => setDiffFrom(e.target.value === "" ? null : Number(e.target.value))}
+                style={selectStyle}
+              >
+                <option value="">Loaded preset ({String(currentPreset + 1).padStart(3, "0")})</option>
+                {presets.map((p) => (
+                  <option key={p.number} value={p.number}>{String(p.number + 1).padStart(3, "0")} {p.name}</option>
+                ))}
+              </select>
+              <span style={{ color: COLORS.textMuted, fontSize: "11px" }}>vs</span>
+              <select
+                aria-label="Compare to"
+                value={String(diffTo)}
+                onChange={(e) => setDiffTo(e.target.value === "edit" ? "edit" : Number(e.target.value))}
+                style={selectStyle}
+              >
+                <option value="edit">Edit buffer</option>
+                {presets.map((p) => (
+                  <option key={p.number} value={p.number}>{String(p.number + 1).padStart(3, "0")} {p.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          {diffFromPreset && diffToParams ? (
+            <ParamDiffPanel rows={diffRows} onRevert={revertDiffParam} />
+          ) : (
+            <div style={{ color: COLORS.textMuted, fontSize: "12px", fontFamily: "'Outfit', sans-serif", textAlign: "center", padding: "12px" }}>
+              Fetch or import presets to compare against the library
+            </div>
+          )}
+        </BevelPanel>
+      )}
+
+      {/* ============ MAIN KNOBS ROW ============ */}
+      <BevelPanel className="amp-controls" style={{ padding: "16px 20px" }}>
+        {sectionLabel("Amp Controls")}
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-around",
+            alignItems: "flex-start",
+            flexWrap: "wrap",
+            gap: "12px",
+          }}
+        >
+          <ChromeKnob
+            value={params.drive}
+            min={0}
+            max={127}
+            label="Drive"
+            onChange={(v) => handleParamChange("drive", v)}
+            {...historyGroupProps}
+            size="lg"
+          />
+          <ChromeKnob
+            value={params.bass}
+            min={0}
+            max={127}
+            label="Bass"
+            onChange={(v) => handleParamChange("bass", v)}
+            {...unitProps("bass")}
+            {...historyGroupProps}
+            size="lg"
+          />
+          <ChromeKnob
+            value={params.mid}
+            min={0}
+            max={127}
+            label="Mid"
+            onChange={(v) => handleParamChange("mid", v)}
+            {...unitProps("mid")}
+            {...historyGroupProps}
+            size="lg"
+          />
+          <ChromeKnob
+            value={params.treble}
+            min={0}
+            max={127}
+            label="Treble"
+            onChange={(v) => handleParamChange("treble", v)}
+            {...unitProps("treble")}
+            {...historyGroupProps}
+            size="lg"
+          />
+          <ChromeKnob
+            value={params.presence}
+            min={0}
+            max={127}
+            label="Presence"
+            onChange={(v) => handleParamChange("presence", v)}
+            {...historyGroupProps}
+            size="lg"
+          />
+          <ChromeKnob
+            value={params.chanVol}
+            min={0}
+            max={127}
+            label="Chan Vol"
+            onChange={(v) => handleParamChange("chanVol", v)}
+            {...historyGroupProps}
+            size="lg"
+          />
+        </div>
+      </BevelPanel>
+
+      {/* ============ NOISE GATE / TOGGLES / REVERB DETAIL ROW ============ */}
+      <div className="gate-toggles-reverb-row" style={{ display: "flex", gap: "0", borderTop: `1px solid ${COLORS.border}` }}>
+        {/* Noise Gate */}
+        <BevelPanel className="noise-gate" style={{ flex: "1 1 180px", padding: "12px" }}>
+          {sectionLabel("Noise Gate", {
+            active: params.noise_gate_enable === 1,
+            onToggle: () => handleParamChange("noise_gate_enable", params.noise_gate_enable === 1 ? 0 : 1),
+          })}
+          <div style={{ display: "flex", gap: "8px", justifyContent: "center" }}>
+            <ChromeKnob
+              value={params.noise_gate}
+              min={0}
+              max={127}
+              label="Thresh"
+              onChange={(v) => handleParamChange("noise_gate", v)}
+              {...unitProps("noise_gate")}
+              {...historyGroupProps}
+              size="md"
+            />
+            <ChromeKnob
+              value={params.noise_gate_decay}
+              min={0}
+              max={127}
+              label="Decay"
+              onChange={(v) => handleParamChange("noise_gate_decay", v)}
+              {...historyGroupProps}
+              size="md"
+            />
+          </div>
+        </BevelPanel>
+
+        {/* Toggle switches */}
+        <BevelPanel className="toggles" style={{ flex: "0 0 130px", padding: "12px", display: "flex", flexDirection: "column", gap: "10px" }}>
+          {sectionLabel("Toggles")}
+          {[
+            { label: "Dist", param: "dist_enable" },
+            { label: "Drive", param: "drive_enable" },
+            { label: "EQ", param: "eq_enable" },
+            { label: "Bright", param: "bright_switch" },
+          ].map(({ label, param }) => (
+            <div key={param} style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+              <button
+                onClick={() => handleParamChange(param, params[param] === 1 ? 0 : 1)}
+                role="switch"
+                aria-checked={params[param] === 1}
+                aria-label={`${label} ${params[param] === 1 ? "on" : "off"}`}
+                style={{
+                  width: "28px",
+                  height: "14px",
+                  borderRadius: "7px",
+                  border: "none",
+                  background: params[param] === 1 ? COLORS.accent : COLORS.surface3,
+                  position: "relative",
+                  cursor: "pointer",
+                  transition: "background 150ms ease",
+                  padding: 0,
+                  flexShrink: 0,
+                }}
+              >
+                <span style={{
+                  position: "absolute",
+                  top: "2px",
+                  left: params[param] === 1 ? "14px" : "2px",
+                  width: "10px",
+                  height: "10px",
+                  borderRadius: "50%",
+                  background: params[param] === 1 ? COLORS.textOnAccent : COLORS.textMuted,
+                  transition: "left 150ms ease",
+                }} />
+              </button>
+              <span style={{ fontSize: "11px", fontWeight: 500, color: params[param] === 1 ? COLORS.accent : COLORS.textSecondary, fontFamily: "'Outfit', sans-serif" }}>
+                {label}
+              </span>
+            </div>
+          ))}
+        </BevelPanel>
+
+        {/* Reverb Detail */}
+        <BevelPanel className="reverb" style={{ flex: "2 1 340px", padding: "12px" }}>
+          {sectionLabel("Reverb", {
+            active: params.reverb_enable === 1,
+            onToggle: () => handleParamChange("reverb_enable", params.reverb_enable === 1 ? 0 : 1),
+          })}
+          <div style={{ display: "flex", gap: "8px", justifyContent: "center", flexWrap: "wrap", alignItems: "flex-start" }}>
+            <ChromeKnob
+              value={params.reverb_level}
+              min={0}
+              max={127}
+              label="Level"
+              onChange={(v) => handleParamChange("reverb_level", v)}
+              {...historyGroupProps}
+              size="sm"
+            />
+            <ChromeKnob
+              value={params.reverb_decay}
+              min={0}
+              max={127}
+              label="Decay"
+              onChange={(v) => handleParamChange("reverb_decay", v)}
+              {...historyGroupProps}
+              size="sm"
+            />
+            <ChromeKnob
+              value={params.reverb_tone}
+              min={0}
+              max={127}
+              label="Tone"
+              onChange={(v) => handleParamChange("reverb_tone", v)}
+              {...historyGroupProps}
+              size="sm"
+            />
+            <ChromeKnob
+              value={params.reverb_diffusion}
+              min={0}
+              max={127}
+              label="Diffusion"
+              onChange={(v) => handleParamChange("reverb_diffusion", v)}
+              {...historyGroupProps}
+              size="sm"
+            />
+            <ChromeKnob
+              value={params.reverb_density}
+              min={0}
+              max={127}
+              label="Density"
+              onChange={(v) => handleParamChange("reverb_density", v)}
+              {...historyGroupProps}
+              size="sm"
+            />
+          </div>
+          <div style={{ display: "flex", justifyContent: "center", gap: "10px", marginTop: "6px" }}>
+            <label style={{ fontSize: "11px", color: COLORS.textSecondary, display: "flex", alignItems: "center", gap: "4px", cursor: "pointer", fontFamily: "'Outfit', sans-serif" }}>
+              <input type="radio" name="reverbType" checked={params.reverb_type === 0} onChange={() => handleParamChange("reverb_type", 0)} style={{ accentColor: COLORS.accent }} />
+              Room
+            </label>
+            <label style={{ fontSize: "11px", color: COLORS.textSecondary, display: "flex", alignItems: "center", gap: "4px", cursor: "pointer", fontFamily: "'Outfit', sans-serif" }}>
+              <input type="radio" name="reverbType" checked={params.reverb_type === 1} onChange={() => handleParamChange("reverb_type", 1)} style={{ accentColor: COLORS.accent }} />
+              Spring
+            </label>
+          </div>
+        </BevelPanel>
+      </div>
+
+      {/* ============ DELAY / EFFECT ROW ============ */}
+      {(() => {
+        const effectCategory = EFFECT_CATEGORIES[params.effect] || 'bypass';
+        const currentEffectKnobs = EFFECT_KNOB_CONFIGS[effectCategory] || [];
+        const hasDelay = DELAY_EFFECTS.has(params.effect);
+        return (
+      <div className="delay-effect-row" style={{ display: "flex", gap: "0", borderTop: `1px solid ${COLORS.border}` }}>
+        {/* Delay */}
+        <BevelPanel className="delay" style={{ flex: "1 1 50%", padding: "12px" }}>
+          {sectionLabel("Delay", {
+            active: params.delay_enable === 1,
+            onToggle: () => handleParamChange("delay_enable", params.delay_enable === 1 ? 0 : 1),
+          })}
+          <div style={{ display: "flex", gap: "6px", justifyContent: "center", flexWrap: "wrap", opacity: hasDelay ? 1 : 0.3, pointerEvents: hasDelay ? "auto" : "none", transition: "opacity 200ms ease" }}>
+            <ChromeKnob
+              value={params.delay_time}
+              min={0}
+              max={127}
+              label="Coarse"
+              onChange={(v) => handleParamChange("delay_time", v)}
+              {...delayTimeProps}
+              {...historyGroupProps}
+              size="md"
+            />
+            <ChromeKnob
+              value={params.delay_time_fine}
+              min={0}
+              max={127}
+              label="Fine"
+              onChange={(v) => handleParamChange("delay_time_fine", v)}
+              {...delayFineProps}
+              {...historyGroupProps}
+              size="md"
+            />
+            <ChromeKnob
+              value={params.delay_feedback}
+              min={0}
+              max={127}
+              label="Feedback"
+              onChange={(v) => handleParamChange("delay_feedback", v)}
+              {...historyGroupProps}
+              size="md"
+            />
+            <ChromeKnob
+              value={params.delay_level}
+              min={0}
+              max={127}
+              label="Level"
+              onChange={(v) => handleParamChange("delay_level", v)}
+              {...historyGroupProps}
+              size="md"
+            />
+          </div>
+          {!hasDelay && (
+            <div style={{ fontSize: "11px", color: COLORS.textMuted, textAlign: "center", marginTop: "8px", fontFamily: "'Outfit', sans-serif" }}>
+              No delay in current effect
+            </div>
+          )}
+          {/* Tempo sync */}
+          <div className="tempo-sync" style={{ display: "flex", gap: "6px", justifyContent: "center", alignItems: "center", flexWrap: "wrap", marginTop: "10px", fontSize: "11px", color: COLORS.textSecondary, fontFamily: "'Outfit', sans-serif" }}>
+            <button onClick={tapTempo} title={`Tap in time; also the "${tapKey.toUpperCase()}" key`} style={actionButtonStyle(true)}>
+              Tap
+            </button>
+            <input
+              type="number"
+              aria-label="BPM"
+              min={BPM_MIN}
+              max={BPM_MAX}
+              value={bpmText}
+              onChange={(e) => setBpmText(e.target.value)}
+              onBlur={commitBpm}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") commitBpm();
+                else if (e.key === "Escape") setBpmText(String(bpm));
+              }}
+              style={{ ...selectStyle, width: "64px", padding: "5px 6px", fontSize: "11px" }}
+            />
+            <span>BPM</span>
+            <select
+              aria-label="Note division"
+              value={tempoDivision}
+              onChange={(e) => {
+                setTempoDivision(e.target.value);
+                applyTempo({ division: e.target.value });
+              }}
+              style={{ ...selectStyle, padding: "5px 8px", fontSize: "11px" }}
+            >
+              {NOTE_DIVISIONS.map((d) => (<option key={d.id} value={d.id}>{d.label}</option>))}
+            </select>
+            <label style={{ display: "flex", alignItems: "center", gap: "4px" }}>
+              <input
+                type="checkbox"
+                checked={syncModSpeed}
+                onChange={(e) => {
+                  setSyncModSpeed(e.target.checked);
+                  if (e.target.checked) applyTempo({ syncMod: true });
+                }}
+              />
+              Sync mod speed
+            </label>
+            <label style={{ display: "flex", alignItems: "center", gap: "4px" }}>
+              Tap key
+              <input
+                aria-label="Tap key"
+                maxLength={1}
+                value={tapKey}
+                onChange={(e) => setTapKey(e.target.value)}
+                style={{ ...selectStyle, width: "28px", padding: "5px 6px", fontSize: "11px", textAlign: "center" }}
+              />
+            </label>
+            <button
+              onClick={learnTapNote}
+              aria-pressed={tapNote.learning}
+              title="Tap from a MIDI note: press, then play the note"
+              style={actionButtonStyle(true)}
+            >
+              {tapNote.learning ? "Play a note..." : `Tap note: ${tapNote.note ?? "none"}`}
+            </button>
+          </div>
+        </BevelPanel>
+
+        {/* Effect Params */}
+        <BevelPanel className="effect" style={{ flex: "1 1 50%", padding: "12px" }}>
+          {sectionLabel(`Effect \u00b7 ${EFFECT_TYPES[params.effect]}`, {
+            active: params.mod_fx_enable === 1,
+            onToggle: () => handleParamChange("mod_fx_enable", params.mod_fx_enable === 1 ? 0 : 1),
+          })}
+          {currentEffectKnobs.length > 0 ? (
+            <div style={{ display: "flex", gap: "6px", justifyContent: "center", flexWrap: "wrap" }}>
+              {currentEffectKnobs.map(({ stateKey, label }) => (
+                <ChromeKnob
+                  key={stateKey}
+                  value={params[stateKey]}
+                  min={0}
+                  max={127}
+                  label={label}
+                  onChange={(v) => handleParamChange(stateKey, v)}
+                  {...historyGroupProps}
+                  size="md"
+                  {...effectUnitProps(effectCategory, stateKey)}
+                />
+              ))}
+            </div>
+          ) : (
+            <div style={{ fontSize: "11px", color: COLORS.textMuted, textAlign: "center", padding: "16px 0", fontFamily: "'Outfit', sans-serif" }}>
+              No modulation effect active
+            </div>
+          )}
+        </BevelPanel>
+      </div>
+        );
+      })()}
+
+      {/* ============ WAH / VOLUME PEDAL ROW ============ */}
+      <div className="wah-volume-row" style={{ display: "flex", gap: "0", borderTop: `1px solid ${COLORS.border}` }}>
+        <BevelPanel className="wah-pedal" style={{ flex: "1 1 50%", padding: "12px" }}>
+          {sectionLabel("Wah Pedal")}
+          <div style={{ display: "flex", gap: "6px", justifyContent: "center", flexWrap: "wrap" }}>
+            <ChromeKnob
+              value={params.wah_position}
+              min={0}
+              max={127}
+              label="Position"
+              onChange={(v) => handleParamChange("wah_position", v)}
+              {...historyGroupProps}
+              size="md"
+            />
+            <ChromeKnob
+              value={params.wah_bottom}
+              min={0}
+              max={127}
+              label="Bot Freq."
+              onChange={(v) => handleParamChange("wah_bottom", v)}
+              {...unitProps("wah_bottom")}
+              {...historyGroupProps}
+              size="md"
+            />
+            <ChromeKnob
+              value={params.wah_top}
+              min={0}
+              max={127}
+              label="Top Freq."
+              onChange={(v) => handleParamChange("wah_top", v)}
+              {...unitProps("wah_top")}
+              {...historyGroupProps}
+              size="md"
+            />
+          </div>
+        </BevelPanel>
+
+        <BevelPanel className="volume-pedal" style={{ flex: "1 1 50%", padding: "12px" }}>
+          {sectionLabel("Volume Pedal")}
+          <div style={{ display: "flex", gap: "16px", justifyContent: "center", alignItems: "center" }}>
+            <div style={{ display: "flex", alignItems: "center", gap: "6px" }}>
+              <span
+                style={{
+                  fontSize: "11px",
+                  fontWeight: 500,
+                  color: params.vol_position < 64 ? COLORS.accent : COLORS.textMuted,
+                  fontFamily: "'Outfit', sans-serif",
+                  transition: "color 150ms ease",
+                }}
+              >
+                Pre-Amp
+              </span>
+              <button
+                onClick={() => handleParamChange("vol_position", params.vol_position < 64 ? 127 : 0)}
+                role="switch"
+                aria-checked={params.vol_position >= 64}
+                aria-label={`Volume position ${params.vol_position < 64 ? "pre-amp" : "post-amp"}`}
+                style={{
+                  width: "32px",
+                  height: "16px",
+                  borderRadius: "8px",
+                  border: "none",
+                  background: params.vol_position >= 64 ? COLORS.accent : COLORS.surface3,
+                  position: "relative",
+                  cursor: "pointer",
+                  transition: "background 150ms ease",
+                  padding: 0,
+                  flexShrink: 0,
+                }}
+              >
+                <span style={{
+                  position: "absolute",
+                  top: "2px",
+                  left: params.vol_position >= 64 ? "16px" : "2px",
+                  width: "12px",
+                  height: "12px",
+                  borderRadius: "50%",
+                  background: params.vol_position >= 64 ? COLORS.textOnAccent : COLORS.textMuted,
+                  transition: "left 150ms ease",
+                }} />
+              </button>
+              <span
+                style={{
+                  fontSize: "11px",
+                  fontWeight: 500,
+                  color: params.vol_position >= 64 ? COLORS.accent : COLORS.textMuted,
+                  fontFamily: "'Outfit', sans-serif",
+                  transition: "color 150ms ease",
+                }}
+              >
+                Post-Amp
+              </span>
+            </div>
+            <ChromeKnob
+              value={params.vol_level}
+              min={0}
+              max={127}
+              label="Level"
+              onChange={(v) => handleParamChange("vol_level", v)}
+              {...historyGroupProps}
+              size="md"
+            />
+            <ChromeKnob
+              value={params.vol_min}
+              min={0}
+              max={127}
+              label="Min Vol"
+              onChange={(v) => handleParamChange("vol_min", v)}
+              {...historyGroupProps}
+              size="md"
+            />
+          </div>
+        </BevelPanel>
+      </div>
+
+      {/* ============ TONE NOTES ============ */}
+      <BevelPanel className="tone-notes" style={{ padding: "16px", borderTop: `1px solid ${COLORS.border}` }}>
+        {sectionLabel("Tone Notes")}
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr 1fr", gap: "8px" }}>
+          {[["song", "Song"], ["guitarist", "Guitarist"], ["band", "Band"], ["style", "Style"]].map(([key, label]) => (
+            <div key={key}>
+              <div style={{ fontSize: "11px", color: COLORS.textSecondary, fontWeight: 500, marginBottom: "4px" }}>{label}</div>
+              <input type="text" value={toneNotes[key]} onChange={(e) => handleToneNoteChange(key, e.target.value)}
+                style={{ width: "100%", padding: "8px 10px", background: COLORS.surface0, border: `1px solid ${COLORS.border}`, borderRadius: "6px", fontSize: "12px", color: COLORS.textPrimary, fontFamily: "'Outfit', sans-serif" }} />
+            </div>
+          ))}
+        </div>
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: "8px", marginTop: "8px" }}>
+          {[["author", "Author"], ["pickup", "Pickup"]].map(([key, label]) => (
+            <div key={key}>
+              <div style={{ fontSize: "11px", color: COLORS.textSecondary, fontWeight: 500, marginBottom: "4px" }}>{label}</div>
+              <input type="text" value={toneNotes[key]} onChange={(e) => handleToneNoteChange(key, e.target.value)}
+                style={{ width: "100%", padding: "8px 10px", background: COLORS.surface0, border: `1px solid ${COLORS.border}`, borderRadius: "6px", fontSize: "12px", color: COLORS.textPrimary, fontFamily: "'Outfit', sans-serif" }} />
+            </div>
+          ))}
+          <div>
+            <div style={{ fontSize: "11px", color: COLORS.textSecondary, fontWeight: 500, marginBottom: "4px" }}>Notes</div>
+            <input type="text" value={toneNotes.notes} onChange={(e) => handleToneNoteChange("notes", e.target.value)}
+              style={{ width: "100%", padding: "8px 10px", background: COLORS.surface0, border: `1px solid ${COLORS.border}`, borderRadius: "6px", fontSize: "12px", color: COLORS.textPrimary, fontFamily: "'Outfit', sans-serif" }} />
+          </div>
+        </div>
+      </BevelPanel>
+
+      {/* ============ MIDI MONITOR ============ */}
+      <BevelPanel className="midi-monitor" style={{ padding: "12px", borderTop: `1px solid ${COLORS.border}` }}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "12px" }}>
+          {sectionLabel("MIDI Monitor")}
+          <div style={{ display: "flex", gap: "8px", alignItems: "center" }}>
+            <span
+              title="Outgoing CCs waiting for the rate limit; repeated values for a controller are merged"
+              style={{ fontSize: "11px", color: ccQueueDepth > 0 ? COLORS.warning : COLORS.textMuted, fontFamily: "'JetBrains Mono', monospace" }}
+            >
+              CC queue: {ccQueueDepth}
+            </span>
+            <button onClick={toggleLogPaused} aria-pressed={Boolean(pausedLog)} style={actionButtonStyle(true)}>
+              {pausedLog ? `Resume${bufferedCount > 0 ? ` (${bufferedCount} new)` : ""}` : "Pause"}
+            </button>
+            <select
+              aria-label="Export format"
+              value={logExportFormat}
+              onChange={(e) => setLogExportFormat(e.target.value)}
+              style={{ ...selectStyle, padding: "5px 8px", fontSize: "11px" }}
+            >
+              <option value="txt">.txt</option>
+              <option value="json">.json</option>
+              <option value="syx">.syx (SysEx only)</option>
+            </select>
+            <button onClick={exportLog} disabled={log.length === 0} style={actionButtonStyle(log.length > 0)}>
+              Export Log
+            </button>
+            <button
+              onClick={clearLog}
+              style={{ padding: "6px 14px", background: "transparent", border: `1px solid ${COLORS.border}`, borderRadius: "6px", color: COLORS.textSecondary, fontSize: "12px", fontWeight: 500, cursor: "pointer", fontFamily: "'Outfit', sans-serif", transition: "all 150ms ease" }}
+            >
+              Clear
+            </button>
+          </div>
+        </div>
+        {/* Session recording and replay */}
+        <div className="monitor-session" style={{ display: "flex", flexWrap: "wrap", gap: "8px", alignItems: "center", marginBottom: "8px" }}>
+          <button
+            onClick={toggleRecording}
+            aria-pressed={recording}
+            title="Record every IN/OUT message with timestamps to a session file"
+            style={{ ...actionButtonStyle(true), color: recording ? COLORS.error : COLORS.textSecondary, borderColor: recording ? COLORS.error : COLORS.border }}
+          >
+            {recording ? "Stop Recording" : "Record Session"}
+          </button>
+          <input
+            ref={sessionInputRef}
+            type="file"
+            accept=".json"
+            aria-label="Replay session file"
+            style={{ display: "none" }}
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              if (file) replaySessionFile(file);
+              e.target.value = "";
+            }}
+          />
+          {replay ? (
+            <button onClick={stopReplay} style={actionButtonStyle(true)}>
+              Stop Replay ({replay.played}/{replay.total})
+            </button>
+          ) : (
+            <button onClick={() => sessionInputRef.current?.click()} style={actionButtonStyle(true)}>
+              Replay Session
+            </button>
+          )}
+          <select
+            aria-label="Replay speed"
+            value={replaySpeed}
+            onChange={(e) => setReplaySpeed(Number(e.target.value))}
+            disabled={Boolean(replay)}
+            style={{ ...selectStyle, padding: "5px 8px", fontSize: "11px" }}
+          >
+            {REPLAY_SPEEDS.map((speed) => (<option key={speed} value={speed}>{speed}x</option>))}
+          </select>
+          <label style={{ display: "flex", alignItems: "center", gap: "4px", fontSize: "11px", color: COLORS.textSecondary, fontFamily: "'Outfit', sans-serif" }}>
+            <input type="checkbox" checked={replayToDevice} onChange={(e) => setReplayToDevice(e.target.checked)} disabled={Boolean(replay)} />
+            Send recorded OUT messages to device
+          </label>
+        </div>
+        {/* Monitor filters */}
+        <div className="monitor-filters" style={{ display: "flex", flexWrap: "wrap", gap: "8px", alignItems: "center", marginBottom: "8px" }}>
+          <select
+            aria-label="Direction"
+            value={logFilter.dir}
+            onChange={(e) => updateLogFilter({ dir: e.target.value })}
+            style={{ ...selectStyle, padding: "5px 8px", fontSize: "11px" }}
+          >
+            <option value="all">IN + OUT</option>
+            <option value="IN">IN only</option>
+            <option value="OUT">OUT only</option>
+          </select>
+          <div role="group" aria-label="Message types" style={{ display: "flex", gap: "4px" }}>
+            {Object.entries(LOG_CATEGORIES).map(([key, { label }]) => {
+              const active = logFilter.categories.includes(key);
+              return (
+                <button
+                  key={key}
+                  onClick={() => toggleLogCategory(key)}
+                  aria-pressed={active}
+                  style={{
+                    ...actionButtonStyle(true),
+                    padding: "4px 10px",
+                    background: active ? COLORS.accentMuted : "transparent",
+                    color: active ? COLORS.accent : COLORS.textSecondary,
+                    borderColor: active ? COLORS.accent : COLORS.border,
+                  }}
+                >
+                  {label}
+                </button>
+              );
+            })}
+          </div>
+          <input
+            type="number"
+            aria-label="CC number"
+            placeholder="CC #"
+            min={0}
+            max={127}
+            value={logFilter.cc}
+            onChange={(e) => updateLogFilter({ cc: e.target.value })}
+            style={{ width: "64px", padding: "5px 8px", background: COLORS.surface0, border: `1px solid ${COLORS.border}`, borderRadius: "6px", color: COLORS.textPrimary, fontSize: "11px", fontFamily: "'JetBrains Mono', monospace" }}
+          />
+          <input
+            type="search"
+            aria-label="Search MIDI log"
+            placeholder="Search"
+            value={logFilter.search}
+            onChange={(e) => updateLogFilter({ search: e.target.value })}
+            style={{ flex: 1, minWidth: "120px", padding: "5px 8px", background: COLORS.surface0, border: `1px solid ${COLORS.border}`, borderRadius: "6px", color: COLORS.textPrimary, fontSize: "11px", fontFamily: "'Outfit', sans-serif" }}
+          />
+        </div>
+        <div
+          ref={logContainerRef}
+          style={{ maxHeight: "220px", overflowY: "auto", background: COLORS.surface0, borderRadius: "6px", padding: "8px", border: `1px solid ${COLORS.borderSubtle}` }}
+        >
+          {visibleLog.length === 0 && (
+            <div style={{ color: COLORS.textMuted, fontSize: "12px", fontFamily: "'Outfit', sans-serif", textAlign: "center", padding: "16px" }}>
+              {(pausedLog ?? log).length > 0 ? "No messages match the filters" : connected ? "Waiting for MIDI data..." : "Connect to your Pocket POD to see MIDI traffic"}
+            </div>
+          )}
+          {visibleLog.map((entry) => (
+            <LogEntry key={entry.id} entry={entry} />
+          ))}
+        </div>
+      </BevelPanel>
+
+      {/* Footer */}
+      <div style={{ textAlign: "center", fontSize: "11px", color: COLORS.textMuted, padding: "16px", fontFamily: "'Outfit', sans-serif", borderTop: `1px solid ${COLORS.borderSubtle}` }}>
+        Pocket POD Web MIDI Editor &bull; Drag knobs vertically to adjust &bull; Requires Chrome with SysEx permission
+      </div>
+      </div>{/* end main content (row 2, col 2) */}
     </div>
   );
+}
+
+// --- Main App ---
+// Tab shell: one DeviceSession per Pocket POD, plus copying the current patch
+// from the visible tab to another device
+export default function PocketPodEditor() {
+  const [sessions, setSessions] = useState([{ id: "device-1", label: "Device 1" }]);
+  const [activeId, setActiveId] = useState("device-1");
+  const [sessionStatus, setSessionStatus] = useState({}); // {[id]: {connected}}
+  const [copyTarget, setCopyTarget] = useState("");
+  const sessionApis = useRef({});
+  const nextSessionRef = useRef(2);
+  // One Web MIDI access shared by every tab: {access, supported, error}
+  const [midi, setMidi] = useState(() => (navigator.requestMIDIAccess
+    ? { access: null, supported: true, error: null }
+    : { access: null, supported: false, error: "Web MIDI API is not available in this browser. Use Chrome or Edge over HTTPS." }));
+
+  useEffect(() => {
+    if (!navigator.requestMIDIAccess) return;
+    navigator
+      .requestMIDIAccess({ sysex: true })
+      .then((access) => setMidi({ access, supported: true, error: null }))
+      .catch((err) => {
+        console.error("MIDI access denied:", err);
+        setMidi({
+          access: null,
+          supported: false,
+          error: `MIDI access denied: ${err.message || "SysEx permission required. Please allow MIDI access and reload."}`,
+        });
+      });
+  }, []);
+
+  const handleStatusChange = useCallback((id, status) => {
+    setSessionStatus((prev) => ({ ...prev, [id]: status }));
+  }, []);
+
+  const registerSession = useCallback((id, api) => {
+    if (api) sessionApis.current[id] = api;
+    else delete sessionApis.current[id];
+  }, []);
+
+  const addSession = () => {
+    const n = nextSessionRef.current++;
+    const session = { id: `device-${n}`, label: `Device ${n}` };
+    setSessions((prev) => [...prev, session]);
+    setActiveId(session.id);
+  };
+
+  const closeSession = (id) => {
+    const session = sessions.find((s) => s.id === id);
+    if (sessionStatus[id]?.connected && !window.confirm(`Disconnect and close ${session.label}?`)) return;
+    const remaining = sessions.filter((s) => s.id !== id);
+    setSessions(remaining);
+    setSessionStatus((prev) => {
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+    if (activeId === id) setActiveId(remaining[0].id);
+  };
+
+  const otherSessions = sessions.filter((s) => s.id !== activeId);
+  const copyTo = otherSessions.some((s) => s.id === copyTarget) ? copyTarget : otherSessions[0]?.id;
+
+  const copyPatch = () => {
+    const source = sessionApis.current[activeId];
+    const target = sessionApis.current[copyTo];
+    if (source && target) target.applyPatch(source.getPatch());
+  };
+
+  const tabButtonStyle = (selected) => ({
+    display: "flex",
+    alignItems: "center",
+    gap: "6px",
+    padding: "8px 14px",
+    background: selected ? COLORS.surface1 : "transparent",
+    border: "none",
+    borderBottom: `2px solid ${selected ? COLORS.accent : "transparent"}`,
+    color: selected ? COLORS.textPrimary : COLORS.textSecondary,
+    fontSize: "12px",
+    fontWeight: 600,
+    cursor: "pointer",
+    fontFamily: "'Outfit', sans-serif",
+  });
 
   return (
     <div
@@ -1244,688 +3475,67 @@ export default function PocketPodEditor() {
         </div>
       </div>
 
-      <div className="app-layout" style={{ display: "grid", gridTemplateColumns: "340px minmax(0, 960px)", gridTemplateRows: "auto 1fr", justifyContent: "center", flex: 1 }}>
-
-          {/* ============ MIDI CONNECTION (Row 1, Col 1) ============ */}
-          <BevelPanel className="midi-connection" variant="sidebar" style={{ padding: "12px", gridColumn: 1, gridRow: 1, display: "flex", flexDirection: "column" }}>
-            {sectionLabel("MIDI Connection")}
-            <div style={{ display: "flex", flexDirection: "column", gap: "8px" }}>
-              <div>
-                <label style={{ display: "block", fontSize: "11px", color: COLORS.textSecondary, marginBottom: "4px", fontWeight: 500 }}>
-                  MIDI Input
-                </label>
-                <select
-                  value={selectedInput}
-                  onChange={(e) => setSelectedInput(e.target.value)}
-                  disabled={connected}
-                  style={{ width: "100%", padding: "8px 10px", background: COLORS.surface0, border: `1px solid ${COLORS.border}`, borderRadius: "6px", color: COLORS.textPrimary, fontSize: "12px", fontFamily: "'Outfit', sans-serif" }}
-                >
-                  <option value="">Select input...</option>
-                  {inputs.map((i) => (
-                    <option key={i.id} value={i.id}>{i.name}</option>
-                  ))}
-                </select>
-              </div>
-              <div>
-                <label style={{ display: "block", fontSize: "11px", color: COLORS.textSecondary, marginBottom: "4px", fontWeight: 500 }}>
-                  MIDI Output
-                </label>
-                <select
-                  value={selectedOutput}
-                  onChange={(e) => setSelectedOutput(e.target.value)}
-                  disabled={connected}
-                  style={{ width: "100%", padding: "8px 10px", background: COLORS.surface0, border: `1px solid ${COLORS.border}`, borderRadius: "6px", color: COLORS.textPrimary, fontSize: "12px", fontFamily: "'Outfit', sans-serif" }}
-                >
-                  <option value="">Select output...</option>
-                  {outputs.map((o) => (
-                    <option key={o.id} value={o.id}>{o.name}</option>
-                  ))}
-                </select>
-              </div>
-              <div style={{ display: "flex", alignItems: "center", gap: "8px", marginTop: "4px" }}>
-                <button
-                  onClick={connected ? () => disconnect() : connect}
-                  disabled={!midiSupported || (!connected && (!selectedInput || !selectedOutput))}
-                  style={{
-                    flex: 1,
-                    padding: "8px 16px",
-                    background: connected ? "transparent" : COLORS.accent,
-                    border: connected ? `1px solid ${COLORS.border}` : "none",
-                    borderRadius: "6px",
-                    color: connected ? COLORS.textSecondary : COLORS.textOnAccent,
-                    fontWeight: 600,
-                    fontSize: "12px",
-                    cursor: "pointer",
-                    fontFamily: "'Outfit', sans-serif",
-                    transition: "all 150ms ease",
-                    opacity: (!midiSupported || (!connected && (!selectedInput || !selectedOutput))) ? 0.5 : 1,
-                  }}
-                >
-                  {connected ? "Disconnect" : "Connect"}
-                </button>
-                <LED active={connected} color="green" size={8} />
-                <span style={{ fontSize: "11px", color: connected ? COLORS.success : COLORS.textMuted, fontFamily: "'JetBrains Mono', monospace", fontWeight: 500 }}>
-                  {connected ? "ON" : "OFF"}
-                </span>
-              </div>
-            </div>
-            {deviceInfo && (
-              <div style={{ marginTop: "8px", padding: "6px 8px", background: COLORS.surface0, borderRadius: "6px", fontFamily: "'JetBrains Mono', monospace", fontSize: "11px" }}>
-                <span style={{ color: COLORS.textMuted }}>Device: </span>
-                <span style={{ color: COLORS.success }}>Pocket POD v{deviceInfo.version}</span>
-              </div>
-            )}
-          </BevelPanel>
-
-          {/* ============ PRESET LIBRARY (Row 2, Col 1) ============ */}
-          <div className="preset-library-container" style={{ gridColumn: 1, gridRow: 2, position: "sticky", top: 0, alignSelf: "start", maxHeight: "100vh", overflowY: "auto" }}>
-          <BevelPanel className="preset-library" variant="sidebar" style={{ padding: "12px", display: "flex", flexDirection: "column", height: "100%" }}>
-            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "12px" }}>
-              {sectionLabel("Preset Library")}
-              <div style={{ display: "flex", gap: "8px", alignItems: "center" }}>
-                {fetchingPresets && (
-                  <span style={{ fontSize: "11px", color: COLORS.warning, fontFamily: "'JetBrains Mono', monospace", fontWeight: 500 }}>
-                    {fetchProgress}/124
-                  </span>
-                )}
-                <button
-                  onClick={fetchAllPresets}
-                  disabled={!connected || fetchingPresets}
-                  style={{
-                    padding: "6px 14px",
-                    background: fetchingPresets ? COLORS.surface2 : COLORS.accent,
-                    border: fetchingPresets ? `1px solid ${COLORS.border}` : "none",
-                    borderRadius: "6px",
-                    color: fetchingPresets ? COLORS.textMuted : COLORS.textOnAccent,
-                    fontWeight: 600,
-                    fontSize: "11px",
-                    cursor: fetchingPresets || !connected ? "default" : "pointer",
-                    fontFamily: "'Outfit', sans-serif",
-                    opacity: !connected ? 0.5 : 1,
-                    transition: "all 150ms ease",
-                  }}
-                >
-                  {fetchingPresets ? "Fetching..." : "Fetch All"}
+      {/* ---- DEVICE TABS ---- */}
+      <div className="device-tabs" style={{ display: "flex", alignItems: "center", gap: "4px", padding: "0 12px", borderBottom: `1px solid ${COLORS.border}`, maxWidth: "1300px", margin: "0 auto" }}>
+        <div role="tablist" aria-label="Devices" style={{ display: "flex", gap: "2px", flex: 1, flexWrap: "wrap" }}>
+          {sessions.map((session) => {
+            const status = sessionStatus[session.id];
+            const selected = session.id === activeId;
+            return (
+              <div key={session.id} style={{ display: "flex", alignItems: "center" }}>
+                <button role="tab" aria-selected={selected} onClick={() => setActiveId(session.id)} style={tabButtonStyle(selected)}>
+                  <LED active={Boolean(status?.connected)} size={6} />
+                  {session.label}
                 </button>
-              </div>
-            </div>
-
-            {/* Progress bar */}
-            {fetchingPresets && (
-              <div style={{ height: "4px", background: COLORS.surface0, borderRadius: "2px", marginBottom: "8px", overflow: "hidden" }}>
-                <div style={{ height: "100%", width: `${(fetchProgress / 124) * 100}%`, background: COLORS.accent, borderRadius: "2px", transition: "width 80ms linear" }} />
-              </div>
-            )}
-
-            {/* Preset list */}
-            {presets.length > 0 && (
-              <div style={{ flex: 1, overflowY: "auto", background: COLORS.surface0, borderRadius: "6px", border: `1px solid ${COLORS.borderSubtle}` }}>
-                {presets.map((preset) => (
+                {sessions.length > 1 && (
                   <button
-                    key={preset.number}
-                    onClick={() => loadPreset(preset)}
-                    aria-label={`Load preset ${preset.number + 1}: ${preset.name || "unnamed"}`}
-                    style={{
-                      display: "flex",
-                      gap: "12px",
-                      width: "100%",
-                      padding: "8px 12px",
-                      background: currentPreset === preset.number ? COLORS.accentMuted : "transparent",
-                      border: "none",
-                      borderBottom: `1px solid ${COLORS.borderSubtle}`,
-                      cursor: "pointer",
-                      textAlign: "left",
-                      fontFamily: "'Outfit', sans-serif",
-                      fontSize: "12px",
-                      color: currentPreset === preset.number ? COLORS.accent : COLORS.textPrimary,
-                      transition: "background 100ms ease",
-                    }}
-                    onMouseEnter={(e) => {
-                      if (currentPreset !== preset.number) e.currentTarget.style.background = COLORS.surface2;
-                    }}
-                    onMouseLeave={(e) => {
-                      if (currentPreset !== preset.number) e.currentTarget.style.background = "transparent";
-                    }}
+                    onClick={() => closeSession(session.id)}
+                    aria-label={`Close ${session.label}`}
+                    style={{ background: "none", border: "none", color: COLORS.textMuted, cursor: "pointer", fontSize: "14px", padding: "0 6px" }}
                   >
-                    <span style={{ minWidth: "32px", color: COLORS.textMuted, fontFamily: "'JetBrains Mono', monospace", fontSize: "11px", fontWeight: 500 }}>
-                      {String(preset.number + 1).padStart(3, "0")}
-                    </span>
-                    <span>{preset.name || `Preset ${preset.number + 1}`}</span>
+                    ×
                   </button>
-                ))}
-              </div>
-            )}
-
-            {presets.length === 0 && !fetchingPresets && (
-              <div style={{ color: COLORS.textMuted, fontSize: "12px", fontFamily: "'Outfit', sans-serif", textAlign: "center", padding: "16px" }}>
-                {connected ? "Click \"Fetch All\" to load presets" : "Connect to fetch presets"}
-              </div>
-            )}
-          </BevelPanel>
-          </div>
-
-        {/* ============ HEADER AREA (Row 1, Col 2) ============ */}
-        <div className="header-area" style={{ gridColumn: 2, gridRow: 1, display: "flex", flexDirection: "column" }}>
-
-        {/* MIDI Not Supported Warning */}
-        {!midiSupported && (
-          <div style={{ background: COLORS.errorBg, border: `1px solid ${COLORS.error}33`, borderRadius: "0", padding: "10px 16px", display: "flex", alignItems: "center", gap: "10px", fontSize: "13px", margin: "8px 0" }}>
-            <LED active color="red" size={8} />
-            <div>
-              <strong style={{ color: COLORS.error }}>Web MIDI API Not Available</strong>
-              <span style={{ color: COLORS.textSecondary, marginLeft: "8px" }}>Use Chrome/Edge over HTTPS or localhost.</span>
-            </div>
-          </div>
-        )}
-
-        {/* Error banners */}
-        {errors.map((err) => (
-          <div key={err.id} role="alert" style={{ background: COLORS.errorBg, border: `1px solid ${COLORS.error}33`, borderRadius: "0", padding: "10px 16px", display: "flex", alignItems: "center", gap: "10px", fontSize: "13px", marginTop: "4px" }}>
-            <LED active color="red" size={8} />
-            <span style={{ flex: 1, color: COLORS.error }}>{err.message}</span>
-            <button onClick={() => dismissError(err.id)} aria-label="Dismiss error" style={{ background: "none", border: "none", color: COLORS.error, cursor: "pointer", fontSize: "16px", padding: "0 4px" }}>×</button>
-          </div>
-        ))}
-
-        {/* Device timeout warning */}
-        {deviceTimeout && connected && (
-          <div role="alert" style={{ background: COLORS.warningBg, border: `1px solid ${COLORS.warning}33`, borderRadius: "0", padding: "10px 16px", display: "flex", alignItems: "center", gap: "10px", fontSize: "13px", marginTop: "4px" }}>
-            <LED active color="amber" size={8} />
-            <span style={{ color: COLORS.warning }}>No response from device for 10+ seconds. Check connection.</span>
-          </div>
-        )}
-
-        {/* ============ HEADER PANEL ============ */}
-        <BevelPanel className="header-panel" style={{ padding: "20px", flex: 1 }}>
-          {/* Display panel */}
-          <div style={{ background: COLORS.displayBg, border: `1px solid ${COLORS.border}`, borderRadius: "0", padding: "12px 20px", textAlign: "center", marginBottom: "16px" }}>
-            <div style={{ fontFamily: "'JetBrains Mono', monospace", fontSize: "16px", color: COLORS.displayText, fontWeight: 600, textShadow: `0 0 12px ${COLORS.displayText}33` }}>
-              {presetName}
-            </div>
-            <div style={{ fontFamily: "'JetBrains Mono', monospace", fontSize: "11px", color: COLORS.textSecondary, marginTop: "4px" }}>
-              {AMP_MODELS[params.ampModel] || "—"} <span style={{ color: COLORS.textMuted }}>/</span> {EFFECT_TYPES[params.effect] || "—"} <span style={{ color: COLORS.textMuted }}>/</span> {CAB_MODELS[params.cabModel]?.split(" ").slice(0, 2).join(" ") || "—"}
-            </div>
-          </div>
-
-          {/* Model selectors row */}
-          <div style={{ display: "flex", gap: "12px", flexWrap: "wrap", justifyContent: "center", alignItems: "flex-start" }}>
-            <div style={{ flex: 1, minWidth: "140px" }}>
-              <div style={{ fontSize: "11px", color: COLORS.textSecondary, marginBottom: "4px", fontWeight: 500 }}>Amp Model</div>
-              <select value={params.ampModel} onChange={(e) => handleParamChange("ampModel", Number(e.target.value))} style={{ ...selectStyle, width: "100%", maxWidth: "none" }}>
-                {AMP_MODELS.map((name, i) => (<option key={i} value={i}>{name}</option>))}
-              </select>
-            </div>
-            <div style={{ flex: 1, minWidth: "140px" }}>
-              <div style={{ fontSize: "11px", color: COLORS.textSecondary, marginBottom: "4px", fontWeight: 500 }}>Effect Type</div>
-              <select value={params.effect} onChange={(e) => handleParamChange("effect", Number(e.target.value))} style={{ ...selectStyle, width: "100%", maxWidth: "none" }}>
-                {EFFECT_TYPES.map((name, i) => (<option key={i} value={i}>{name}</option>))}
-              </select>
-            </div>
-            <div style={{ flex: 1, minWidth: "140px" }}>
-              <div style={{ fontSize: "11px", color: COLORS.textSecondary, marginBottom: "4px", fontWeight: 500 }}>Cabinet</div>
-              <select value={params.cabModel} onChange={(e) => handleParamChange("cabModel", Number(e.target.value))} style={{ ...selectStyle, width: "100%", maxWidth: "none" }}>
-                {CAB_MODELS.map((name, i) => (<option key={i} value={i}>{name}</option>))}
-              </select>
-            </div>
-            <ChromeKnob value={params.air} min={0} max={127} label="Air" onChange={(v) => handleParamChange("air", v)} size="sm" />
-          </div>
-        </BevelPanel>
-        </div>
-
-        {/* ============ MAIN CONTENT (Row 2, Col 2) ============ */}
-        <div className="main-content" style={{ gridColumn: 2, gridRow: 2 }}>
-
-        {/* ============ MAIN KNOBS ROW ============ */}
-        <BevelPanel className="amp-controls" style={{ padding: "16px 20px" }}>
-          {sectionLabel("Amp Controls")}
-          <div
-            style={{
-              display: "flex",
-              justifyContent: "space-around",
-              alignItems: "flex-start",
-              flexWrap: "wrap",
-              gap: "12px",
-            }}
-          >
-            <ChromeKnob
-              value={params.drive}
-              min={0}
-              max={127}
-              label="Drive"
-              onChange={(v) => handleParamChange("drive", v)}
-              size="lg"
-            />
-            <ChromeKnob
-              value={params.bass}
-              min={0}
-              max={127}
-              label="Bass"
-              onChange={(v) => handleParamChange("bass", v)}
-              size="lg"
-            />
-            <ChromeKnob
-              value={params.mid}
-              min={0}
-              max={127}
-              label="Mid"
-              onChange={(v) => handleParamChange("mid", v)}
-              size="lg"
-            />
-            <ChromeKnob
-              value={params.treble}
-              min={0}
-              max={127}
-              label="Treble"
-              onChange={(v) => handleParamChange("treble", v)}
-              size="lg"
-            />
-            <ChromeKnob
-              value={params.presence}
-              min={0}
-              max={127}
-              label="Presence"
-              onChange={(v) => handleParamChange("presence", v)}
-              size="lg"
-            />
-            <ChromeKnob
-              value={params.chanVol}
-              min={0}
-              max={127}
-              label="Chan Vol"
-              onChange={(v) => handleParamChange("chanVol", v)}
-              size="lg"
-            />
-          </div>
-        </BevelPanel>
-
-        {/* ============ NOISE GATE / TOGGLES / REVERB DETAIL ROW ============ */}
-        <div className="gate-toggles-reverb-row" style={{ display: "flex", gap: "0", borderTop: `1px solid ${COLORS.border}` }}>
-          {/* Noise Gate */}
-          <BevelPanel className="noise-gate" style={{ flex: "1 1 180px", padding: "12px" }}>
-            {sectionLabel("Noise Gate", {
-              active: params.noise_gate_enable === 1,
-              onToggle: () => handleParamChange("noise_gate_enable", params.noise_gate_enable === 1 ? 0 : 1),
-            })}
-            <div style={{ display: "flex", gap: "8px", justifyContent: "center" }}>
-              <ChromeKnob
-                value={params.noise_gate}
-                min={0}
-                max={127}
-                label="Thresh"
-                onChange={(v) => handleParamChange("noise_gate", v)}
-                size="md"
-              />
-              <ChromeKnob
-                value={params.noise_gate_decay}
-                min={0}
-                max={127}
-                label="Decay"
-                onChange={(v) => handleParamChange("noise_gate_decay", v)}
-                size="md"
-              />
-            </div>
-          </BevelPanel>
-
-          {/* Toggle switches */}
-          <BevelPanel className="toggles" style={{ flex: "0 0 130px", padding: "12px", display: "flex", flexDirection: "column", gap: "10px" }}>
-            {sectionLabel("Toggles")}
-            {[
-              { label: "Dist", param: "dist_enable" },
-              { label: "Drive", param: "drive_enable" },
-              { label: "EQ", param: "eq_enable" },
-              { label: "Bright", param: "bright_switch" },
-            ].map(({ label, param }) => (
-              <div key={param} style={{ display: "flex", alignItems: "center", gap: "8px" }}>
-                <button
-                  onClick={() => handleParamChange(param, params[param] === 1 ? 0 : 1)}
-                  role="switch"
-                  aria-checked={params[param] === 1}
-                  aria-label={`${label} ${params[param] === 1 ? "on" : "off"}`}
-                  style={{
-                    width: "28px",
-                    height: "14px",
-                    borderRadius: "7px",
-                    border: "none",
-                    background: params[param] === 1 ? COLORS.accent : COLORS.surface3,
-                    position: "relative",
-                    cursor: "pointer",
-                    transition: "background 150ms ease",
-                    padding: 0,
-                    flexShrink: 0,
-                  }}
-                >
-                  <span style={{
-                    position: "absolute",
-                    top: "2px",
-                    left: params[param] === 1 ? "14px" : "2px",
-                    width: "10px",
-                    height: "10px",
-                    borderRadius: "50%",
-                    background: params[param] === 1 ? COLORS.textOnAccent : COLORS.textMuted,
-                    transition: "left 150ms ease",
-                  }} />
-                </button>
-                <span style={{ fontSize: "11px", fontWeight: 500, color: params[param] === 1 ? COLORS.accent : COLORS.textSecondary, fontFamily: "'Outfit', sans-serif" }}>
-                  {label}
-                </span>
-              </div>
-            ))}
-          </BevelPanel>
-
-          {/* Reverb Detail */}
-          <BevelPanel className="reverb" style={{ flex: "2 1 340px", padding: "12px" }}>
-            {sectionLabel("Reverb", {
-              active: params.reverb_enable === 1,
-              onToggle: () => handleParamChange("reverb_enable", params.reverb_enable === 1 ? 0 : 1),
-            })}
-            <div style={{ display: "flex", gap: "8px", justifyContent: "center", flexWrap: "wrap", alignItems: "flex-start" }}>
-              <ChromeKnob
-                value={params.reverb_level}
-                min={0}
-                max={127}
-                label="Level"
-                onChange={(v) => handleParamChange("reverb_level", v)}
-                size="sm"
-              />
-              <ChromeKnob
-                value={params.reverb_decay}
-                min={0}
-                max={127}
-                label="Decay"
-                onChange={(v) => handleParamChange("reverb_decay", v)}
-                size="sm"
-              />
-              <ChromeKnob
-                value={params.reverb_tone}
-                min={0}
-                max={127}
-                label="Tone"
-                onChange={(v) => handleParamChange("reverb_tone", v)}
-                size="sm"
-              />
-              <ChromeKnob
-                value={params.reverb_diffusion}
-                min={0}
-                max={127}
-                label="Diffusion"
-                onChange={(v) => handleParamChange("reverb_diffusion", v)}
-                size="sm"
-              />
-              <ChromeKnob
-                value={params.reverb_density}
-                min={0}
-                max={127}
-                label="Density"
-                onChange={(v) => handleParamChange("reverb_density", v)}
-                size="sm"
-              />
-            </div>
-            <div style={{ display: "flex", justifyContent: "center", gap: "10px", marginTop: "6px" }}>
-              <label style={{ fontSize: "11px", color: COLORS.textSecondary, display: "flex", alignItems: "center", gap: "4px", cursor: "pointer", fontFamily: "'Outfit', sans-serif" }}>
-                <input type="radio" name="reverbType" checked={params.reverb_type === 0} onChange={() => handleParamChange("reverb_type", 0)} style={{ accentColor: COLORS.accent }} />
-                Room
-              </label>
-              <label style={{ fontSize: "11px", color: COLORS.textSecondary, display: "flex", alignItems: "center", gap: "4px", cursor: "pointer", fontFamily: "'Outfit', sans-serif" }}>
-                <input type="radio" name="reverbType" checked={params.reverb_type === 1} onChange={() => handleParamChange("reverb_type", 1)} style={{ accentColor: COLORS.accent }} />
-                Spring
-              </label>
-            </div>
-          </BevelPanel>
-        </div>
-
-        {/* ============ DELAY / EFFECT ROW ============ */}
-        {(() => {
-          const effectCategory = EFFECT_CATEGORIES[params.effect] || 'bypass';
-          const currentEffectKnobs = EFFECT_KNOB_CONFIGS[effectCategory] || [];
-          const hasDelay = DELAY_EFFECTS.has(params.effect);
-          return (
-        <div className="delay-effect-row" style={{ display: "flex", gap: "0", borderTop: `1px solid ${COLORS.border}` }}>
-          {/* Delay */}
-          <BevelPanel className="delay" style={{ flex: "1 1 50%", padding: "12px" }}>
-            {sectionLabel("Delay", {
-              active: params.delay_enable === 1,
-              onToggle: () => handleParamChange("delay_enable", params.delay_enable === 1 ? 0 : 1),
-            })}
-            <div style={{ display: "flex", gap: "6px", justifyContent: "center", flexWrap: "wrap", opacity: hasDelay ? 1 : 0.3, pointerEvents: hasDelay ? "auto" : "none", transition: "opacity 200ms ease" }}>
-              <ChromeKnob
-                value={params.delay_time}
-                min={0}
-                max={127}
-                label="Coarse"
-                onChange={(v) => handleParamChange("delay_time", v)}
-                size="md"
-              />
-              <ChromeKnob
-                value={params.delay_time_fine}
-                min={0}
-                max={127}
-                label="Fine"
-                onChange={(v) => handleParamChange("delay_time_fine", v)}
-                size="md"
-              />
-              <ChromeKnob
-                value={params.delay_feedback}
-                min={0}
-                max={127}
-                label="Feedback"
-                onChange={(v) => handleParamChange("delay_feedback", v)}
-                size="md"
-              />
-              <ChromeKnob
-                value={params.delay_level}
-                min={0}
-                max={127}
-                label="Level"
-                onChange={(v) => handleParamChange("delay_level", v)}
-                size="md"
-              />
-            </div>
-            {!hasDelay && (
-              <div style={{ fontSize: "11px", color: COLORS.textMuted, textAlign: "center", marginTop: "8px", fontFamily: "'Outfit', sans-serif" }}>
-                No delay in current effect
-              </div>
-            )}
-          </BevelPanel>
-
-          {/* Effect Params */}
-          <BevelPanel className="effect" style={{ flex: "1 1 50%", padding: "12px" }}>
-            {sectionLabel(`Effect \u00b7 ${EFFECT_TYPES[params.effect]}`, {
-              active: params.mod_fx_enable === 1,
-              onToggle: () => handleParamChange("mod_fx_enable", params.mod_fx_enable === 1 ? 0 : 1),
-            })}
-            {currentEffectKnobs.length > 0 ? (
-              <div style={{ display: "flex", gap: "6px", justifyContent: "center", flexWrap: "wrap" }}>
-                {currentEffectKnobs.map(({ stateKey, label }) => (
-                  <ChromeKnob
-                    key={stateKey}
-                    value={params[stateKey]}
-                    min={0}
-                    max={127}
-                    label={label}
-                    onChange={(v) => handleParamChange(stateKey, v)}
-                    size="md"
-                    {...(effectCategory === 'compressor' && stateKey === 'effect_speed' ? { formatValue: formatCompRatio } : {})}
-                  />
-                ))}
-              </div>
-            ) : (
-              <div style={{ fontSize: "11px", color: COLORS.textMuted, textAlign: "center", padding: "16px 0", fontFamily: "'Outfit', sans-serif" }}>
-                No modulation effect active
-              </div>
-            )}
-          </BevelPanel>
-        </div>
-          );
-        })()}
-
-        {/* ============ WAH / VOLUME PEDAL ROW ============ */}
-        <div className="wah-volume-row" style={{ display: "flex", gap: "0", borderTop: `1px solid ${COLORS.border}` }}>
-          <BevelPanel className="wah-pedal" style={{ flex: "1 1 50%", padding: "12px" }}>
-            {sectionLabel("Wah Pedal")}
-            <div style={{ display: "flex", gap: "6px", justifyContent: "center", flexWrap: "wrap" }}>
-              <ChromeKnob
-                value={params.wah_position}
-                min={0}
-                max={127}
-                label="Position"
-                onChange={(v) => handleParamChange("wah_position", v)}
-                size="md"
-              />
-              <ChromeKnob
-                value={params.wah_bottom}
-                min={0}
-                max={127}
-                label="Bot Freq."
-                onChange={(v) => handleParamChange("wah_bottom", v)}
-                size="md"
-              />
-              <ChromeKnob
-                value={params.wah_top}
-                min={0}
-                max={127}
-                label="Top Freq."
-                onChange={(v) => handleParamChange("wah_top", v)}
-                size="md"
-              />
-            </div>
-          </BevelPanel>
-
-          <BevelPanel className="volume-pedal" style={{ flex: "1 1 50%", padding: "12px" }}>
-            {sectionLabel("Volume Pedal")}
-            <div style={{ display: "flex", gap: "16px", justifyContent: "center", alignItems: "center" }}>
-              <div style={{ display: "flex", alignItems: "center", gap: "6px" }}>
-                <span
-                  style={{
-                    fontSize: "11px",
-                    fontWeight: 500,
-                    color: params.vol_position < 64 ? COLORS.accent : COLORS.textMuted,
-                    fontFamily: "'Outfit', sans-serif",
-                    transition: "color 150ms ease",
-                  }}
-                >
-                  Pre-Amp
-                </span>
-                <button
-                  onClick={() => handleParamChange("vol_position", params.vol_position < 64 ? 127 : 0)}
-                  role="switch"
-                  aria-checked={params.vol_position >= 64}
-                  aria-label={`Volume position ${params.vol_position < 64 ? "pre-amp" : "post-amp"}`}
-                  style={{
-                    width: "32px",
-                    height: "16px",
-                    borderRadius: "8px",
-                    border: "none",
-                    background: params.vol_position >= 64 ? COLORS.accent : COLORS.surface3,
-                    position: "relative",
-                    cursor: "pointer",
-                    transition: "background 150ms ease",
-                    padding: 0,
-                    flexShrink: 0,
-                  }}
-                >
-                  <span style={{
-                    position: "absolute",
-                    top: "2px",
-                    left: params.vol_position >= 64 ? "16px" : "2px",
-                    width: "12px",
-                    height: "12px",
-                    borderRadius: "50%",
-                    background: params.vol_position >= 64 ? COLORS.textOnAccent : COLORS.textMuted,
-                    transition: "left 150ms ease",
-                  }} />
-                </button>
-                <span
-                  style={{
-                    fontSize: "11px",
-                    fontWeight: 500,
-                    color: params.vol_position >= 64 ? COLORS.accent : COLORS.textMuted,
-                    fontFamily: "'Outfit', sans-serif",
-                    transition: "color 150ms ease",
-                  }}
-                >
-                  Post-Amp
-                </span>
+                )}
               </div>
-              <ChromeKnob
-                value={params.vol_level}
-                min={0}
-                max={127}
-                label="Level"
-                onChange={(v) => handleParamChange("vol_level", v)}
-                size="md"
-              />
-              <ChromeKnob
-                value={params.vol_min}
-                min={0}
-                max={127}
-                label="Min Vol"
-                onChange={(v) => handleParamChange("vol_min", v)}
-                size="md"
-              />
-            </div>
-          </BevelPanel>
+            );
+          })}
+          <button onClick={addSession} title="Edit another Pocket POD side by side" style={tabButtonStyle(false)}>
+            + Add Device
+          </button>
         </div>
-
-        {/* ============ TONE NOTES ============ */}
-        <BevelPanel className="tone-notes" style={{ padding: "16px", borderTop: `1px solid ${COLORS.border}` }}>
-          {sectionLabel("Tone Notes")}
-          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr 1fr", gap: "8px" }}>
-            {[["song", "Song"], ["guitarist", "Guitarist"], ["band", "Band"], ["style", "Style"]].map(([key, label]) => (
-              <div key={key}>
-                <div style={{ fontSize: "11px", color: COLORS.textSecondary, fontWeight: 500, marginBottom: "4px" }}>{label}</div>
-                <input type="text" value={toneNotes[key]} onChange={(e) => setToneNotes((prev) => ({ ...prev, [key]: e.target.value }))}
-                  style={{ width: "100%", padding: "8px 10px", background: COLORS.surface0, border: `1px solid ${COLORS.border}`, borderRadius: "6px", fontSize: "12px", color: COLORS.textPrimary, fontFamily: "'Outfit', sans-serif" }} />
-              </div>
-            ))}
-          </div>
-          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: "8px", marginTop: "8px" }}>
-            {[["author", "Author"], ["pickup", "Pickup"]].map(([key, label]) => (
-              <div key={key}>
-                <div style={{ fontSize: "11px", color: COLORS.textSecondary, fontWeight: 500, marginBottom: "4px" }}>{label}</div>
-                <input type="text" value={toneNotes[key]} onChange={(e) => setToneNotes((prev) => ({ ...prev, [key]: e.target.value }))}
-                  style={{ width: "100%", padding: "8px 10px", background: COLORS.surface0, border: `1px solid ${COLORS.border}`, borderRadius: "6px", fontSize: "12px", color: COLORS.textPrimary, fontFamily: "'Outfit', sans-serif" }} />
-              </div>
-            ))}
-            <div>
-              <div style={{ fontSize: "11px", color: COLORS.textSecondary, fontWeight: 500, marginBottom: "4px" }}>Notes</div>
-              <input type="text" value={toneNotes.notes} onChange={(e) => setToneNotes((prev) => ({ ...prev, notes: e.target.value }))}
-                style={{ width: "100%", padding: "8px 10px", background: COLORS.surface0, border: `1px solid ${COLORS.border}`, borderRadius: "6px", fontSize: "12px", color: COLORS.textPrimary, fontFamily: "'Outfit', sans-serif" }} />
-            </div>
-          </div>
-        </BevelPanel>
-
-        {/* ============ MIDI MONITOR ============ */}
-        <BevelPanel className="midi-monitor" style={{ padding: "12px", borderTop: `1px solid ${COLORS.border}` }}>
-          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "12px" }}>
-            {sectionLabel("MIDI Monitor")}
+        {otherSessions.length > 0 && (
+          <div style={{ display: "flex", alignItems: "center", gap: "6px", fontSize: "11px", color: COLORS.textSecondary }}>
+            <label htmlFor="copy-patch-target">Copy patch to</label>
+            <select
+              id="copy-patch-target"
+              value={copyTo}
+              onChange={(e) => setCopyTarget(e.target.value)}
+              style={{ padding: "5px 8px", background: COLORS.surface0, border: `1px solid ${COLORS.border}`, borderRadius: "6px", color: COLORS.textPrimary, fontSize: "11px" }}
+            >
+              {otherSessions.map((session) => (<option key={session.id} value={session.id}>{session.label}</option>))}
+            </select>
             <button
-              onClick={() => setLog([])}
-              style={{ padding: "6px 14px", background: "transparent", border: `1px solid ${COLORS.border}`, borderRadius: "6px", color: COLORS.textSecondary, fontSize: "12px", fontWeight: 500, cursor: "pointer", fontFamily: "'Outfit', sans-serif", transition: "all 150ms ease" }}
+              onClick={copyPatch}
+              style={{ padding: "5px 12px", background: "transparent", border: `1px solid ${COLORS.border}`, borderRadius: "6px", color: COLORS.textSecondary, fontSize: "11px", fontWeight: 600, cursor: "pointer" }}
             >
-              Clear
+              Copy Patch
             </button>
           </div>
-          <div
-            ref={logContainerRef}
-            style={{ maxHeight: "220px", overflowY: "auto", background: COLORS.surface0, borderRadius: "6px", padding: "8px", border: `1px solid ${COLORS.borderSubtle}` }}
-          >
-            {log.length === 0 && (
-              <div style={{ color: COLORS.textMuted, fontSize: "12px", fontFamily: "'Outfit', sans-serif", textAlign: "center", padding: "16px" }}>
-                {connected ? "Waiting for MIDI data..." : "Connect to your Pocket POD to see MIDI traffic"}
-              </div>
-            )}
-            {log.map((entry) => (
-              <LogEntry key={entry.id} entry={entry} />
-            ))}
-          </div>
-        </BevelPanel>
+        )}
+      </div>
 
-        {/* Footer */}
-        <div style={{ textAlign: "center", fontSize: "11px", color: COLORS.textMuted, padding: "16px", fontFamily: "'Outfit', sans-serif", borderTop: `1px solid ${COLORS.borderSubtle}` }}>
-          Pocket POD Web MIDI Editor &bull; Drag knobs vertically to adjust &bull; Requires Chrome with SysEx permission
-        </div>
-        </div>{/* end main content (row 2, col 2) */}
-      </div>{/* end grid container */}
+      {sessions.map((session) => (
+        <DeviceSession
+          key={session.id}
+          sessionId={session.id}
+          active={session.id === activeId}
+          onRegister={registerSession}
+          onStatusChange={handleStatusChange}
+          midiAccess={midi.access}
+          midiSupported={midi.supported}
+          midiError={midi.error}
+        />
+      ))}
     </div>
   );
 }
@@ -0,0 +1,106 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createBankFetch, FETCH_TIMEOUT_MS } from '../bankFetch';
+
+describe('createBankFetch', () => {
+  let requests;
+  let reports;
+  let updates;
+
+  const startFetch = (options = {}) => {
+    const transfer = createBankFetch({
+      total: 5,
+      requestAll: () => requests.push('all'),
+      requestSlot: (n) => requests.push(n),
+      onUpdate: (state) => updates.push(state),
+      onComplete: (report) => reports.push(report),
+      ...options,
+    });
+    transfer.start();
+    return transfer;
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    requests = [];
+    reports = [];
+    updates = [];
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('completes once every slot of the bulk dump has arrived', () => {
+    const transfer = startFetch();
+    expect(requests).toEqual(['all']);
+    [0, 1, 2, 3, 4].forEach((n) => transfer.receive(n));
+    expect(reports).toEqual([{ status: 'complete', received: 5, total: 5, recovered: [], missing: [] }]);
+    expect(transfer.phase).toBe('complete');
+    vi.advanceTimersByTime(FETCH_TIMEOUT_MS * 2);
+    expect(requests).toEqual(['all']);
+  });
+
+  it('re-requests dropped slots one at a time after the stream goes quiet', () => {
+    const transfer = startFetch();
+    [0, 2, 4].forEach((n) => transfer.receive(n));
+    vi.advanceTimersByTime(FETCH_TIMEOUT_MS - 1);
+    expect(requests).toEqual(['all']);
+
+    vi.advanceTimersByTime(1);
+    expect(requests).toEqual(['all', 1]);
+    expect(updates.at(-1)).toMatchObject({ phase: 'retrying', retrying: 1, missing: [1, 3] });
+
+    transfer.receive(1);
+    expect(requests).toEqual(['all', 1, 3]);
+    transfer.receive(3);
+    expect(reports[0]).toEqual({ status: 'complete', received: 5, total: 5, recovered: [1, 3], missing: [] });
+  });
+
+  it('gives up on a slot after maxRetries and reports it missing', () => {
+    const transfer = startFetch({ maxRetries: 2 });
+    [0, 1, 2, 3].forEach((n) => transfer.receive(n));
+    vi.advanceTimersByTime(FETCH_TIMEOUT_MS * 3);
+    expect(requests).toEqual(['all', 4, 4]);
+    expect(reports[0]).toMatchObject({ status: 'incomplete', received: 4, missing: [4] });
+  });
+
+  it('gives up at once when the device sends nothing back', () => {
+    startFetch();
+    vi.advanceTimersByTime(FETCH_TIMEOUT_MS);
+    expect(requests).toEqual(['all']);
+    expect(reports).toEqual([{ status: 'unanswered', received: 0, total: 5, recovered: [], missing: [0, 1, 2, 3, 4] }]);
+    vi.advanceTimersByTime(FETCH_TIMEOUT_MS * 10);
+    expect(requests).toEqual(['all']);
+  });
+
+  it('keeps the bulk phase alive while dumps keep arriving', () => {
+    const transfer = startFetch();
+    for (const n of [0, 1, 2]) {
+      vi.advanceTimersByTime(FETCH_TIMEOUT_MS - 10);
+      transfer.receive(n);
+    }
+    expect(requests).toEqual(['all']);
+    expect(updates.at(-1)).toMatchObject({ phase: 'bulk', received: 3 });
+  });
+
+  it('reports what was still missing when cancelled', () => {
+    const transfer = startFetch();
+    transfer.receive(0);
+    transfer.cancel();
+    expect(reports[0]).toMatchObject({ status: 'cancelled', received: 1, missing: [1, 2, 3, 4] });
+    transfer.receive(1);
+    vi.advanceTimersByTime(FETCH_TIMEOUT_MS * 2);
+    expect(reports).toHaveLength(1);
+    expect(requests).toEqual(['all']);
+  });
+
+  it('ignores duplicates and out-of-range slots', () => {
+    const transfer = startFetch();
+    transfer.receive(0);
+    transfer.receive(0);
+    transfer.receive(null);
+    transfer.receive(99);
+    expect(updates.at(-1).received).toBe(1);
+  });
+});
@@ -0,0 +1,76 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createCcQueue, CC_SEND_INTERVAL_MS } from '../ccQueue';
+
+describe('createCcQueue', () => {
+  let sent;
+  let depths;
+
+  const createQueue = () => createCcQueue({
+    send: (message) => sent.push(message),
+    onDepthChange: (depth) => depths.push(depth),
+  });
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    sent = [];
+    depths = [];
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('sends right away when idle', () => {
+    const queue = createQueue();
+    queue.push([0xB0, 13, 64]);
+    expect(sent).toEqual([[0xB0, 13, 64]]);
+    expect(queue.depth).toBe(0);
+    expect(depths).toEqual([]);
+  });
+
+  it('merges a sweep into the newest value per controller', () => {
+    const queue = createQueue();
+    for (let value = 0; value <= 127; value++) queue.push([0xB0, 13, value]);
+    expect(sent).toEqual([[0xB0, 13, 0]]);
+    expect(queue.depth).toBe(1);
+
+    vi.advanceTimersByTime(CC_SEND_INTERVAL_MS);
+    expect(sent).toEqual([[0xB0, 13, 0], [0xB0, 13, 127]]);
+    expect(queue.depth).toBe(0);
+    expect(depths).toEqual([1, 0]);
+  });
+
+  it('caps the send rate and keeps controllers in order', () => {
+    const queue = createQueue();
+    queue.push([0xB0, 13, 1]);
+    queue.push([0xB0, 14, 2]);
+    queue.push([0xB0, 15, 3]);
+    queue.push([0xB0, 14, 4]);
+    queue.push([0xB1, 14, 5]); // another channel is another controller
+    expect(queue.depth).toBe(3);
+
+    vi.advanceTimersByTime(CC_SEND_INTERVAL_MS - 1);
+    expect(sent).toHaveLength(1);
+    vi.advanceTimersByTime(1);
+    expect(sent.at(-1)).toEqual([0xB0, 14, 4]);
+    vi.advanceTimersByTime(CC_SEND_INTERVAL_MS * 2);
+    expect(sent).toEqual([[0xB0, 13, 1], [0xB0, 14, 4], [0xB0, 15, 3], [0xB1, 14, 5]]);
+  });
+
+  it('flushes queued CCs at once and drops them on clear', () => {
+    const queue = createQueue();
+    queue.push([0xB0, 13, 1]);
+    queue.push([0xB0, 14, 2]);
+    queue.push([0xB0, 15, 3]);
+    queue.flush();
+    expect(sent).toHaveLength(3);
+    expect(queue.depth).toBe(0);
+
+    queue.push([0xB0, 16, 4]);
+    queue.clear();
+    vi.advanceTimersByTime(CC_SEND_INTERVAL_MS * 4);
+    expect(sent).toHaveLength(3);
+    expect(depths.at(-1)).toBe(0);
+  });
+});
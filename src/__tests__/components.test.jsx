@@ -2,7 +2,7 @@ import { describe, it, expect, vi } from 'vitest';
 import { render, screen, fireEvent } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import {
-  LED, ToggleButton, ChromeKnob, BevelPanel, LogEntry, ScrewHead,
+  LED, ToggleButton, ChromeKnob, BevelPanel, LogEntry, ScrewHead, ParamDiffPanel,
 } from '../PocketPodEditor';
 
 // --- LED ---
@@ -226,6 +226,50 @@ describe('ChromeKnob', () => {
     // 64/127*10 = 5.0
     expect(screen.getByText('5.0')).toBeInTheDocument();
   });
+
+  it('reports the start and end of a mouse drag', () => {
+    const onChange = vi.fn();
+    const onDragStart = vi.fn();
+    const onDragEnd = vi.fn();
+    render(<ChromeKnob value={50} min={0} max={127} label="Drive" onChange={onChange} onDragStart={onDragStart} onDragEnd={onDragEnd} />);
+    fireEvent.mouseDown(screen.getByRole('slider'), { clientY: 100 });
+    expect(onDragStart).toHaveBeenCalledTimes(1);
+    fireEvent.mouseMove(document, { clientY: 80 });
+    expect(onChange).toHaveBeenCalled();
+    expect(onDragEnd).not.toHaveBeenCalled();
+    fireEvent.mouseUp(document);
+    expect(onDragEnd).toHaveBeenCalledTimes(1);
+  });
+
+  it('accepts a typed value on the 0-10 scale', () => {
+    const onChange = vi.fn();
+    render(<ChromeKnob value={50} min={0} max={127} label="Drive" onChange={onChange} />);
+    fireEvent.doubleClick(screen.getByText('3.9'));
+    const input = screen.getByLabelText('Drive value');
+    fireEvent.change(input, { target: { value: 'loud' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(input).toHaveAttribute('aria-invalid', 'true');
+    expect(onChange).not.toHaveBeenCalled();
+
+    fireEvent.change(input, { target: { value: '5' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(onChange).toHaveBeenCalledWith(64);
+    expect(screen.queryByLabelText('Drive value')).not.toBeInTheDocument();
+  });
+
+  it('hands typed text to onValueEntry and closes on Escape', () => {
+    const onValueEntry = vi.fn(() => true);
+    render(<ChromeKnob value={64} min={0} max={127} label="Bass" onChange={() => {}} onValueEntry={onValueEntry} />);
+    fireEvent.keyDown(screen.getByRole('slider'), { key: 'Enter' });
+    fireEvent.keyDown(screen.getByLabelText('Bass value'), { key: 'Escape' });
+    expect(screen.queryByLabelText('Bass value')).not.toBeInTheDocument();
+
+    fireEvent.keyDown(screen.getByRole('slider'), { key: 'Enter' });
+    const input = screen.getByLabelText('Bass value');
+    fireEvent.change(input, { target: { value: '-6 dB' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(onValueEntry).toHaveBeenCalledWith('-6 dB');
+  });
 });
 
 // --- LogEntry ---
@@ -253,6 +297,48 @@ describe('LogEntry', () => {
     // #4c9aff -> rgb(76, 154, 255)
     expect(dirSpan.style.color).toContain('76, 154, 255');
   });
+
+  it('shows the decoded summary and reveals raw hex on expand', () => {
+    const entry = { time: '00:00:00', dir: 'IN', data: 'B0 0D 60', summary: 'CC 13 Drive = 96', error: null, id: 1 };
+    render(<LogEntry entry={entry} />);
+    expect(screen.getByText('CC 13 Drive = 96')).toBeInTheDocument();
+    expect(screen.queryByText('B0 0D 60')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Show raw bytes' }));
+    expect(screen.getByText('B0 0D 60')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Hide raw bytes' })).toHaveAttribute('aria-expanded', 'true');
+  });
+
+  it('flags invalid messages', () => {
+    const entry = { time: '00:00:00', dir: 'IN', data: 'F0 00', summary: 'SysEx (2 bytes)', error: 'SysEx without F7 terminator', id: 1 };
+    render(<LogEntry entry={entry} />);
+    expect(screen.getByText('(SysEx without F7 terminator)')).toBeInTheDocument();
+  });
+});
+
+// --- ParamDiffPanel ---
+describe('ParamDiffPanel', () => {
+  it('shows a row per changed param with names instead of indexes', () => {
+    render(<ParamDiffPanel rows={[{ key: 'ampModel', from: 1, to: 2 }, { key: 'drive', from: 10, to: 90 }]} onRevert={() => {}} />);
+    const rows = screen.getAllByRole('row');
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toHaveTextContent('Amp Model');
+    expect(rows[0]).toHaveTextContent('Line 6 Clean');
+    expect(rows[0]).toHaveTextContent('Line 6 Crunch');
+    expect(rows[1]).toHaveTextContent('Drive');
+  });
+
+  it('reverts a row to its old value', () => {
+    const onRevert = vi.fn();
+    render(<ParamDiffPanel rows={[{ key: 'drive', from: 10, to: 90 }]} onRevert={onRevert} />);
+    fireEvent.click(screen.getByRole('button', { name: 'Revert Drive' }));
+    expect(onRevert).toHaveBeenCalledWith('drive', 10);
+  });
+
+  it('shows a placeholder when nothing differs', () => {
+    render(<ParamDiffPanel rows={[]} onRevert={() => {}} />);
+    expect(screen.getByText('No differences')).toBeInTheDocument();
+  });
 });
 
 // --- ScrewHead (deprecated) ---
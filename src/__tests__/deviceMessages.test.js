@@ -0,0 +1,76 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { deviceUpdates, upsertPreset } from '../deviceMessages';
+import {
+  parseMidiMessage, buildPatchDump, MIDI_CC_MAP, MIDI_CHANNEL_OMNI, DEFAULT_PARAMS,
+} from '../pocketPodProtocol';
+
+const updatesFor = (bytes, context = {}) => deviceUpdates(parseMidiMessage(bytes), { channel: 0, ...context });
+
+describe('deviceUpdates', () => {
+  it('reads the device identity', () => {
+    const reply = [0xF0, 0x7E, 0x00, 0x06, 0x02, 0x00, 0x01, 0x0C, 0x00, 0x01, 0x00, 0x01, 0x30, 0x31, 0x30, 0x30, 0xF7];
+    expect(updatesFor(reply)).toEqual([{
+      type: 'deviceInfo',
+      deviceInfo: { manufacturer: '00 01 0c', family: '00 01', member: '00 01', version: '0100' },
+    }]);
+  });
+
+  it('loads an edit buffer dump into the editor', () => {
+    const params = { ...DEFAULT_PARAMS, drive: 99 };
+    const [update] = updatesFor(buildPatchDump(params, 'Crunch'));
+    expect(update.type).toBe('editBuffer');
+    expect(update.name).toBe('Crunch');
+    expect(update.params.drive).toBe(99);
+  });
+
+  it('files stored programs into the library', () => {
+    const [update] = updatesFor(buildPatchDump(DEFAULT_PARAMS, 'Slot Nine', { presetNumber: 8, isEditBuffer: false }));
+    expect(update.type).toBe('storedPreset');
+    expect(update.preset).toMatchObject({ number: 8, name: 'Slot Nine' });
+  });
+
+  it('compares the edit buffer with the UI while the sync check waits', () => {
+    const ui = { params: { ...DEFAULT_PARAMS }, name: 'Crunch' };
+    const dump = buildPatchDump({ ...DEFAULT_PARAMS, drive: ui.params.drive + 1 }, 'Crunch');
+    const [update] = updatesFor(dump, { sync: { stale: false, editBuffer: ui } });
+    expect(update.type).toBe('drift');
+    expect(update.rows).toEqual([{ key: 'drive', from: ui.params.drive, to: ui.params.drive + 1 }]);
+
+    expect(updatesFor(buildPatchDump(ui.params, 'Crunch'), { sync: { stale: false, editBuffer: ui } })[0].rows).toEqual([]);
+    expect(updatesFor(dump, { sync: { stale: true, editBuffer: ui } })[0].rows).toBeNull();
+  });
+
+  it('maps CCs on the connection channel to params', () => {
+    const { cc } = MIDI_CC_MAP.drive;
+    expect(updatesFor([0xB0, cc, 80])).toEqual([{ type: 'param', key: 'drive', value: 80 }]);
+    expect(updatesFor([0xB3, cc, 80])).toEqual([]);
+    expect(updatesFor([0xB3, cc, 80], { channel: MIDI_CHANNEL_OMNI })).toHaveLength(1);
+  });
+
+  it('follows program changes on the connection channel', () => {
+    expect(updatesFor([0xC0, 4])).toEqual([{ type: 'program', program: 4, name: 'Preset 5' }]);
+    expect(updatesFor([0xC5, 4])).toEqual([]);
+  });
+
+  it('learns a tap note, then taps on it from any channel', () => {
+    expect(updatesFor([0x92, 60, 100], { tapNote: { note: null, learning: true } }))
+      .toEqual([{ type: 'tapNote', tapNote: { note: 60, learning: false } }]);
+    expect(updatesFor([0x95, 60, 100], { tapNote: { note: 60, learning: false } })).toEqual([{ type: 'tap' }]);
+    expect(updatesFor([0x90, 61, 100], { tapNote: { note: 60, learning: false } })).toEqual([]);
+  });
+
+  it('ignores anything else', () => {
+    expect(updatesFor([0xE0, 0, 64])).toEqual([]);
+    expect(updatesFor([0xF0, 0x41, 0x10, 0xF7])).toEqual([]);
+  });
+});
+
+describe('upsertPreset', () => {
+  it('replaces a slot and keeps the library in slot order', () => {
+    const presets = [{ number: 0, name: 'A' }, { number: 5, name: 'B' }];
+    expect(upsertPreset(presets, { number: 3, name: 'C' }).map((p) => p.name)).toEqual(['A', 'C', 'B']);
+    expect(upsertPreset(presets, { number: 5, name: 'D' }).map((p) => p.name)).toEqual(['A', 'D']);
+    expect(presets).toHaveLength(2);
+  });
+});
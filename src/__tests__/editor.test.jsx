@@ -1,26 +1,39 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { render, screen, fireEvent, act, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, act, waitFor, within, cleanup } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
+import { IDBFactory } from 'fake-indexeddb';
+import { createLibraryStore } from '../libraryStore';
 import PocketPodEditor, {
   SYSEX_START, SYSEX_END, LINE6_MANUFACTURER_ID, POCKET_POD_DEVICE_ID,
-  MIDI_CC_MAP, REQUEST_ALL_PRESETS,
-  EFFECT_TYPES,
+  MIDI_CC_MAP, REQUEST_ALL_PRESETS, REQUEST_EDIT_BUFFER, IDENTITY_REQUEST,
+  EFFECT_TYPES, DEFAULT_PARAMS, parsePatchDump,
 } from '../PocketPodEditor';
+import { buildPatchDump } from '../pocketPodProtocol';
 
 // --- Mock Web MIDI API helpers ---
 
+// Just enough of EventTarget: listeners per event type, fired by emit()
+function withListeners(target) {
+  const listeners = {};
+  return Object.assign(target, {
+    addEventListener: (type, listener) => (listeners[type] ??= new Set()).add(listener),
+    removeEventListener: (type, listener) => listeners[type]?.delete(listener),
+    listenerCount: (type) => listeners[type]?.size ?? 0,
+    emit: (type, event) => listeners[type]?.forEach((listener) => listener(event)),
+  });
+}
+
 function createMockMIDIPort(id, name, type) {
-  return {
+  return withListeners({
     id,
     name,
     type,
     state: 'connected',
     connection: 'open',
-    onmidimessage: null,
     send: vi.fn(),
     open: vi.fn(),
     close: vi.fn(),
-  };
+  });
 }
 
 function createMockMIDIAccess() {
@@ -30,13 +43,12 @@ function createMockMIDIAccess() {
   const inputsMap = new Map([[mockInput.id, mockInput]]);
   const outputsMap = new Map([[mockOutput.id, mockOutput]]);
 
-  return {
+  return withListeners({
     inputs: inputsMap,
     outputs: outputsMap,
-    onstatechange: null,
     _input: mockInput,
     _output: mockOutput,
-  };
+  });
 }
 
 function setupMIDIMock() {
@@ -218,8 +230,7 @@ describe('PocketPodEditor', () => {
 
     // Simulate incoming CC for drive (CC 13) with value 100
     await act(async () => {
-      const handler = mockAccess._input.onmidimessage;
-      handler({ data: new Uint8Array([0xB0, 13, 100]) });
+      mockAccess._input.emit('midimessage', { data: new Uint8Array([0xB0, 13, 100]) });
     });
 
     // Drive value 100 displayed as normalized 0-10 scale: (100/127*10) = 7.9
@@ -240,7 +251,7 @@ describe('PocketPodEditor', () => {
 
     // Send dist_enable CC (25) with value 127 (on)
     await act(async () => {
-      mockAccess._input.onmidimessage({ data: new Uint8Array([0xB0, 25, 127]) });
+      mockAccess._input.emit('midimessage', { data: new Uint8Array([0xB0, 25, 127]) });
     });
 
     // The Dist toggle should now be active
@@ -260,12 +271,12 @@ describe('PocketPodEditor', () => {
 
     // First turn it on
     await act(async () => {
-      mockAccess._input.onmidimessage({ data: new Uint8Array([0xB0, 25, 127]) });
+      mockAccess._input.emit('midimessage', { data: new Uint8Array([0xB0, 25, 127]) });
     });
 
     // Then turn it off
     await act(async () => {
-      mockAccess._input.onmidimessage({ data: new Uint8Array([0xB0, 25, 10]) });
+      mockAccess._input.emit('midimessage', { data: new Uint8Array([0xB0, 25, 10]) });
     });
 
     const distToggle = screen.getByLabelText('Dist off');
@@ -285,7 +296,7 @@ describe('PocketPodEditor', () => {
 
     // Send program change to program 5
     await act(async () => {
-      mockAccess._input.onmidimessage({ data: new Uint8Array([0xC0, 5]) });
+      mockAccess._input.emit('midimessage', { data: new Uint8Array([0xC0, 5]) });
     });
 
     // Preset name should be "Preset 6" (5 + 1)
@@ -305,7 +316,7 @@ describe('PocketPodEditor', () => {
 
     // Simulate identity reply
     await act(async () => {
-      mockAccess._input.onmidimessage({ data: new Uint8Array(buildIdentityReply()) });
+      mockAccess._input.emit('midimessage', { data: new Uint8Array(buildIdentityReply()) });
     });
 
     // Device info should be displayed
@@ -330,7 +341,7 @@ describe('PocketPodEditor', () => {
     });
 
     await act(async () => {
-      mockAccess._input.onmidimessage({ data: new Uint8Array(sysex) });
+      mockAccess._input.emit('midimessage', { data: new Uint8Array(sysex) });
     });
 
     expect(screen.getByText('Clean Tone')).toBeInTheDocument();
@@ -354,7 +365,7 @@ describe('PocketPodEditor', () => {
     });
 
     await act(async () => {
-      mockAccess._input.onmidimessage({ data: new Uint8Array(sysex) });
+      mockAccess._input.emit('midimessage', { data: new Uint8Array(sysex) });
     });
 
     // Preset should appear in the library list
@@ -386,170 +397,1793 @@ describe('PocketPodEditor', () => {
     expect(lastCall[1]).toBe(MIDI_CC_MAP.drive.cc);
   });
 
-  // --- Toggle change sends 0/127 ---
-  it('sends 127 when toggle is turned on and 0 when turned off', async () => {
+  // --- Simulated Pocket POD ---
+  it('offers the simulator as a port without selecting it automatically', async () => {
     await act(async () => {
       render(<PocketPodEditor />);
     });
+    expect(screen.getAllByText('Simulated Pocket POD')).toHaveLength(2);
+    expect(screen.getAllByRole('combobox')[0]).toHaveValue('input-1');
+  });
 
+  it('connects to the simulator without Web MIDI and fetches its bank', async () => {
+    removeMIDIMock();
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+    const [inputSelect, outputSelect] = screen.getAllByRole('combobox');
+    await act(async () => {
+      fireEvent.change(inputSelect, { target: { value: 'simulated-pocket-pod' } });
+      fireEvent.change(outputSelect, { target: { value: 'simulated-pocket-pod' } });
+    });
     await act(async () => {
       fireEvent.click(screen.getByText('Connect'));
       vi.advanceTimersByTime(300);
     });
+    expect(screen.getByText('ON')).toBeInTheDocument();
+    expect(screen.getByText('Pocket POD v2.10')).toBeInTheDocument();
 
-    // Click the Dist toggle to turn it on
-    const distToggle = screen.getByRole('switch', { name: /Dist/ });
     await act(async () => {
-      fireEvent.click(distToggle);
+      fireEvent.keyDown(screen.getByRole('slider', { name: 'Drive' }), { key: 'End' });
+      vi.advanceTimersByTime(50);
     });
+    expect(screen.getByRole('slider', { name: 'Drive' })).toHaveAttribute('aria-valuenow', '127');
 
-    // Find the CC send call for dist_enable (CC 25) with value 127
-    const sendCalls = mockAccess._output.send.mock.calls;
-    const distOnCall = sendCalls.find(call => call[0][0] === 0xB0 && call[0][1] === 25);
-    expect(distOnCall).toBeDefined();
-    expect(distOnCall[0][2]).toBe(127);
+    await act(async () => {
+      fireEvent.click(screen.getByText('Fetch All'));
+    });
+    await act(async () => {
+      vi.advanceTimersByTime(5 * 124 + 50);
+    });
+    expect(screen.getAllByLabelText(/^Load preset/)).toHaveLength(124);
+  }, 20000);
 
-    // Click again to turn it off
+  // --- Multiple devices ---
+  it('edits several devices in tabs and copies a patch between them', async () => {
     await act(async () => {
-      fireEvent.click(screen.getByRole('switch', { name: /Dist/ }));
+      render(<PocketPodEditor />);
     });
+    const panel = (id) => within(document.querySelector(`[data-session="${id}"]`));
 
-    const distOffCall = sendCalls.filter(call => call[0][0] === 0xB0 && call[0][1] === 25);
-    // The most recent dist call should have value 0
-    expect(distOffCall[distOffCall.length - 1][0][2]).toBe(0);
+    await act(async () => {
+      fireEvent.click(screen.getByText('+ Add Device'));
+    });
+    expect(screen.getByRole('tab', { name: /Device 2/ })).toHaveAttribute('aria-selected', 'true');
+
+    // Device 2 drives the simulator, device 1 the (mocked) hardware port
+    const [inputSelect, outputSelect] = panel('device-2').getAllByRole('combobox');
+    await act(async () => {
+      fireEvent.change(inputSelect, { target: { value: 'simulated-pocket-pod' } });
+      fireEvent.change(outputSelect, { target: { value: 'simulated-pocket-pod' } });
+    });
+    await act(async () => {
+      fireEvent.click(panel('device-2').getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+    expect(panel('device-2').getByText('Pocket POD v2.10')).toBeInTheDocument();
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('tab', { name: /Device 1/ }));
+    });
+    await act(async () => {
+      fireEvent.click(panel('device-1').getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+    await act(async () => {
+      mockAccess._input.emit('midimessage', { data: new Uint8Array(buildSysExPatchDump({ nameChars: 'Clean Tone      ', paramOverrides: { 9: 80 } })) });
+    });
+    expect(panel('device-1').getByText('Clean Tone')).toBeInTheDocument();
+    expect(panel('device-2').queryByText('Clean Tone')).not.toBeInTheDocument();
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Copy Patch'));
+    });
+    expect(panel('device-2').getByText('Clean Tone')).toBeInTheDocument();
+    // The copy is pushed to device 2 as an edit buffer dump, never to device 1
+    expect(mockAccess._output.send.mock.calls.some(([data]) => data[5] === 0x01)).toBe(false);
+    expect(panel('device-2').getByText("Patch Dump (edit buffer) 'Clean Tone'")).toBeInTheDocument();
   });
 
-  // --- Preset loading ---
-  it('sends program change when preset is loaded', async () => {
+  it('shares one MIDI access between tabs without stealing port events', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+    const panel = (id) => within(document.querySelector(`[data-session="${id}"]`));
+    await act(async () => {
+      fireEvent.click(panel('device-1').getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('+ Add Device'));
+    });
+    await act(async () => {
+      fireEvent.click(panel('device-2').getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+    expect(navigator.requestMIDIAccess).toHaveBeenCalledTimes(1);
+
+    // Both tabs on the same port hear it
+    await act(async () => {
+      mockAccess._input.emit('midimessage', { data: new Uint8Array([0xB0, MIDI_CC_MAP.drive.cc, 33]) });
+    });
+    expect(panel('device-1').getByRole('slider', { name: 'Drive', hidden: true })).toHaveAttribute('aria-valuenow', '33');
+    expect(panel('device-2').getByRole('slider', { name: 'Drive' })).toHaveAttribute('aria-valuenow', '33');
+
+    // Unplugging reaches the first tab too, not just the last one mounted
+    await act(async () => {
+      mockAccess._input.state = 'disconnected';
+      mockAccess._output.state = 'disconnected';
+      mockAccess.emit('statechange', { port: mockAccess._input });
+    });
+    expect(panel('device-1').getByText(/Pocket POD unplugged/)).toBeInTheDocument();
+    expect(panel('device-2').getByText(/Pocket POD unplugged/)).toBeInTheDocument();
+  });
+
+  it('ties each tab\'s connection labels to its own fields', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('+ Add Device'));
+    });
+    const panel = (id) => within(document.querySelector(`[data-session="${id}"]`));
+    for (const label of ['MIDI Channel', 'Device ID']) {
+      const first = panel('device-1').getByLabelText(label);
+      const second = panel('device-2').getByLabelText(label);
+      expect(second).not.toBe(first);
+      expect(second.id).not.toBe(first.id);
+    }
+  });
+
+  it('closes a disconnected device tab without asking', async () => {
+    const confirmSpy = vi.spyOn(window, 'confirm').mockReturnValue(true);
     await act(async () => {
       render(<PocketPodEditor />);
     });
+    await act(async () => {
+      fireEvent.click(screen.getByText('+ Add Device'));
+    });
+    expect(screen.queryByText('Copy patch to')).toBeInTheDocument();
+
+    await act(async () => {
+      fireEvent.click(screen.getByLabelText('Close Device 2'));
+    });
+    expect(confirmSpy).not.toHaveBeenCalled();
+    expect(screen.queryByRole('tab', { name: /Device 2/ })).not.toBeInTheDocument();
+    expect(screen.getByRole('tab', { name: /Device 1/ })).toHaveAttribute('aria-selected', 'true');
+    expect(screen.queryByText('Copy patch to')).not.toBeInTheDocument();
+  });
 
+  // --- Channel and device ID ---
+  it('sends and listens on the configured MIDI channel and device ID', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+    await act(async () => {
+      fireEvent.change(screen.getByLabelText('MIDI Channel'), { target: { value: '4' } });
+      fireEvent.change(screen.getByLabelText('Device ID'), { target: { value: '3' } });
+    });
     await act(async () => {
       fireEvent.click(screen.getByText('Connect'));
       vi.advanceTimersByTime(300);
     });
+    expect(screen.getByLabelText('MIDI Channel')).toBeDisabled();
 
-    // Add a preset via SysEx
-    const sysex = buildSysExPatchDump({
-      isEditBuffer: false,
-      presetNumber: 3,
-      nameChars: 'My Preset       ',
+    await act(async () => {
+      fireEvent.keyDown(screen.getByRole('slider', { name: 'Drive' }), { key: 'End' });
+      vi.advanceTimersByTime(50);
     });
+    expect(mockAccess._output.send).toHaveBeenLastCalledWith([0xB4, MIDI_CC_MAP.drive.cc, 127]);
 
     await act(async () => {
-      mockAccess._input.onmidimessage({ data: new Uint8Array(sysex) });
+      fireEvent.click(screen.getByText('Fetch All'));
     });
+    expect(mockAccess._output.send.mock.calls.at(-1)[0][4]).toBe(3);
 
-    // Click the preset to load it
-    const presetBtn = screen.getByLabelText(/Load preset 4/);
+    // CCs on other channels and dumps for other device IDs are ignored
     await act(async () => {
-      fireEvent.click(presetBtn);
+      mockAccess._input.emit('midimessage', { data: new Uint8Array([0xB0, MIDI_CC_MAP.drive.cc, 5]) });
+      mockAccess._input.emit('midimessage', { data: new Uint8Array(buildSysExPatchDump({ nameChars: 'Other Unit      ' })) });
     });
+    expect(screen.getByRole('slider', { name: 'Drive' })).toHaveAttribute('aria-valuenow', '127');
+    expect(screen.queryByText('Other Unit')).not.toBeInTheDocument();
 
-    // Verify program change was sent
-    const sendCalls = mockAccess._output.send.mock.calls;
-    const pcCall = sendCalls.find(call => call[0][0] === 0xC0);
-    expect(pcCall).toBeDefined();
-    expect(pcCall[0][1]).toBe(3); // program number
+    await act(async () => {
+      mockAccess._input.emit('midimessage', { data: new Uint8Array([0xB4, MIDI_CC_MAP.drive.cc, 5]) });
+    });
+    expect(screen.getByRole('slider', { name: 'Drive' })).toHaveAttribute('aria-valuenow', '5');
   });
 
-  // --- Fetch all presets ---
-  it('sends REQUEST_ALL_PRESETS SysEx when fetch clicked', async () => {
+  it('answers on the configured channel and device ID when simulated', async () => {
+    removeMIDIMock();
     await act(async () => {
       render(<PocketPodEditor />);
     });
+    const [inputSelect, outputSelect] = screen.getAllByRole('combobox');
+    await act(async () => {
+      fireEvent.change(inputSelect, { target: { value: 'simulated-pocket-pod' } });
+      fireEvent.change(outputSelect, { target: { value: 'simulated-pocket-pod' } });
+      fireEvent.change(screen.getByLabelText('MIDI Channel'), { target: { value: '4' } });
+      fireEvent.change(screen.getByLabelText('Device ID'), { target: { value: '3' } });
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Fetch All'));
+      vi.advanceTimersByTime(1000);
+    });
+    expect(screen.getByLabelText(/Load preset 1:/)).toBeInTheDocument();
+    expect(screen.getAllByText(/Patch Dump \(program 001\)/).length).toBeGreaterThan(0);
+  });
 
+  it('accepts CCs on any channel in omni mode', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+    await act(async () => {
+      fireEvent.change(screen.getByLabelText('MIDI Channel'), { target: { value: 'omni' } });
+    });
     await act(async () => {
       fireEvent.click(screen.getByText('Connect'));
       vi.advanceTimersByTime(300);
     });
+    await act(async () => {
+      mockAccess._input.emit('midimessage', { data: new Uint8Array([0xB9, MIDI_CC_MAP.drive.cc, 33]) });
+    });
+    expect(screen.getByRole('slider', { name: 'Drive' })).toHaveAttribute('aria-valuenow', '33');
+  });
 
-    const fetchBtn = screen.getByText('Fetch All');
+  // --- Display units ---
+  it('shows EQ, gate, wah and delay knobs in real units and takes typed values', async () => {
     await act(async () => {
-      fireEvent.click(fetchBtn);
+      render(<PocketPodEditor />);
     });
+    expect(screen.getAllByText('0.0 dB').length).toBeGreaterThanOrEqual(3);
 
-    // Verify the SysEx was sent
-    const sendCalls = mockAccess._output.send.mock.calls;
-    const sysExCall = sendCalls.find(call => {
-      const d = call[0];
-      return d[0] === REQUEST_ALL_PRESETS[0] &&
-             d[d.length - 1] === REQUEST_ALL_PRESETS[REQUEST_ALL_PRESETS.length - 1] &&
-             d[5] === 0x00 && d[6] === 0x02;
+    const typeValue = async (name, text) => {
+      await act(async () => {
+        fireEvent.keyDown(screen.getByRole('slider', { name }), { key: 'Enter' });
+      });
+      const input = screen.getByLabelText(`${name} value`);
+      await act(async () => {
+        fireEvent.change(input, { target: { value: text } });
+        fireEvent.keyDown(input, { key: 'Enter' });
+      });
+    };
+
+    await typeValue('Bass', '+6 dB');
+    expect(screen.getByRole('slider', { name: 'Bass' })).toHaveAttribute('aria-valuenow', '96');
+    expect(screen.getByText('+6.1 dB')).toBeInTheDocument();
+
+    await typeValue('Thresh', '-48');
+    expect(screen.getByRole('slider', { name: 'Thresh' })).toHaveAttribute('aria-valuenow', '64');
+
+    await typeValue('Top Freq.', '1.5 kHz');
+    expect(screen.getByRole('slider', { name: 'Top Freq.' })).toHaveAttribute('aria-valuenow', '101');
+
+    // One typed delay time sets coarse and fine, as a single undo step
+    await typeValue('Coarse', '500 ms');
+    expect(screen.getByText('500 ms')).toBeInTheDocument();
+    expect(screen.getByRole('slider', { name: 'Coarse' })).toHaveAttribute('aria-valuenow', '20');
+    expect(screen.getByRole('slider', { name: 'Fine' })).toHaveAttribute('aria-valuenow', '40');
+    await act(async () => {
+      fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
     });
-    expect(sysExCall).toBeDefined();
+    expect(screen.getByRole('slider', { name: 'Coarse' })).toHaveAttribute('aria-valuenow', String(DEFAULT_PARAMS.delay_time));
+    expect(screen.getByRole('slider', { name: 'Fine' })).toHaveAttribute('aria-valuenow', String(DEFAULT_PARAMS.delay_time_fine));
   });
 
-  // --- Error display and dismiss ---
-  it('shows error banner and dismisses it', async () => {
-    // Remove MIDI support to trigger an error
-    removeMIDIMock();
-
+  // --- Tempo sync ---
+  it('sets the delay time from the BPM and note division', async () => {
     await act(async () => {
       render(<PocketPodEditor />);
     });
+    const bpmField = screen.getByLabelText('BPM');
+    await act(async () => {
+      fireEvent.change(bpmField, { target: { value: '6' } });
+      fireEvent.change(bpmField, { target: { value: '60' } });
+    });
+    // Nothing is sent or recorded while typing
+    expect(screen.getByText('Undo')).toBeDisabled();
+    await act(async () => {
+      fireEvent.keyDown(bpmField, { key: 'Enter' });
+    });
+    expect(screen.getByText('1000 ms')).toBeInTheDocument();
 
-    // Error banner should be present
-    const alerts = screen.getAllByRole('alert');
-    expect(alerts.length).toBeGreaterThan(0);
+    await act(async () => {
+      fireEvent.change(screen.getByLabelText('Note division'), { target: { value: '1/8d' } });
+    });
+    expect(screen.getByText('750 ms')).toBeInTheDocument();
 
-    // Click dismiss button
-    const dismissBtn = screen.getByLabelText('Dismiss error');
+    // Out-of-range tempos are not applied; the field goes back to the last tempo
     await act(async () => {
-      fireEvent.click(dismissBtn);
+      fireEvent.change(bpmField, { target: { value: '5' } });
+      fireEvent.blur(bpmField);
     });
+    expect(screen.getByText('750 ms')).toBeInTheDocument();
+    expect(bpmField).toHaveValue(60);
 
-    // Error should be removed
-    expect(screen.queryByLabelText('Dismiss error')).not.toBeInTheDocument();
+    // Two committed tempos are two undo steps, however they were typed
+    await act(async () => {
+      fireEvent.change(bpmField, { target: { value: '1' } });
+      fireEvent.change(bpmField, { target: { value: '12' } });
+      fireEvent.change(bpmField, { target: { value: '120' } });
+      fireEvent.blur(bpmField);
+    });
+    expect(screen.getByText('375 ms')).toBeInTheDocument();
+    await act(async () => {
+      fireEvent.click(screen.getByText('Undo'));
+    });
+    expect(screen.getByText('750 ms')).toBeInTheDocument();
   });
 
-  // --- MIDI monitor logging ---
-  it('logs messages in MIDI monitor', async () => {
+  it('syncs the modulation speed to the tempo when asked', async () => {
     await act(async () => {
       render(<PocketPodEditor />);
     });
+    await act(async () => {
+      fireEvent.click(screen.getByLabelText('Sync mod speed'));
+    });
+    // Chorus 2 at 120 BPM, 1/4 notes: 2 Hz
+    expect(screen.getByRole('slider', { name: 'Speed' })).toHaveAttribute('aria-valuenow', '83');
+    expect(screen.getByText('2.03 Hz')).toBeInTheDocument();
+  });
 
+  it('taps the tempo from the Tap button, the tap key and a learned MIDI note', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
     await act(async () => {
       fireEvent.click(screen.getByText('Connect'));
       vi.advanceTimersByTime(300);
     });
+    const tapTwice = async (tap) => {
+      await act(async () => {
+        vi.advanceTimersByTime(2500);
+        tap();
+      });
+      await act(async () => {
+        vi.advanceTimersByTime(600);
+        tap();
+      });
+    };
+    const bpm = () => Number(screen.getByLabelText('BPM').value);
+
+    await tapTwice(() => fireEvent.click(screen.getByText('Tap')));
+    expect(bpm()).toBeGreaterThan(90);
+    expect(bpm()).toBeLessThanOrEqual(100);
 
-    // Simulate incoming CC message
     await act(async () => {
-      mockAccess._input.onmidimessage({ data: new Uint8Array([0xB0, 13, 64]) });
+      fireEvent.change(screen.getByLabelText('BPM'), { target: { value: '120' } });
+      fireEvent.blur(screen.getByLabelText('BPM'));
     });
+    await tapTwice(() => fireEvent.keyDown(window, { key: 'T' }));
+    expect(bpm()).toBeLessThanOrEqual(100);
 
-    // MIDI monitor should show the logged message
-    expect(screen.getByText('IN')).toBeInTheDocument();
-    // The hex data should be visible
-    expect(screen.getByText('B0 0D 40')).toBeInTheDocument();
+    await act(async () => {
+      fireEvent.change(screen.getByLabelText('BPM'), { target: { value: '120' } });
+      fireEvent.blur(screen.getByLabelText('BPM'));
+      fireEvent.click(screen.getByText('Tap note: none'));
+    });
+    expect(screen.getByText('Play a note...')).toBeInTheDocument();
+    await act(async () => {
+      mockAccess._input.emit('midimessage', { data: new Uint8Array([0x99, 36, 100]) });
+    });
+    expect(screen.getByText('Tap note: 36')).toBeInTheDocument();
+    expect(bpm()).toBe(120);
+
+    await tapTwice(() => mockAccess._input.emit('midimessage', { data: new Uint8Array([0x99, 36, 100]) }));
+    expect(bpm()).toBeLessThanOrEqual(100);
   });
 
-  it('clears MIDI monitor log', async () => {
+  // --- Outgoing CC queue ---
+  it('coalesces a fast knob sweep so the last value gets through', async () => {
     await act(async () => {
       render(<PocketPodEditor />);
     });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+    mockAccess._output.send.mockClear();
+
+    const drive = screen.getByRole('slider', { name: 'Drive' });
+    await act(async () => {
+      fireEvent.keyDown(drive, { key: 'Home' });
+      for (let i = 0; i < 20; i++) fireEvent.keyDown(drive, { key: i % 2 ? 'End' : 'Home' });
+    });
+    await act(async () => {
+      vi.advanceTimersByTime(50);
+    });
+    const ccSends = mockAccess._output.send.mock.calls.filter(([data]) => data[1] === MIDI_CC_MAP.drive.cc);
+    expect(ccSends.length).toBeLessThan(4);
+    expect(ccSends[0][0]).toEqual([0xB0, MIDI_CC_MAP.drive.cc, 0]);
+    expect(ccSends.at(-1)[0]).toEqual([0xB0, MIDI_CC_MAP.drive.cc, 127]);
+    expect(screen.getByText('CC queue: 0')).toBeInTheDocument();
+  });
 
+  // --- Sync check ---
+  async function connectWithSyncCheck() {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
     await act(async () => {
+      fireEvent.click(screen.getByLabelText('Sync check'));
       fireEvent.click(screen.getByText('Connect'));
       vi.advanceTimersByTime(300);
     });
+    await act(async () => {
+      fireEvent.keyDown(screen.getByRole('slider', { name: 'Drive' }), { key: 'End' });
+    });
+  }
 
-    // Simulate a message to populate the log
+  const sendDeviceEditBuffer = (params) => act(async () => {
+    mockAccess._input.emit('midimessage', { data: new Uint8Array(buildPatchDump(params, 'DEVICE')) });
+  });
+
+  it('re-reads the edit buffer after edits settle and flags drift', async () => {
+    await connectWithSyncCheck();
+    expect(mockAccess._output.send).not.toHaveBeenLastCalledWith(REQUEST_EDIT_BUFFER);
     await act(async () => {
-      mockAccess._input.onmidimessage({ data: new Uint8Array([0xB0, 13, 64]) });
+      vi.advanceTimersByTime(1500);
     });
+    expect(mockAccess._output.send).toHaveBeenLastCalledWith(REQUEST_EDIT_BUFFER);
 
-    expect(screen.getByText('B0 0D 40')).toBeInTheDocument();
+    await sendDeviceEditBuffer({ ...DEFAULT_PARAMS, drive: 40 });
+    const table = screen.getByRole('table', { name: 'Device drift' });
+    expect(within(table).getAllByRole('row')).toHaveLength(2);
+    expect(within(table).getByText('Drive')).toBeInTheDocument();
+    expect(within(table).getByText('127')).toBeInTheDocument();
+    expect(within(table).getByText('40')).toBeInTheDocument();
+    // The reply is compared, not applied
+    expect(screen.getByRole('slider', { name: 'Drive' })).toHaveAttribute('aria-valuenow', '127');
 
-    // Click the Clear button
     await act(async () => {
-      fireEvent.click(screen.getByText('Clear'));
+      fireEvent.click(screen.getByText('Pull Device to UI'));
     });
+    expect(screen.getByRole('slider', { name: 'Drive' })).toHaveAttribute('aria-valuenow', '40');
+    expect(screen.queryByRole('table', { name: 'Device drift' })).not.toBeInTheDocument();
 
-    // The log entry should be gone
-    expect(screen.queryByText('B0 0D 40')).not.toBeInTheDocument();
+    // The pull is one undo step back to what the UI showed
+    await act(async () => {
+      fireEvent.click(screen.getByText('Undo'));
+    });
+    expect(screen.getByRole('slider', { name: 'Drive' })).toHaveAttribute('aria-valuenow', '127');
+    await act(async () => {
+      fireEvent.click(screen.getByText('Redo'));
+    });
+    expect(screen.getByRole('slider', { name: 'Drive' })).toHaveAttribute('aria-valuenow', '40');
+  });
+
+  it('pushes the UI edit buffer to the device to resolve drift', async () => {
+    await connectWithSyncCheck();
+    await act(async () => {
+      vi.advanceTimersByTime(1500);
+    });
+    await sendDeviceEditBuffer({ ...DEFAULT_PARAMS, drive: 40 });
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Push UI to Device'));
+    });
+    const dump = parsePatchDump(mockAccess._output.send.mock.calls.at(-1)[0]);
+    expect(dump.isEditBuffer).toBe(true);
+    expect(dump.params.drive).toBe(127);
+    expect(screen.queryByRole('table', { name: 'Device drift' })).not.toBeInTheDocument();
+
+    // ...and checks again; a matching device clears the state
+    await act(async () => {
+      vi.advanceTimersByTime(1500);
+    });
+    expect(mockAccess._output.send).toHaveBeenLastCalledWith(REQUEST_EDIT_BUFFER);
+    await sendDeviceEditBuffer({ ...DEFAULT_PARAMS, drive: 127 });
+    expect(screen.queryByRole('table', { name: 'Device drift' })).not.toBeInTheDocument();
+  });
+
+  it('drops a sync check reply overtaken by further edits', async () => {
+    await connectWithSyncCheck();
+    await act(async () => {
+      vi.advanceTimersByTime(1500);
+    });
+    await act(async () => {
+      fireEvent.keyDown(screen.getByRole('slider', { name: 'Drive' }), { key: 'Home' });
+    });
+    await sendDeviceEditBuffer({ ...DEFAULT_PARAMS, drive: 127 });
+    expect(screen.queryByRole('table', { name: 'Device drift' })).not.toBeInTheDocument();
+    expect(screen.getByRole('slider', { name: 'Drive' })).toHaveAttribute('aria-valuenow', '0');
+  });
+
+  it('does not poll the device while the sync check is off', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+    await act(async () => {
+      fireEvent.keyDown(screen.getByRole('slider', { name: 'Drive' }), { key: 'End' });
+      vi.advanceTimersByTime(5000);
+    });
+    expect(mockAccess._output.send).not.toHaveBeenCalledWith(REQUEST_EDIT_BUFFER);
+  });
+
+  // --- Hot-plug recovery ---
+  it('reconnects when an unplugged Pocket POD comes back and keeps unsaved edits', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+    await act(async () => {
+      fireEvent.keyDown(screen.getByRole('slider', { name: 'Drive' }), { key: 'End' });
+      vi.advanceTimersByTime(50);
+    });
+
+    // Unplug: both ports disappear from the access maps
+    const oldInput = mockAccess._input;
+    await act(async () => {
+      oldInput.state = 'disconnected';
+      mockAccess._output.state = 'disconnected';
+      mockAccess.inputs.clear();
+      mockAccess.outputs.clear();
+      mockAccess.emit('statechange', { port: oldInput });
+    });
+    expect(screen.getByText(/Pocket POD unplugged/)).toBeInTheDocument();
+    expect(oldInput.listenerCount('midimessage')).toBe(0);
+    expect(screen.getByText('Disconnect')).toBeInTheDocument();
+
+    // No unresponsive-device timeout while waiting for the replug
+    await act(async () => {
+      vi.advanceTimersByTime(31000);
+    });
+    expect(screen.getByText('Disconnect')).toBeInTheDocument();
+
+    // Replug: the driver hands out new port ids with the same names
+    const input = createMockMIDIPort('input-2', 'Pocket POD', 'input');
+    const output = createMockMIDIPort('output-2', 'Pocket POD', 'output');
+    await act(async () => {
+      mockAccess.inputs.set(input.id, input);
+      mockAccess.outputs.set(output.id, output);
+      mockAccess.emit('statechange', { port: input });
+      vi.advanceTimersByTime(300);
+    });
+    expect(screen.queryByText(/Pocket POD unplugged/)).not.toBeInTheDocument();
+
+    const sent = output.send.mock.calls.map((call) => call[0]);
+    expect(sent[0]).toEqual(IDENTITY_REQUEST);
+    const dump = parsePatchDump(sent[1]);
+    expect(dump.isEditBuffer).toBe(true);
+    expect(dump.params.drive).toBe(127);
+    expect(screen.getByRole('slider', { name: 'Drive' })).toHaveAttribute('aria-valuenow', '127');
+
+    // The new input port feeds the editor
+    await act(async () => {
+      input.emit('midimessage', { data: new Uint8Array([0xB0, MIDI_CC_MAP.drive.cc, 12]) });
+    });
+    expect(screen.getByRole('slider', { name: 'Drive' })).toHaveAttribute('aria-valuenow', '12');
+  });
+
+  it('connects through the WebSocket bridge and closes it on disconnect', async () => {
+    const sockets = [];
+    vi.stubGlobal('WebSocket', class {
+      constructor(url) {
+        this.url = url;
+        this.readyState = 1;
+        this.send = vi.fn();
+        this.close = vi.fn();
+        sockets.push(this);
+      }
+    });
+    try {
+      await act(async () => {
+        render(<PocketPodEditor />);
+      });
+      const [inputSelect, outputSelect] = screen.getAllByRole('combobox');
+      await act(async () => {
+        fireEvent.change(inputSelect, { target: { value: 'websocket-bridge' } });
+        fireEvent.change(outputSelect, { target: { value: 'websocket-bridge' } });
+      });
+      await act(async () => {
+        fireEvent.change(screen.getByLabelText('Bridge URL'), { target: { value: 'ws://studio-pc:9000' } });
+      });
+      await act(async () => {
+        fireEvent.click(screen.getByText('Connect'));
+        vi.advanceTimersByTime(300);
+      });
+
+      expect(sockets).toHaveLength(1);
+      expect(sockets[0].url).toBe('ws://studio-pc:9000');
+      expect(Array.from(sockets[0].send.mock.calls[0][0])).toEqual(IDENTITY_REQUEST);
+
+      await act(async () => {
+        sockets[0].onmessage({ data: new Uint8Array(buildIdentityReply()).buffer });
+      });
+      expect(screen.getByText('Pocket POD v1.00')).toBeInTheDocument();
+
+      await act(async () => {
+        fireEvent.click(screen.getByText('Disconnect'));
+      });
+      expect(sockets[0].close).toHaveBeenCalled();
+    } finally {
+      vi.unstubAllGlobals();
+    }
+  });
+
+  // --- Undo / redo ---
+  it('undoes and redoes param edits with Ctrl+Z / Ctrl+Shift+Z and re-sends the CC', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+
+    const driveSlider = screen.getByRole('slider', { name: 'Drive' });
+    const initial = Number(driveSlider.getAttribute('aria-valuenow'));
+    await act(async () => {
+      fireEvent.keyDown(driveSlider, { key: 'ArrowUp' });
+    });
+    expect(screen.getByRole('slider', { name: 'Drive' })).toHaveAttribute('aria-valuenow', String(initial + 1));
+
+    mockAccess._output.send.mockClear();
+    await act(async () => {
+      fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+    });
+    expect(screen.getByRole('slider', { name: 'Drive' })).toHaveAttribute('aria-valuenow', String(initial));
+    expect(mockAccess._output.send).toHaveBeenCalledWith([0xB0, MIDI_CC_MAP.drive.cc, initial]);
+
+    await act(async () => {
+      fireEvent.keyDown(window, { key: 'Z', ctrlKey: true, shiftKey: true });
+    });
+    expect(screen.getByRole('slider', { name: 'Drive' })).toHaveAttribute('aria-valuenow', String(initial + 1));
+    expect(mockAccess._output.send).toHaveBeenLastCalledWith([0xB0, MIDI_CC_MAP.drive.cc, initial + 1]);
+  });
+
+  it('records a whole knob drag as a single undo step', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+
+    const initial = Number(screen.getByRole('slider', { name: 'Drive' }).getAttribute('aria-valuenow'));
+    await act(async () => {
+      fireEvent.mouseDown(screen.getByRole('slider', { name: 'Drive' }), { clientY: 200 });
+    });
+    for (const clientY of [190, 180, 170]) {
+      await act(async () => {
+        fireEvent.mouseMove(document, { clientY });
+      });
+    }
+    await act(async () => {
+      fireEvent.mouseUp(document);
+    });
+    expect(Number(screen.getByRole('slider', { name: 'Drive' }).getAttribute('aria-valuenow'))).toBeGreaterThan(initial);
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Undo'));
+    });
+    expect(screen.getByRole('slider', { name: 'Drive' })).toHaveAttribute('aria-valuenow', String(initial));
+    expect(screen.getByText('Undo')).toBeDisabled();
+    expect(screen.getByText('Redo')).not.toBeDisabled();
+  });
+
+  // --- A/B compare ---
+  it('switches between A and B snapshots and pushes the differing params', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+
+    const initial = Number(screen.getByRole('slider', { name: 'Drive' }).getAttribute('aria-valuenow'));
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'B' }));
+    });
+    expect(screen.getByRole('button', { name: 'B' })).toHaveAttribute('aria-pressed', 'true');
+    await act(async () => {
+      fireEvent.keyDown(screen.getByRole('slider', { name: 'Drive' }), { key: 'ArrowUp', shiftKey: true });
+    });
+
+    mockAccess._output.send.mockClear();
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'A' }));
+    });
+    expect(screen.getByRole('slider', { name: 'Drive' })).toHaveAttribute('aria-valuenow', String(initial));
+    expect(mockAccess._output.send).toHaveBeenCalledTimes(1);
+    expect(mockAccess._output.send).toHaveBeenCalledWith([0xB0, MIDI_CC_MAP.drive.cc, initial]);
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'B' }));
+    });
+    expect(screen.getByRole('slider', { name: 'Drive' })).toHaveAttribute('aria-valuenow', String(initial + 10));
+  });
+
+  it('routes effect-specific params to the new effect when switching slots', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'B' }));
+    });
+    const effectSelect = screen.getAllByRole('combobox').find(sel =>
+      Array.from(sel.options || []).some(o => o.text === 'Rotary'));
+    await act(async () => {
+      fireEvent.change(effectSelect, { target: { value: '2' } });
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'A' }));
+    });
+    mockAccess._output.send.mockClear();
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'B' }));
+    });
+    // The effect type CC goes out before anything routed through it
+    expect(mockAccess._output.send.mock.calls[0][0]).toEqual([0xB0, MIDI_CC_MAP.effect.cc, 2]);
+  });
+
+  it('copies slot A into slot B', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+
+    const initial = Number(screen.getByRole('slider', { name: 'Drive' }).getAttribute('aria-valuenow'));
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'B' }));
+    });
+    await act(async () => {
+      fireEvent.keyDown(screen.getByRole('slider', { name: 'Drive' }), { key: 'ArrowUp' });
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Copy A→B'));
+    });
+    expect(screen.getByRole('slider', { name: 'Drive' })).toHaveAttribute('aria-valuenow', String(initial));
+  });
+
+  // --- Toggle change sends 0/127 ---
+  it('sends 127 when toggle is turned on and 0 when turned off', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+
+    // Click the Dist toggle to turn it on
+    const distToggle = screen.getByRole('switch', { name: /Dist/ });
+    await act(async () => {
+      fireEvent.click(distToggle);
+    });
+
+    // Find the CC send call for dist_enable (CC 25) with value 127
+    const sendCalls = mockAccess._output.send.mock.calls;
+    const distOnCall = sendCalls.find(call => call[0][0] === 0xB0 && call[0][1] === 25);
+    expect(distOnCall).toBeDefined();
+    expect(distOnCall[0][2]).toBe(127);
+
+    // Click again to turn it off
+    await act(async () => {
+      fireEvent.click(screen.getByRole('switch', { name: /Dist/ }));
+    });
+
+    const distOffCall = sendCalls.filter(call => call[0][0] === 0xB0 && call[0][1] === 25);
+    // The most recent dist call should have value 0
+    expect(distOffCall[distOffCall.length - 1][0][2]).toBe(0);
+  });
+
+  // --- Preset loading ---
+  it('sends program change when preset is loaded', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+
+    // Add a preset via SysEx
+    const sysex = buildSysExPatchDump({
+      isEditBuffer: false,
+      presetNumber: 3,
+      nameChars: 'My Preset       ',
+    });
+
+    await act(async () => {
+      mockAccess._input.emit('midimessage', { data: new Uint8Array(sysex) });
+    });
+
+    // Click the preset to load it
+    const presetBtn = screen.getByLabelText(/Load preset 4/);
+    await act(async () => {
+      fireEvent.click(presetBtn);
+    });
+
+    // Verify program change was sent
+    const sendCalls = mockAccess._output.send.mock.calls;
+    const pcCall = sendCalls.find(call => call[0][0] === 0xC0);
+    expect(pcCall).toBeDefined();
+    expect(pcCall[0][1]).toBe(3); // program number
+  });
+
+  // --- Send edit buffer ---
+  it('disables Send to POD while disconnected', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+    expect(screen.getByText('Send to POD')).toBeDisabled();
+  });
+
+  it('sends the edit buffer as a single patch dump', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+
+    // Load an edit buffer with an unmapped byte set, then tweak drive in the UI
+    const sysex = buildSysExPatchDump({
+      isEditBuffer: true,
+      nameChars: 'Blues Break     ',
+      paramOverrides: { 9: 40, 21: 77 },
+    });
+    await act(async () => {
+      mockAccess._input.emit('midimessage', { data: new Uint8Array(sysex) });
+    });
+    await act(async () => {
+      fireEvent.keyDown(screen.getByRole('slider', { name: 'Drive' }), { key: 'ArrowUp' });
+    });
+
+    mockAccess._output.send.mockClear();
+    await act(async () => {
+      fireEvent.click(screen.getByText('Send to POD'));
+    });
+
+    expect(mockAccess._output.send).toHaveBeenCalledTimes(1);
+    const sent = mockAccess._output.send.mock.calls[0][0];
+    // Patch dump opcode 0x01, edit buffer type 0x01
+    expect(sent[5]).toBe(0x01);
+    expect(sent[6]).toBe(0x01);
+    const parsed = parsePatchDump(sent);
+    expect(parsed.isEditBuffer).toBe(true);
+    expect(parsed.name).toBe('Blues Break');
+    expect(parsed.params.drive).toBe(41);
+    expect(parsed.rawData[21]).toBe(77);
+  });
+
+  // --- Save to slot ---
+  async function connectAndOpenSaveSlot() {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Save to slot…'));
+    });
+    await act(async () => {
+      fireEvent.change(screen.getByLabelText('Target slot'), { target: { value: '5' } });
+    });
+  }
+
+  function findStoredDump(number) {
+    return mockAccess._output.send.mock.calls
+      .map((call) => call[0])
+      .find((d) => d[5] === 0x01 && d[6] === 0x00 && d[7] === number);
+  }
+
+  it('writes a stored-program dump to the chosen slot and verifies it', async () => {
+    const confirmSpy = vi.spyOn(window, 'confirm').mockReturnValue(true);
+    await connectAndOpenSaveSlot();
+
+    // Make the edit buffer dirty
+    await act(async () => {
+      fireEvent.keyDown(screen.getByRole('slider', { name: 'Drive' }), { key: 'ArrowUp' });
+    });
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Save'));
+    });
+    expect(confirmSpy).toHaveBeenCalledTimes(1);
+
+    const written = findStoredDump(5);
+    expect(written).toBeDefined();
+    expect(parsePatchDump(written).params.drive).toBe(65);
+    expect(screen.getByText('Verifying slot 006...')).toBeInTheDocument();
+
+    // The slot is re-requested after the write settles
+    await act(async () => {
+      vi.advanceTimersByTime(250);
+    });
+    const request = mockAccess._output.send.mock.calls
+      .map((call) => call[0])
+      .find((d) => d.length === 9 && d[5] === 0x00 && d[6] === 0x00);
+    expect(request[7]).toBe(5);
+
+    // Device echoes back the same patch
+    await act(async () => {
+      mockAccess._input.emit('midimessage', { data: new Uint8Array(written) });
+    });
+    expect(screen.getByText('Saved and verified slot 006')).toBeInTheDocument();
+
+    // dirty was cleared, so disconnecting no longer asks for confirmation
+    confirmSpy.mockClear();
+    await act(async () => {
+      fireEvent.click(screen.getByText('Disconnect'));
+    });
+    expect(confirmSpy).not.toHaveBeenCalled();
+  });
+
+  it('does not write when overwrite is not confirmed', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(false);
+    await connectAndOpenSaveSlot();
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Save'));
+    });
+    expect(findStoredDump(5)).toBeUndefined();
+  });
+
+  it('reports an error when the read-back does not match', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    await connectAndOpenSaveSlot();
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Save'));
+    });
+
+    const wrong = buildSysExPatchDump({ isEditBuffer: false, presetNumber: 5, paramOverrides: { 9: 3 } });
+    await act(async () => {
+      mockAccess._input.emit('midimessage', { data: new Uint8Array(wrong) });
+    });
+
+    expect(screen.getByText(/Save to slot 006 could not be verified/)).toBeInTheDocument();
+    expect(screen.queryByText('Saved and verified slot 006')).not.toBeInTheDocument();
+  });
+
+  it('reports an error when the device never answers the read-back', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    await connectAndOpenSaveSlot();
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Save'));
+    });
+    await act(async () => {
+      vi.advanceTimersByTime(3500);
+    });
+
+    expect(screen.getByText(/no read-back from device/)).toBeInTheDocument();
+  });
+
+  // --- Bank restore ---
+  async function connectWithLibrary(count) {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+    for (let n = 0; n < count; n++) {
+      const sysex = buildSysExPatchDump({
+        isEditBuffer: false,
+        presetNumber: n,
+        nameChars: `Patch ${n}`,
+        paramOverrides: { 9: 10 + n },
+      });
+      await act(async () => {
+        mockAccess._input.emit('midimessage', { data: new Uint8Array(sysex) });
+      });
+    }
+  }
+
+  function sentStoredDumps() {
+    return mockAccess._output.send.mock.calls
+      .map((call) => call[0])
+      .filter((d) => d[5] === 0x01 && d[6] === 0x00);
+  }
+
+  // --- Param diff ---
+  it('lists edit buffer changes against the loaded preset and reverts a single param', async () => {
+    await connectWithLibrary(2);
+    await act(async () => {
+      fireEvent.click(screen.getByLabelText(/Load preset 1/));
+    });
+    await act(async () => {
+      fireEvent.keyDown(screen.getByRole('slider', { name: 'Drive' }), { key: 'ArrowUp' });
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Diff'));
+    });
+
+    const rows = screen.getAllByRole('row');
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toHaveTextContent('Drive');
+    expect(rows[0]).toHaveTextContent('10');
+    expect(rows[0]).toHaveTextContent('11');
+
+    mockAccess._output.send.mockClear();
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Revert Drive' }));
+    });
+    expect(screen.getByRole('slider', { name: 'Drive' })).toHaveAttribute('aria-valuenow', '10');
+    expect(mockAccess._output.send).toHaveBeenCalledWith([0xB0, MIDI_CC_MAP.drive.cc, 10]);
+    expect(screen.getByText('No differences')).toBeInTheDocument();
+  });
+
+  it('compares two library presets', async () => {
+    await connectWithLibrary(2);
+    await act(async () => {
+      fireEvent.click(screen.getByText('Diff'));
+    });
+    await act(async () => {
+      fireEvent.change(screen.getByLabelText('Compare from'), { target: { value: '0' } });
+      fireEvent.change(screen.getByLabelText('Compare to'), { target: { value: '1' } });
+    });
+
+    expect(screen.getAllByRole('row')).toHaveLength(1);
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Revert Drive' }));
+    });
+    expect(screen.getByText('No differences')).toBeInTheDocument();
+  });
+
+  it('uploads every library preset with paced timing and verifies the read-back', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    await connectWithLibrary(3);
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Restore All'));
+    });
+    // Only the first dump goes out immediately
+    expect(sentStoredDumps()).toHaveLength(1);
+    expect(screen.getByText('1/3')).toBeInTheDocument();
+
+    await act(async () => {
+      vi.advanceTimersByTime(150);
+    });
+    expect(sentStoredDumps()).toHaveLength(2);
+
+    await act(async () => {
+      vi.advanceTimersByTime(300);
+    });
+    const dumps = sentStoredDumps();
+    expect(dumps.map((d) => d[7])).toEqual([0, 1, 2]);
+    expect(parsePatchDump(dumps[2]).params.drive).toBe(12);
+
+    // Read-back of the whole bank was requested
+    const lastSent = mockAccess._output.send.mock.calls.at(-1)[0];
+    expect(lastSent).toEqual(REQUEST_ALL_PRESETS);
+    expect(screen.getByText('Verifying...')).toBeInTheDocument();
+
+    // Device answers with two good slots and one corrupted slot
+    const corrupted = buildSysExPatchDump({ isEditBuffer: false, presetNumber: 2, nameChars: 'Patch 2', paramOverrides: { 9: 99 } });
+    await act(async () => {
+      mockAccess._input.emit('midimessage', { data: new Uint8Array(dumps[0]) });
+      mockAccess._input.emit('midimessage', { data: new Uint8Array(dumps[1]) });
+      mockAccess._input.emit('midimessage', { data: new Uint8Array(corrupted) });
+    });
+
+    expect(screen.getByText('Restore verified 2/3')).toBeInTheDocument();
+    expect(screen.getByText('003: drive differ')).toBeInTheDocument();
+    expect(screen.getByText('Bank restore: 1 of 3 slots failed verification.')).toBeInTheDocument();
+  });
+
+  it('reports slots that never come back during restore verification', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    await connectWithLibrary(2);
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Restore All'));
+    });
+    await act(async () => {
+      vi.advanceTimersByTime(400);
+    });
+    const dumps = sentStoredDumps();
+    await act(async () => {
+      mockAccess._input.emit('midimessage', { data: new Uint8Array(dumps[0]) });
+    });
+    await act(async () => {
+      vi.advanceTimersByTime(3500);
+    });
+
+    expect(screen.getByText('Restore verified 1/2')).toBeInTheDocument();
+    expect(screen.getByText('002: no read-back')).toBeInTheDocument();
+  });
+
+  it('can cancel and resume a restore', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    await connectWithLibrary(3);
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Restore All'));
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Cancel Restore'));
+    });
+    await act(async () => {
+      vi.advanceTimersByTime(1000);
+    });
+    expect(sentStoredDumps()).toHaveLength(1);
+    expect(screen.getByText('Restore paused')).toBeInTheDocument();
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Resume Restore'));
+    });
+    await act(async () => {
+      vi.advanceTimersByTime(300);
+    });
+    expect(sentStoredDumps().map((d) => d[7])).toEqual([0, 1, 2]);
+  });
+
+  it('stops a restore when its tab goes away', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    await connectWithLibrary(3);
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Restore All'));
+    });
+    expect(sentStoredDumps()).toHaveLength(1);
+    cleanup();
+    await act(async () => {
+      vi.advanceTimersByTime(5000);
+    });
+    expect(sentStoredDumps()).toHaveLength(1);
+  });
+
+  // --- .syx import/export ---
+  function syxFile(bytes, name = 'tones.syx') {
+    return new File([new Uint8Array(bytes)], name, { type: 'application/octet-stream' });
+  }
+
+  function mockDownloads() {
+    const blobs = [];
+    URL.createObjectURL = vi.fn((blob) => {
+      blobs.push(blob);
+      return 'blob:mock';
+    });
+    URL.revokeObjectURL = vi.fn();
+    const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    return { blobs, clickSpy };
+  }
+
+  it('imports a .syx bank into the library and the edit buffer', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+
+    const bytes = [
+      ...buildSysExPatchDump({ isEditBuffer: false, presetNumber: 9, nameChars: 'Shared Lead' }),
+      ...buildSysExPatchDump({ isEditBuffer: false, presetNumber: 10, nameChars: 'Shared Rhythm' }),
+      ...buildSysExPatchDump({ isEditBuffer: true, nameChars: 'From File', paramOverrides: { 8: 3 } }),
+    ];
+    await act(async () => {
+      fireEvent.change(screen.getByLabelText('Import .syx file'), { target: { files: [syxFile(bytes)] } });
+    });
+
+    await waitFor(() => expect(screen.getByText('Shared Lead')).toBeInTheDocument());
+    expect(screen.getByText('Shared Rhythm')).toBeInTheDocument();
+    expect(screen.getByText('From File')).toBeInTheDocument();
+    expect(screen.getByLabelText(/Load preset 10: Shared Lead/)).toBeInTheDocument();
+  });
+
+  it('imports dumps saved from a unit with another device ID', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+
+    const bytes = buildPatchDump(DEFAULT_PARAMS, 'Other Unit', { presetNumber: 2, isEditBuffer: false, deviceId: 5 });
+    await act(async () => {
+      fireEvent.change(screen.getByLabelText('Import .syx file'), { target: { files: [syxFile(bytes)] } });
+    });
+
+    await waitFor(() => expect(screen.getByLabelText(/Load preset 3: Other Unit/)).toBeInTheDocument());
+  });
+
+  it('reports files without Pocket POD patch dumps', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+
+    const foreign = [0xF0, 0x43, 0x10, 0x01, 0xF7];
+    await act(async () => {
+      fireEvent.change(screen.getByLabelText('Import .syx file'), { target: { files: [syxFile(foreign, 'dx7.syx')] } });
+    });
+
+    await waitFor(() => expect(screen.getByText('No Pocket POD patch dumps found in dx7.syx.')).toBeInTheDocument());
+  });
+
+  it('exports the current patch as an edit buffer .syx', async () => {
+    const { blobs, clickSpy } = mockDownloads();
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Export .syx'));
+    });
+
+    expect(clickSpy).toHaveBeenCalledTimes(1);
+    const bytes = new Uint8Array(await blobs[0].arrayBuffer());
+    const parsed = parsePatchDump(Array.from(bytes));
+    expect(parsed.isEditBuffer).toBe(true);
+    expect(parsed.params.drive).toBe(64);
+  });
+
+  it('exports the whole library as a .syx bank', async () => {
+    const { blobs } = mockDownloads();
+    await connectWithLibrary(2);
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Export Bank'));
+    });
+
+    const bytes = Array.from(new Uint8Array(await blobs[0].arrayBuffer()));
+    const dumps = [];
+    for (let i = 0; i < bytes.length; i++) {
+      if (bytes[i] === SYSEX_START) dumps.push(i);
+    }
+    expect(dumps).toHaveLength(2);
+    expect(parsePatchDump(bytes.slice(dumps[1])).presetNumber).toBe(1);
+  });
+
+  // --- JSON patch files ---
+  it('saves the patch and tone notes as a versioned JSON file', async () => {
+    const { blobs } = mockDownloads();
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+
+    const songInput = screen.getByText('Song').parentElement.querySelector('input');
+    await act(async () => {
+      fireEvent.change(songInput, { target: { value: 'Black Dog' } });
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Save JSON'));
+    });
+
+    const data = JSON.parse(await blobs[0].text());
+    expect(data.format).toBe('pod-studio-patch');
+    expect(data.version).toBe(1);
+    expect(data.params.drive).toBe(64);
+    expect(data.toneNotes.song).toBe('Black Dog');
+  });
+
+  it('loads a JSON patch and reports invalid fields instead of applying them', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+
+    const json = JSON.stringify({
+      format: 'pod-studio-patch',
+      version: 1,
+      name: 'Loaded Tone',
+      params: { drive: 100, bass: 500 },
+      toneNotes: { band: 'Zeppelin' },
+    });
+    const file = new File([json], 'loaded.json', { type: 'application/json' });
+    await act(async () => {
+      fireEvent.change(screen.getByLabelText('Load JSON patch file'), { target: { files: [file] } });
+    });
+
+    await waitFor(() => expect(screen.getByText('Loaded Tone')).toBeInTheDocument());
+    expect(screen.getByRole('slider', { name: 'Drive' })).toHaveAttribute('aria-valuenow', '100');
+    expect(screen.getByRole('slider', { name: 'Bass' })).toHaveAttribute('aria-valuenow', '64');
+    expect(screen.getByDisplayValue('Zeppelin')).toBeInTheDocument();
+    expect(screen.getByText(/skipped 1 invalid field \(params.bass: 500 is outside 0-127\)/)).toBeInTheDocument();
+  });
+
+  // --- Persistence ---
+  describe('with IndexedDB persistence', () => {
+    beforeEach(() => {
+      window.indexedDB = new IDBFactory();
+    });
+
+    afterEach(() => {
+      delete window.indexedDB;
+    });
+
+    it('restores the device library, tone notes and edit buffer after a reload', async () => {
+      let view;
+      await act(async () => {
+        view = render(<PocketPodEditor />);
+      });
+      await act(async () => {
+        fireEvent.click(screen.getByText('Connect'));
+        vi.advanceTimersByTime(300);
+      });
+      await act(async () => {
+        mockAccess._input.emit('midimessage', { data: new Uint8Array(buildIdentityReply()) });
+        mockAccess._input.emit('midimessage', {
+          data: new Uint8Array(buildSysExPatchDump({ isEditBuffer: false, presetNumber: 4, nameChars: 'Saved Lead' })),
+        });
+      });
+
+      // Load the preset and attach a tone note to it
+      await act(async () => {
+        fireEvent.click(screen.getByLabelText(/Load preset 5/));
+      });
+      const bandInput = screen.getByText('Band').parentElement.querySelector('input');
+      await act(async () => {
+        fireEvent.change(bandInput, { target: { value: 'Deep Purple' } });
+      });
+      await act(async () => {
+        fireEvent.keyDown(screen.getByRole('slider', { name: 'Drive' }), { key: 'End' });
+      });
+
+      // Let the debounced writes land
+      await act(async () => {
+        vi.advanceTimersByTime(600);
+      });
+      const store = createLibraryStore(window.indexedDB);
+      await waitFor(async () => {
+        const library = await store.loadLibrary('00 01 0c/00 01/00 01/Pocket POD/1');
+        expect(library?.toneNotes?.[4]?.band).toBe('Deep Purple');
+      });
+      store.close();
+      view.unmount();
+
+      // "Reload" without a device connected
+      await act(async () => {
+        render(<PocketPodEditor />);
+      });
+      await waitFor(() => expect(screen.getByText('Saved library (offline)')).toBeInTheDocument());
+      expect(screen.getAllByText('Saved Lead').length).toBeGreaterThan(0);
+      await waitFor(() => expect(screen.getByRole('slider', { name: 'Drive' })).toHaveAttribute('aria-valuenow', '127'));
+      expect(screen.getByDisplayValue('Deep Purple')).toBeInTheDocument();
+    });
+
+    it('keeps each tab\'s library across a reload', async () => {
+      const panel = (id) => within(document.querySelector(`[data-session="${id}"]`));
+      const storedDump = (name, deviceId) =>
+        new Uint8Array(buildPatchDump(DEFAULT_PARAMS, name, { presetNumber: 0, isEditBuffer: false, deviceId }));
+      let view;
+      await act(async () => {
+        view = render(<PocketPodEditor />);
+      });
+
+      // Two units with the same identity reply on one cable, told apart by device ID
+      await act(async () => {
+        fireEvent.click(panel('device-1').getByText('Connect'));
+        vi.advanceTimersByTime(300);
+      });
+      await act(async () => {
+        mockAccess._input.emit('midimessage', { data: new Uint8Array(buildIdentityReply()) });
+        mockAccess._input.emit('midimessage', { data: storedDump('Unit One', 1) });
+      });
+      await act(async () => {
+        fireEvent.click(screen.getByText('+ Add Device'));
+      });
+      await act(async () => {
+        fireEvent.change(panel('device-2').getByLabelText('Device ID'), { target: { value: '2' } });
+      });
+      await act(async () => {
+        fireEvent.click(panel('device-2').getByText('Connect'));
+        vi.advanceTimersByTime(300);
+      });
+      await act(async () => {
+        mockAccess._input.emit('midimessage', { data: new Uint8Array(buildIdentityReply()) });
+        mockAccess._input.emit('midimessage', { data: storedDump('Unit Two', 2) });
+      });
+
+      // Let the debounced writes land
+      await act(async () => {
+        vi.advanceTimersByTime(600);
+      });
+      const store = createLibraryStore(window.indexedDB);
+      await waitFor(async () => {
+        expect((await store.loadLibrary('00 01 0c/00 01/00 01/Pocket POD/1'))?.presets[0].name).toBe('Unit One');
+        expect((await store.loadLibrary('00 01 0c/00 01/00 01/Pocket POD/2'))?.presets[0].name).toBe('Unit Two');
+      });
+      store.close();
+      view.unmount();
+
+      // "Reload" and open the second tab again
+      await act(async () => {
+        render(<PocketPodEditor />);
+      });
+      await act(async () => {
+        fireEvent.click(screen.getByText('+ Add Device'));
+      });
+      await waitFor(() => expect(panel('device-2').getAllByText('Unit Two').length).toBeGreaterThan(0));
+      await waitFor(() => expect(panel('device-1').getAllByText('Unit One').length).toBeGreaterThan(0));
+      expect(panel('device-1').queryByText('Unit Two')).toBeNull();
+      expect(panel('device-2').queryByText('Unit One')).toBeNull();
+    });
+
+    it('reports storage failures instead of dropping them', async () => {
+      window.indexedDB = {
+        open() {
+          const request = {};
+          setTimeout(() => {
+            request.error = new Error('Storage is disabled');
+            request.onerror();
+          });
+          return request;
+        },
+      };
+      await act(async () => {
+        render(<PocketPodEditor />);
+      });
+      await act(async () => {
+        vi.advanceTimersByTime(10);
+      });
+      expect(screen.getByText('Could not restore the saved library: Storage is disabled')).toBeInTheDocument();
+    });
+  });
+
+  // --- Fetch all presets ---
+  it('sends REQUEST_ALL_PRESETS SysEx when fetch clicked', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+
+    const fetchBtn = screen.getByText('Fetch All');
+    await act(async () => {
+      fireEvent.click(fetchBtn);
+    });
+
+    // Verify the SysEx was sent
+    const sendCalls = mockAccess._output.send.mock.calls;
+    const sysExCall = sendCalls.find(call => {
+      const d = call[0];
+      return d[0] === REQUEST_ALL_PRESETS[0] &&
+             d[d.length - 1] === REQUEST_ALL_PRESETS[REQUEST_ALL_PRESETS.length - 1] &&
+             d[5] === 0x00 && d[6] === 0x02;
+    });
+    expect(sysExCall).toBeDefined();
+  });
+
+  it('re-requests presets the bulk dump dropped and reports the recovery', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Fetch All'));
+    });
+
+    // Slots 6 and 42 never arrive in the stream
+    await act(async () => {
+      for (let n = 0; n < 124; n++) {
+        if (n === 5 || n === 41) continue;
+        mockAccess._input.emit('midimessage', { data: new Uint8Array(buildSysExPatchDump({ isEditBuffer: false, presetNumber: n })) });
+      }
+    });
+    expect(screen.getByText('122/124')).toBeInTheDocument();
+
+    await act(async () => {
+      vi.advanceTimersByTime(2000);
+    });
+    expect(mockAccess._output.send).toHaveBeenLastCalledWith([0xF0, 0x00, 0x01, 0x0C, 0x01, 0x00, 0x00, 5, 0xF7]);
+    expect(screen.getByText('Retrying 006 (2 missing)')).toBeInTheDocument();
+
+    await act(async () => {
+      mockAccess._input.emit('midimessage', { data: new Uint8Array(buildSysExPatchDump({ isEditBuffer: false, presetNumber: 5 })) });
+    });
+    expect(mockAccess._output.send.mock.calls.at(-1)[0][7]).toBe(41);
+    await act(async () => {
+      mockAccess._input.emit('midimessage', { data: new Uint8Array(buildSysExPatchDump({ isEditBuffer: false, presetNumber: 41 })) });
+    });
+
+    expect(screen.getByText('Fetched 124/124')).toBeInTheDocument();
+    expect(screen.getByText('Recovered by re-request: 006, 042')).toBeInTheDocument();
+    expect(screen.getByText('Fetch All')).toBeInTheDocument();
+  }, 20000);
+
+  it('cancels a bulk dump that stalls', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Fetch All'));
+    });
+    await act(async () => {
+      mockAccess._input.emit('midimessage', { data: new Uint8Array(buildSysExPatchDump({ isEditBuffer: false, presetNumber: 0 })) });
+    });
+
+    await act(async () => {
+      fireEvent.click(screen.getByLabelText('Cancel fetch'));
+    });
+    expect(screen.getByText('Fetch cancelled at 1/124')).toBeInTheDocument();
+    expect(screen.getByText('Fetch All')).not.toBeDisabled();
+  });
+
+  it('stops a fetch the device never answers', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Fetch All'));
+    });
+    const sentBefore = mockAccess._output.send.mock.calls.length;
+    await act(async () => {
+      vi.advanceTimersByTime(2000);
+    });
+
+    expect(mockAccess._output.send.mock.calls.length).toBe(sentBefore);
+    expect(screen.getByText('No answer from the device')).toBeInTheDocument();
+    expect(screen.getByText('Fetch All: the device sent nothing back. Check the MIDI ports and device ID.')).toBeInTheDocument();
+  });
+
+  // --- Error display and dismiss ---
+  it('shows error banner and dismisses it', async () => {
+    // Remove MIDI support to trigger an error
+    removeMIDIMock();
+
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+
+    // Error banner should be present
+    const alerts = screen.getAllByRole('alert');
+    expect(alerts.length).toBeGreaterThan(0);
+
+    // Click dismiss button
+    const dismissBtn = screen.getByLabelText('Dismiss error');
+    await act(async () => {
+      fireEvent.click(dismissBtn);
+    });
+
+    // Error should be removed
+    expect(screen.queryByLabelText('Dismiss error')).not.toBeInTheDocument();
+  });
+
+  // --- MIDI monitor logging ---
+  it('logs messages in MIDI monitor', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+
+    // Simulate incoming CC message
+    await act(async () => {
+      mockAccess._input.emit('midimessage', { data: new Uint8Array([0xB0, 13, 64]) });
+    });
+
+    // MIDI monitor should show the logged message, decoded
+    expect(screen.getByText('IN')).toBeInTheDocument();
+    expect(screen.getByText('CC 13 Drive = 64')).toBeInTheDocument();
+    // The hex data is available behind the expand toggle
+    expect(screen.queryByText('B0 0D 40')).not.toBeInTheDocument();
+    const expand = screen.getAllByRole('button', { name: 'Show raw bytes' }).at(-1);
+    await act(async () => {
+      fireEvent.click(expand);
+    });
+    expect(screen.getByText('B0 0D 40')).toBeInTheDocument();
+  });
+
+  it('clears MIDI monitor log', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+
+    // Simulate a message to populate the log
+    await act(async () => {
+      mockAccess._input.emit('midimessage', { data: new Uint8Array([0xB0, 13, 64]) });
+    });
+
+    expect(screen.getByText('CC 13 Drive = 64')).toBeInTheDocument();
+
+    // Click the Clear button
+    await act(async () => {
+      fireEvent.click(screen.getByText('Clear'));
+    });
+
+    // The log entry should be gone
+    expect(screen.queryByText('CC 13 Drive = 64')).not.toBeInTheDocument();
+  });
+
+  it('filters the MIDI monitor by direction, type, CC number and text', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+    await act(async () => {
+      mockAccess._input.emit('midimessage', { data: new Uint8Array([0xB0, 13, 64]) });
+      mockAccess._input.emit('midimessage', { data: new Uint8Array([0xB0, 14, 20]) });
+      mockAccess._input.emit('midimessage', { data: new Uint8Array([0xC0, 4]) });
+    });
+
+    await act(async () => {
+      fireEvent.change(screen.getByLabelText('Direction'), { target: { value: 'IN' } });
+    });
+    expect(screen.queryByText('Identity Request')).not.toBeInTheDocument();
+    expect(screen.getByText('CC 13 Drive = 64')).toBeInTheDocument();
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'CC' }));
+    });
+    expect(screen.queryByText('CC 13 Drive = 64')).not.toBeInTheDocument();
+    expect(screen.getByText('Program Change \u2192 005')).toBeInTheDocument();
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'CC' }));
+      fireEvent.change(screen.getByLabelText('CC number'), { target: { value: '14' } });
+    });
+    expect(screen.getByText('CC 14 Bass = 20')).toBeInTheDocument();
+    expect(screen.queryByText('CC 13 Drive = 64')).not.toBeInTheDocument();
+    expect(screen.queryByText('Program Change \u2192 005')).not.toBeInTheDocument();
+
+    await act(async () => {
+      fireEvent.change(screen.getByLabelText('CC number'), { target: { value: '' } });
+      fireEvent.change(screen.getByLabelText('Search MIDI log'), { target: { value: 'drive' } });
+    });
+    expect(screen.getByText('CC 13 Drive = 64')).toBeInTheDocument();
+    expect(screen.queryByText('CC 14 Bass = 20')).not.toBeInTheDocument();
+  });
+
+  it('keeps buffering while the MIDI monitor is paused', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Pause'));
+    });
+    await act(async () => {
+      mockAccess._input.emit('midimessage', { data: new Uint8Array([0xB0, 13, 64]) });
+      mockAccess._input.emit('midimessage', { data: new Uint8Array([0xB0, 14, 20]) });
+    });
+    expect(screen.queryByText('CC 13 Drive = 64')).not.toBeInTheDocument();
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Resume (2 new)'));
+    });
+    expect(screen.getByText('CC 13 Drive = 64')).toBeInTheDocument();
+    expect(screen.getByText('CC 14 Bass = 20')).toBeInTheDocument();
+  });
+
+  it('exports the MIDI monitor log as text, JSON and SysEx', async () => {
+    const { blobs } = mockDownloads();
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+    await act(async () => {
+      mockAccess._input.emit('midimessage', { data: new Uint8Array([0xB0, 13, 64]) });
+    });
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Export Log'));
+    });
+    expect(await blobs[0].text()).toMatch(/IN\s+B0 0D 40 {2}CC 13 Drive = 64/);
+
+    await act(async () => {
+      fireEvent.change(screen.getByLabelText('Export format'), { target: { value: 'json' } });
+      fireEvent.click(screen.getByText('Export Log'));
+    });
+    const json = JSON.parse(await blobs[1].text());
+    expect(json.entries.at(-1)).toMatchObject({ dir: 'IN', data: 'B0 0D 40', type: 'cc' });
+
+    await act(async () => {
+      fireEvent.change(screen.getByLabelText('Export format'), { target: { value: 'syx' } });
+      fireEvent.click(screen.getByText('Export Log'));
+    });
+    const bytes = Array.from(new Uint8Array(await blobs[2].arrayBuffer()));
+    // Only SysEx traffic (the identity request and the edit buffer request) ends up in the .syx
+    expect(bytes[0]).toBe(0xF0);
+    expect(bytes).not.toContain(0xB0);
+  });
+
+  // --- Session recording and replay ---
+  it('records IN and OUT traffic with timestamps to a session file', async () => {
+    const { blobs } = mockDownloads();
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Record Session'));
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Connect'));
+      vi.advanceTimersByTime(300);
+    });
+    await act(async () => {
+      mockAccess._input.emit('midimessage', { data: new Uint8Array([0xB0, 13, 64]) });
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Stop Recording'));
+    });
+
+    const session = JSON.parse(await blobs[0].text());
+    expect(session.format).toBe('pod-studio-midi-session');
+    expect(session.events[0]).toMatchObject({ dir: 'OUT', data: 'F0 7E 7F 06 01 F7' });
+    expect(session.events.at(-1)).toMatchObject({ dir: 'IN', data: 'B0 0D 40' });
+    expect(session.events.at(-1).t).toBeGreaterThanOrEqual(session.events[0].t);
+  });
+
+  it('replays a recorded session into the editor without hardware', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+
+    const toHex = (bytes) => bytes.map((b) => b.toString(16).padStart(2, '0')).join(' ');
+    const json = JSON.stringify({
+      format: 'pod-studio-midi-session',
+      version: 1,
+      events: [
+        { t: 0, dir: 'OUT', data: 'f0 7e 7f 06 01 f7' },
+        { t: 10, dir: 'IN', data: toHex(buildSysExPatchDump({ nameChars: 'Replayed Tone   ' })) },
+        { t: 1010, dir: 'IN', data: 'b0 0d 5a' },
+      ],
+    });
+    const file = new File([json], 'capture.json', { type: 'application/json' });
+    await act(async () => {
+      fireEvent.change(screen.getByLabelText('Replay session file'), { target: { files: [file] } });
+    });
+
+    await waitFor(() => expect(screen.getByText('Replayed Tone')).toBeInTheDocument());
+    expect(screen.getByText('Stop Replay (1/2)')).toBeInTheDocument();
+
+    await act(async () => {
+      vi.advanceTimersByTime(1000);
+    });
+    expect(screen.getByRole('slider', { name: 'Drive' })).toHaveAttribute('aria-valuenow', '90');
+    await waitFor(() => expect(screen.getByText('Replay Session')).toBeInTheDocument());
+  });
+
+  it('rejects files that are not MIDI sessions', async () => {
+    await act(async () => {
+      render(<PocketPodEditor />);
+    });
+    const file = new File(['{"format":"pod-studio-patch"}'], 'patch.json', { type: 'application/json' });
+    await act(async () => {
+      fireEvent.change(screen.getByLabelText('Replay session file'), { target: { files: [file] } });
+    });
+    await waitFor(() => expect(screen.getByText('Could not replay patch.json: not a pod-studio-midi-session file.')).toBeInTheDocument());
   });
 
   it('renders section label inline toggles for Noise Gate, Reverb, Delay, Effect', async () => {
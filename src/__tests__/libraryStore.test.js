@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { createLibraryStore, getDeviceKey } from '../libraryStore';
+
+const deviceInfo = { manufacturer: '00 01 0c', family: '00 01', member: '00 01', version: '2.10' };
+
+describe('getDeviceKey', () => {
+  it('builds a key from the identity fields, port and device ID', () => {
+    expect(getDeviceKey(deviceInfo, { port: 'Pocket POD', deviceId: 1 })).toBe('00 01 0c/00 01/00 01/Pocket POD/1');
+  });
+
+  it('tells identical units apart by port and device ID', () => {
+    const key = getDeviceKey(deviceInfo, { port: 'Pocket POD', deviceId: 1 });
+    expect(getDeviceKey(deviceInfo, { port: 'Pocket POD', deviceId: 2 })).not.toBe(key);
+    expect(getDeviceKey(deviceInfo, { port: 'Pocket POD #2', deviceId: 1 })).not.toBe(key);
+  });
+
+  it('ignores the firmware version', () => {
+    expect(getDeviceKey({ ...deviceInfo, version: '3.00' })).toBe(getDeviceKey(deviceInfo));
+  });
+
+  it('returns null without device info', () => {
+    expect(getDeviceKey(null)).toBeNull();
+  });
+});
+
+describe('createLibraryStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createLibraryStore(new IDBFactory());
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  it('returns null when IndexedDB is unavailable', () => {
+    expect(createLibraryStore(undefined)).toBeNull();
+  });
+
+  it('returns null for libraries that were never saved', async () => {
+    expect(await store.loadLibrary('unknown')).toBeNull();
+    expect(await store.getLastDeviceKey()).toBeNull();
+    expect(await store.loadEditBuffer()).toBeNull();
+  });
+
+  it('saves and loads a library per device key', async () => {
+    const presets = [{ number: 0, name: 'Clean', params: { drive: 10 } }];
+    const toneNotes = { 0: { song: 'Wonderwall' } };
+    await store.saveLibrary('pod-a', { deviceInfo, presets, toneNotes });
+    await store.saveLibrary('pod-b', { presets: [], toneNotes: {} });
+
+    const library = await store.loadLibrary('pod-a');
+    expect(library.deviceKey).toBe('pod-a');
+    expect(library.deviceInfo).toEqual(deviceInfo);
+    expect(library.presets).toEqual(presets);
+    expect(library.toneNotes).toEqual(toneNotes);
+    expect(typeof library.updatedAt).toBe('number');
+    expect((await store.loadLibrary('pod-b')).presets).toEqual([]);
+  });
+
+  it('keeps separate libraries for two units with the same identity reply', async () => {
+    const first = getDeviceKey(deviceInfo, { port: 'USB MIDI 1', deviceId: 1 });
+    const second = getDeviceKey({ ...deviceInfo }, { port: 'USB MIDI 2', deviceId: 1 });
+    await store.saveLibrary(first, { deviceInfo, presets: [{ number: 0, name: 'Unit One' }], toneNotes: {} });
+    await store.saveLibrary(second, { deviceInfo, presets: [{ number: 0, name: 'Unit Two' }], toneNotes: {} });
+    expect((await store.loadLibrary(first)).presets[0].name).toBe('Unit One');
+    expect((await store.loadLibrary(second)).presets[0].name).toBe('Unit Two');
+  });
+
+  it('overwrites a library on save', async () => {
+    await store.saveLibrary('pod-a', { presets: [{ number: 0, name: 'Old' }], toneNotes: {} });
+    await store.saveLibrary('pod-a', { presets: [{ number: 0, name: 'New' }], toneNotes: {} });
+    expect((await store.loadLibrary('pod-a')).presets[0].name).toBe('New');
+  });
+
+  it('remembers the last device key', async () => {
+    await store.setLastDeviceKey('pod-a');
+    expect(await store.getLastDeviceKey()).toBe('pod-a');
+  });
+
+  it('saves and loads the last edit buffer', async () => {
+    const editBuffer = { name: 'Lead', params: { drive: 99 }, toneNotes: { band: 'X' }, rawData: [1, 2], version: 1 };
+    await store.saveEditBuffer(editBuffer);
+    expect(await store.loadEditBuffer()).toEqual(editBuffer);
+  });
+
+  it('keeps the last device key and edit buffer per device tab', async () => {
+    const factory = new IDBFactory();
+    const first = createLibraryStore(factory, { sessionId: 'device-1' });
+    const second = createLibraryStore(factory, { sessionId: 'device-2' });
+    await first.setLastDeviceKey('pod-a');
+    await first.saveEditBuffer({ name: 'Lead' });
+    await second.setLastDeviceKey('pod-b');
+    expect(await first.getLastDeviceKey()).toBe('pod-a');
+    expect(await second.getLastDeviceKey()).toBe('pod-b');
+    expect(await second.loadEditBuffer()).toBeNull();
+    first.close();
+    second.close();
+  });
+});
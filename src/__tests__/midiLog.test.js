@@ -0,0 +1,65 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import {
+  MIDI_LOG_FORMAT, DEFAULT_LOG_FILTER, filterLogEntries, logToText, logToJson, logToSysEx,
+} from '../midiLog';
+import { IDENTITY_REQUEST, describeMidiMessage } from '../pocketPodProtocol';
+
+// Build an entry the way the editor's addLog does
+function entry(dir, bytes, id) {
+  const data = bytes.map((b) => b.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+  return { id, time: '12:00:00', dir, bytes, data, ...describeMidiMessage(bytes) };
+}
+
+const entries = [
+  entry('OUT', IDENTITY_REQUEST, 1),
+  entry('IN', [0xB0, 13, 64], 2),
+  entry('OUT', [0xB0, 14, 20], 3),
+  entry('IN', [0xC0, 4], 4),
+  entry('IN', [0x90, 60, 100], 5),
+];
+const ids = (list) => list.map((e) => e.id);
+
+// --- filterLogEntries ---
+describe('filterLogEntries', () => {
+  it('passes everything with the default filter', () => {
+    expect(ids(filterLogEntries(entries))).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('filters by direction', () => {
+    expect(ids(filterLogEntries(entries, { ...DEFAULT_LOG_FILTER, dir: 'OUT' }))).toEqual([1, 3]);
+  });
+
+  it('filters by message category', () => {
+    expect(ids(filterLogEntries(entries, { ...DEFAULT_LOG_FILTER, categories: ['identity', 'programChange'] }))).toEqual([1, 4]);
+  });
+
+  it('limits the view to one CC number', () => {
+    expect(ids(filterLogEntries(entries, { ...DEFAULT_LOG_FILTER, cc: '14' }))).toEqual([3]);
+  });
+
+  it('searches summaries and hex bytes case-insensitively', () => {
+    expect(ids(filterLogEntries(entries, { ...DEFAULT_LOG_FILTER, search: 'DRIVE' }))).toEqual([2]);
+    expect(ids(filterLogEntries(entries, { ...DEFAULT_LOG_FILTER, search: 'c0 04' }))).toEqual([4]);
+  });
+});
+
+// --- Export ---
+describe('log export', () => {
+  it('writes one text line per entry', () => {
+    const text = logToText(entries.slice(1, 3));
+    expect(text).toBe('12:00:00  IN   B0 0D 40  CC 13 Drive = 64\n12:00:00  OUT  B0 0E 14  CC 14 Bass = 20\n');
+  });
+
+  it('writes a versioned JSON document', () => {
+    const json = JSON.parse(logToJson(entries.slice(0, 2)));
+    expect(json.format).toBe(MIDI_LOG_FORMAT);
+    expect(json.entries[0]).toEqual({
+      time: '12:00:00', dir: 'OUT', data: 'F0 7E 7F 06 01 F7', type: 'identityRequest', summary: 'Identity Request', error: null,
+    });
+  });
+
+  it('keeps only complete SysEx messages in .syx output', () => {
+    expect(logToSysEx(entries)).toEqual(IDENTITY_REQUEST);
+  });
+});
@@ -0,0 +1,100 @@
+// @vitest-environment node
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  SESSION_FILE_FORMAT, createSessionRecorder, serializeSession, parseSessionFile, replaySession,
+} from '../midiSession';
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+// --- createSessionRecorder ---
+describe('createSessionRecorder', () => {
+  it('timestamps events relative to the start of recording', () => {
+    let clock = 1000.25;
+    const recorder = createSessionRecorder({ now: () => clock });
+    clock = 1012.5;
+    recorder.record('OUT', [0xB0, 13, 64]);
+    clock = 1100;
+    recorder.record('IN', Uint8Array.from([0xC0, 3]));
+    expect(recorder.events).toEqual([
+      { t: 12.25, dir: 'OUT', data: [0xB0, 13, 64] },
+      { t: 99.75, dir: 'IN', data: [0xC0, 3] },
+    ]);
+  });
+
+  it('round-trips through the session file format', () => {
+    let clock = 0;
+    const recorder = createSessionRecorder({ now: () => clock });
+    clock = 3.1416;
+    recorder.record('IN', [0xF0, 0x7E, 0xF7]);
+    const text = recorder.toJson();
+    expect(JSON.parse(text).format).toBe(SESSION_FILE_FORMAT);
+    expect(parseSessionFile(text).events).toEqual([{ t: 3.142, dir: 'IN', data: [0xF0, 0x7E, 0xF7] }]);
+  });
+});
+
+// --- parseSessionFile ---
+describe('parseSessionFile', () => {
+  const file = (events) => serializeSession({ events: [] }).replace('"events": []', `"events": ${JSON.stringify(events)}`);
+
+  it('rejects other formats and bad JSON', () => {
+    expect(() => parseSessionFile('nope')).toThrow('not valid JSON');
+    expect(() => parseSessionFile('{"format":"pod-studio-patch"}')).toThrow(`not a ${SESSION_FILE_FORMAT} file`);
+  });
+
+  it('names the first invalid event field', () => {
+    expect(() => parseSessionFile(file([{ t: -1, dir: 'IN', data: 'B0' }]))).toThrow('events[0].t');
+    expect(() => parseSessionFile(file([{ t: 0, dir: 'UP', data: 'B0' }]))).toThrow('events[0].dir');
+    expect(() => parseSessionFile(file([{ t: 0, dir: 'IN', data: 'B0 ZZ' }]))).toThrow('events[0].data');
+  });
+});
+
+// --- replaySession ---
+describe('replaySession', () => {
+  const session = {
+    events: [
+      { t: 100, dir: 'OUT', data: [0xF0, 0x7E, 0xF7] },
+      { t: 150, dir: 'IN', data: [0xB0, 13, 1] },
+      { t: 350, dir: 'IN', data: [0xB0, 13, 2] },
+    ],
+  };
+
+  it('keeps the recorded gaps, starting at the first event', async () => {
+    vi.useFakeTimers();
+    const delivered = [];
+    const controller = replaySession(session, (event) => delivered.push(event.dir === 'OUT' ? 'sysex' : event.data[2]));
+    vi.advanceTimersByTime(0);
+    expect(delivered).toEqual(['sysex']);
+    vi.advanceTimersByTime(49);
+    expect(delivered).toEqual(['sysex']);
+    vi.advanceTimersByTime(1);
+    expect(delivered).toEqual(['sysex', 1]);
+    vi.advanceTimersByTime(200);
+    expect(delivered).toEqual(['sysex', 1, 2]);
+    await expect(controller.done).resolves.toBe(3);
+  });
+
+  it('scales the pace and filters by direction', () => {
+    vi.useFakeTimers();
+    const onProgress = vi.fn();
+    const delivered = [];
+    replaySession(session, (event) => delivered.push(event.data[2]), { speed: 2, directions: ['IN'], onProgress });
+    vi.advanceTimersByTime(99);
+    expect(delivered).toEqual([1]);
+    vi.advanceTimersByTime(1);
+    expect(delivered).toEqual([1, 2]);
+    expect(onProgress).toHaveBeenLastCalledWith(2, 2);
+  });
+
+  it('stops delivering once cancelled', async () => {
+    vi.useFakeTimers();
+    const deliver = vi.fn();
+    const controller = replaySession(session, deliver, { directions: ['IN'] });
+    vi.advanceTimersByTime(0);
+    controller.cancel();
+    vi.advanceTimersByTime(1000);
+    expect(deliver).toHaveBeenCalledTimes(1);
+    await expect(controller.done).resolves.toBe(1);
+  });
+});
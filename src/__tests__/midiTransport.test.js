@@ -0,0 +1,170 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createWebMidiTransport, createLoopbackPair, createWebSocketTransport } from '../midiTransport';
+import { createMockPocketPod } from '../mockPocketPod';
+import { IDENTITY_REQUEST } from '../pocketPodProtocol';
+
+// Minimal WebSocket stand-in that records frames and lets tests drive events
+class FakeWebSocket {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(frame) {
+    this.sent.push(Array.from(frame));
+  }
+
+  close() {
+    this.readyState = 3;
+    this.onclose?.();
+  }
+
+  open() {
+    this.readyState = 1;
+    this.onopen?.();
+  }
+}
+
+// Input port stand-in with just enough of EventTarget for the transport
+function createFakeInput() {
+  const listeners = new Set();
+  return {
+    listeners,
+    addEventListener: (type, listener) => type === 'midimessage' && listeners.add(listener),
+    removeEventListener: (type, listener) => listeners.delete(listener),
+    receive: (event) => listeners.forEach((listener) => listener(event)),
+  };
+}
+
+// --- createWebMidiTransport ---
+describe('createWebMidiTransport', () => {
+  it('sends through the output port and forwards input events', () => {
+    const input = createFakeInput();
+    const output = { send: vi.fn() };
+    const transport = createWebMidiTransport(input, output);
+    const onmessage = vi.fn();
+    transport.onmessage = onmessage;
+
+    transport.send([0xB0, 13, 64]);
+    expect(output.send).toHaveBeenCalledWith([0xB0, 13, 64]);
+
+    const event = { data: new Uint8Array([0xC0, 1]) };
+    input.receive(event);
+    expect(onmessage).toHaveBeenCalledWith(event);
+  });
+
+  it('detaches from the input port on close', () => {
+    const input = createFakeInput();
+    const transport = createWebMidiTransport(input, { send: vi.fn() });
+    transport.close();
+    expect(input.listeners.size).toBe(0);
+  });
+
+  it('shares an input port with another transport', () => {
+    const input = createFakeInput();
+    const first = createWebMidiTransport(input, { send: vi.fn() });
+    const second = createWebMidiTransport(input, { send: vi.fn() });
+    const received = [];
+    first.onmessage = () => received.push('first');
+    second.onmessage = () => received.push('second');
+    input.receive({ data: new Uint8Array([0xC0, 1]) });
+    first.close();
+    input.receive({ data: new Uint8Array([0xC0, 2]) });
+    expect(received).toEqual(['first', 'second', 'second']);
+  });
+
+  it('drives the simulated Pocket POD like a hardware port', () => {
+    vi.useFakeTimers();
+    const pod = createMockPocketPod({ replyDelay: 1 });
+    const transport = createWebMidiTransport(pod.input, pod.output);
+    const received = [];
+    transport.onmessage = (e) => received.push(Array.from(e.data));
+    transport.send(IDENTITY_REQUEST);
+    vi.runAllTimers();
+    vi.useRealTimers();
+    expect(received[0].slice(0, 5)).toEqual([0xF0, 0x7E, 0x7F, 0x06, 0x02]);
+  });
+});
+
+// --- createLoopbackPair ---
+describe('createLoopbackPair', () => {
+  it('delivers messages sent on one end to the other', async () => {
+    const [host, device] = createLoopbackPair();
+    const received = [];
+    device.onmessage = (e) => received.push(Array.from(e.data));
+    host.send([0xB0, 1, 2]);
+    expect(received).toEqual([]);
+    await Promise.resolve();
+    expect(received).toEqual([[0xB0, 1, 2]]);
+  });
+
+  it('stops delivering after close and notifies the peer', async () => {
+    const [host, device] = createLoopbackPair();
+    const onmessage = vi.fn();
+    const onclose = vi.fn();
+    device.onmessage = onmessage;
+    device.onclose = onclose;
+    host.close();
+    host.send([0xB0, 1, 2]);
+    await Promise.resolve();
+    expect(onmessage).not.toHaveBeenCalled();
+    expect(onclose).toHaveBeenCalled();
+  });
+});
+
+// --- createWebSocketTransport ---
+describe('createWebSocketTransport', () => {
+  it('queues messages until the socket opens', () => {
+    const transport = createWebSocketTransport('ws://bridge', { WebSocketImpl: FakeWebSocket });
+    const socket = FakeWebSocket.instances.at(-1);
+    expect(socket.url).toBe('ws://bridge');
+
+    transport.send([0xF0, 0x7E, 0xF7]);
+    expect(socket.sent).toEqual([]);
+    socket.open();
+    expect(socket.sent).toEqual([[0xF0, 0x7E, 0xF7]]);
+    transport.send([0xC0, 3]);
+    expect(socket.sent[1]).toEqual([0xC0, 3]);
+  });
+
+  it('accepts binary and JSON text frames', () => {
+    const transport = createWebSocketTransport('ws://bridge', { WebSocketImpl: FakeWebSocket });
+    const socket = FakeWebSocket.instances.at(-1);
+    const received = [];
+    transport.onmessage = (e) => received.push(Array.from(e.data));
+    socket.onmessage({ data: new Uint8Array([0xB0, 13, 5]).buffer });
+    socket.onmessage({ data: '[192,7]' });
+    expect(received).toEqual([[0xB0, 13, 5], [0xC0, 7]]);
+  });
+
+  it('drops malformed text frames and reports them', () => {
+    const transport = createWebSocketTransport('ws://bridge', { WebSocketImpl: FakeWebSocket });
+    const socket = FakeWebSocket.instances.at(-1);
+    const received = [];
+    const onerror = vi.fn();
+    transport.onmessage = (e) => received.push(Array.from(e.data));
+    transport.onerror = onerror;
+    socket.onmessage({ data: '[192,' });
+    socket.onmessage({ data: '{"cc":7}' });
+    socket.onmessage({ data: '[192,7]' });
+    expect(received).toEqual([[0xC0, 7]]);
+    expect(onerror).toHaveBeenCalledTimes(2);
+    expect(onerror.mock.calls[0][0].message).toMatch(/unreadable frame/);
+  });
+
+  it('reports when the bridge closes the socket', () => {
+    const transport = createWebSocketTransport('ws://bridge', { WebSocketImpl: FakeWebSocket });
+    const onclose = vi.fn();
+    transport.onclose = onclose;
+    FakeWebSocket.instances.at(-1).close();
+    expect(onclose).toHaveBeenCalled();
+  });
+
+  it('throws when no WebSocket implementation exists', () => {
+    expect(() => createWebSocketTransport('ws://bridge', { WebSocketImpl: null })).toThrow(/not available/);
+  });
+});
@@ -0,0 +1,85 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import {
+  PARAM_UNITS, MOD_SPEED_HZ, DELAY_TIME_MAX_MS,
+  formatUnits, parseAmount, parseUnits, parseScale, parseCompRatio,
+  delayTimeMs, delayTimeFromMs, delayFineMs, delayFineFromMs,
+} from '../paramUnits';
+
+describe('unit formatting', () => {
+  it('shows EQ as signed dB, flat at the 64 detent', () => {
+    expect(formatUnits(PARAM_UNITS.bass, 64)).toBe('0.0 dB');
+    expect(formatUnits(PARAM_UNITS.bass, 0)).toBe('-12.0 dB');
+    expect(formatUnits(PARAM_UNITS.treble, 127)).toBe('+12.0 dB');
+  });
+
+  it('shows the gate threshold in dB below full scale', () => {
+    expect(formatUnits(PARAM_UNITS.noise_gate, 0)).toBe('0.0 dB');
+    expect(formatUnits(PARAM_UNITS.noise_gate, 127)).toBe('-96.0 dB');
+  });
+
+  it('shows frequencies in Hz and kHz', () => {
+    expect(formatUnits(PARAM_UNITS.wah_bottom, 0)).toBe('350 Hz');
+    expect(formatUnits(PARAM_UNITS.wah_top, 127)).toBe('2.20 kHz');
+    expect(formatUnits(MOD_SPEED_HZ, 0)).toBe('0.100 Hz');
+    expect(formatUnits(MOD_SPEED_HZ, 127)).toBe('10.0 Hz');
+  });
+});
+
+describe('typed entry', () => {
+  it('parses numbers with or without the unit', () => {
+    expect(parseAmount('-6', 'dB')).toBe(-6);
+    expect(parseAmount(' +6 dB ', 'dB')).toBe(6);
+    expect(parseAmount('1.2 kHz', 'Hz')).toBe(1200);
+    expect(parseAmount('.5', '')).toBe(0.5);
+  });
+
+  it('rejects text and other units', () => {
+    expect(parseAmount('loud', 'dB')).toBeNull();
+    expect(parseAmount('6 ms', 'dB')).toBeNull();
+    expect(parseAmount('2k', 'dB')).toBeNull();
+  });
+
+  it('round-trips values through the units', () => {
+    for (const spec of [PARAM_UNITS.bass, PARAM_UNITS.noise_gate, PARAM_UNITS.wah_top, MOD_SPEED_HZ]) {
+      for (const value of [0, 1, 50, 64, 100, 127]) {
+        expect(parseUnits(spec, formatUnits(spec, value))).toBe(value);
+      }
+    }
+  });
+
+  it('clamps typed values to the CC range', () => {
+    expect(parseUnits(PARAM_UNITS.bass, '+30 dB')).toBe(127);
+    expect(parseUnits(PARAM_UNITS.wah_bottom, '-5')).toBe(0);
+  });
+
+  it('reads the generic 0-10 scale and compressor ratios', () => {
+    expect(parseScale('5')).toBe(64);
+    expect(parseScale('10', 15)).toBe(15);
+    expect(parseScale('5 dB')).toBeNull();
+    expect(parseCompRatio('3:1')).toBe(85);
+    expect(parseCompRatio('off')).toBe(21);
+    expect(parseCompRatio('inf')).toBe(127);
+    expect(parseCompRatio('5:1')).toBeNull();
+  });
+});
+
+describe('delay time', () => {
+  it('combines coarse and fine into milliseconds', () => {
+    expect(delayTimeMs(0, 0)).toBe(0);
+    expect(delayTimeMs(127, 127)).toBe(DELAY_TIME_MAX_MS);
+    expect(delayTimeMs(64, 0)).toBe(1575);
+  });
+
+  it('splits milliseconds back into coarse and fine', () => {
+    const { delay_time: coarse, delay_time_fine: fine } = delayTimeFromMs(500);
+    expect(delayTimeMs(coarse, fine)).toBe(500);
+    expect(delayTimeFromMs(99999)).toEqual({ delay_time: 127, delay_time_fine: 127 });
+    expect(delayTimeFromMs(-1)).toEqual({ delay_time: 0, delay_time_fine: 0 });
+  });
+
+  it('converts the fine knob on its own', () => {
+    expect(delayFineMs(127)).toBeCloseTo(24.4, 1);
+    expect(delayFineFromMs(delayFineMs(40))).toBe(40);
+  });
+});
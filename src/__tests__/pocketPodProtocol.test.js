@@ -0,0 +1,192 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import {
+  MIDI_CC_MAP, IDENTITY_REQUEST, REQUEST_EDIT_BUFFER, REQUEST_ALL_PRESETS, DEFAULT_PARAMS, MIDI_CHANNEL_OMNI,
+  buildPresetRequest, buildEditBufferRequest, buildAllPresetsRequest, buildPatchDump,
+  buildControlChange, buildProgramChange, acceptsChannel, outputChannel, isPatchDump,
+  resolveControlChange, parseMidiMessage, describeMidiMessage, validateMidiMessage,
+} from '../pocketPodProtocol';
+
+// Runs under the node environment: the protocol module must not need a DOM
+
+// --- buildControlChange / buildProgramChange ---
+describe('channel message builders', () => {
+  it('builds CC and program change messages on channel 1 by default', () => {
+    expect(buildControlChange(13, 64)).toEqual([0xB0, 13, 64]);
+    expect(buildProgramChange(5)).toEqual([0xC0, 5]);
+  });
+
+  it('accepts another channel', () => {
+    expect(buildControlChange(13, 64, 9)).toEqual([0xB9, 13, 64]);
+    expect(buildProgramChange(5, 15)).toEqual([0xCF, 5]);
+  });
+});
+
+// --- Channel and device ID settings ---
+describe('channel and device ID settings', () => {
+  it('accepts one channel, or any channel in omni mode', () => {
+    expect(acceptsChannel(4, 4)).toBe(true);
+    expect(acceptsChannel(0, 4)).toBe(false);
+    expect(acceptsChannel(9, MIDI_CHANNEL_OMNI)).toBe(true);
+  });
+
+  it('sends on channel 1 in omni mode', () => {
+    expect(outputChannel(MIDI_CHANNEL_OMNI)).toBe(0);
+    expect(outputChannel(7)).toBe(7);
+  });
+
+  it('addresses SysEx requests and dumps to the given device ID', () => {
+    expect(buildEditBufferRequest()).toEqual(REQUEST_EDIT_BUFFER);
+    expect(buildAllPresetsRequest()).toEqual(REQUEST_ALL_PRESETS);
+    expect(buildEditBufferRequest(3)[4]).toBe(3);
+    expect(buildAllPresetsRequest(3)[4]).toBe(3);
+    expect(buildPresetRequest(9, 3)[4]).toBe(3);
+    const dump = buildPatchDump(DEFAULT_PARAMS, 'X', { deviceId: 3 });
+    expect(dump[4]).toBe(3);
+    expect(isPatchDump(dump)).toBe(false);
+    expect(isPatchDump(dump, 3)).toBe(true);
+  });
+
+  it('only parses Pocket POD SysEx for the configured device ID', () => {
+    const dump = buildPatchDump(DEFAULT_PARAMS, 'X', { deviceId: 3 });
+    expect(parseMidiMessage(dump).type).toBe('sysex');
+    expect(parseMidiMessage(dump, { deviceId: 3 }).type).toBe('patchDump');
+    expect(parseMidiMessage(buildAllPresetsRequest(3), { deviceId: 3 })).toMatchObject({ type: 'patchDumpRequest', target: 'all' });
+  });
+});
+
+// --- resolveControlChange ---
+describe('resolveControlChange', () => {
+  it('maps CC numbers to state keys', () => {
+    expect(resolveControlChange(MIDI_CC_MAP.drive.cc, 90)).toEqual({ param: 'drive', paramValue: 90 });
+  });
+
+  it('reports toggles as 0/1', () => {
+    expect(resolveControlChange(MIDI_CC_MAP.dist_enable.cc, 127).paramValue).toBe(1);
+    expect(resolveControlChange(MIDI_CC_MAP.dist_enable.cc, 10).paramValue).toBe(0);
+  });
+
+  it('routes effect-specific CCs to the shared effect keys', () => {
+    expect(resolveControlChange(55, 20).param).toBe('effect_speed');
+  });
+
+  it('returns a null param for unmapped CCs', () => {
+    expect(resolveControlChange(100, 1).param).toBeNull();
+  });
+});
+
+// --- parseMidiMessage ---
+describe('parseMidiMessage', () => {
+  it('parses control changes', () => {
+    expect(parseMidiMessage([0xB2, MIDI_CC_MAP.drive.cc, 96])).toEqual({
+      type: 'cc', channel: 2, cc: MIDI_CC_MAP.drive.cc, value: 96,
+      param: 'drive', paramValue: 96, data: [0xB2, MIDI_CC_MAP.drive.cc, 96],
+    });
+  });
+
+  it('parses note ons', () => {
+    expect(parseMidiMessage([0x92, 60, 100])).toMatchObject({ type: 'noteOn', channel: 2, note: 60, velocity: 100 });
+  });
+
+  it('parses program changes', () => {
+    expect(parseMidiMessage(Uint8Array.from([0xC0, 41]))).toMatchObject({ type: 'programChange', channel: 0, program: 41 });
+  });
+
+  it('parses identity requests and replies', () => {
+    expect(parseMidiMessage(IDENTITY_REQUEST).type).toBe('identityRequest');
+    const reply = [0xF0, 0x7E, 0x01, 0x06, 0x02, 0x00, 0x01, 0x0C, 0x00, 0x01, 0x00, 0x01, 0x32, 0x2E, 0x31, 0x30, 0xF7];
+    expect(parseMidiMessage(reply)).toMatchObject({
+      type: 'identityReply', manufacturer: '00 01 0c', family: '00 01', member: '00 01', version: '2.10',
+    });
+  });
+
+  it('parses patch dump requests', () => {
+    expect(parseMidiMessage(REQUEST_EDIT_BUFFER)).toMatchObject({ type: 'patchDumpRequest', target: 'editBuffer' });
+    expect(parseMidiMessage(REQUEST_ALL_PRESETS)).toMatchObject({ type: 'patchDumpRequest', target: 'all' });
+    expect(parseMidiMessage(buildPresetRequest(42))).toMatchObject({ type: 'patchDumpRequest', target: 'program', program: 42 });
+  });
+
+  it('parses patch dumps', () => {
+    const dump = buildPatchDump({ ...DEFAULT_PARAMS, drive: 96 }, 'CRUNCH', { presetNumber: 7, isEditBuffer: false });
+    const message = parseMidiMessage(dump);
+    expect(message.type).toBe('patchDump');
+    expect(message.patch).toMatchObject({ name: 'CRUNCH', presetNumber: 7, isEditBuffer: false });
+    expect(message.patch.params.drive).toBe(96);
+  });
+
+  it('returns a null patch for truncated dumps', () => {
+    const dump = buildPatchDump(DEFAULT_PARAMS, 'CUT');
+    const truncated = [...dump.slice(0, 40), 0xF7];
+    expect(parseMidiMessage(truncated)).toMatchObject({ type: 'patchDump', patch: null });
+  });
+
+  it('tags other SysEx and unknown messages', () => {
+    expect(parseMidiMessage([0xF0, 0x41, 0x10, 0xF7]).type).toBe('sysex');
+    expect(parseMidiMessage([0xE0, 0, 64]).type).toBe('unknown');
+    expect(parseMidiMessage([0x90, 60, 0]).type).toBe('unknown');
+  });
+});
+
+// --- describeMidiMessage ---
+describe('describeMidiMessage', () => {
+  const summary = (data) => describeMidiMessage(data).summary;
+
+  it('names CCs from MIDI_CC_MAP', () => {
+    expect(summary([0xB0, 13, 96])).toBe('CC 13 Drive = 96');
+    expect(summary([0xB0, 100, 1])).toBe('CC 100 = 1');
+  });
+
+  it('names effect-specific CCs with their effect', () => {
+    expect(summary([0xB0, 55, 20])).toBe('CC 55 Rotary Speed = 20');
+    expect(summary([0xB0, 42, 64])).toBe('CC 42 Compressor Ratio = 64');
+  });
+
+  it('mentions the channel when it is not channel 1', () => {
+    expect(summary([0xB3, 13, 96])).toBe('CC 13 Drive = 96 (ch 4)');
+  });
+
+  it('describes note ons', () => {
+    expect(summary([0x90, 60, 100])).toBe('Note On 60 vel 100');
+  });
+
+  it('describes program changes with 1-based slot numbers', () => {
+    expect(summary([0xC0, 41])).toBe('Program Change \u2192 042');
+  });
+
+  it('describes identity and dump traffic', () => {
+    expect(summary(IDENTITY_REQUEST)).toBe('Identity Request');
+    expect(summary([0xF0, 0x7E, 0x7F, 0x06, 0x02, 0x00, 0x01, 0x0C, 0x00, 0x01, 0x00, 0x01, 0x32, 0x2E, 0x31, 0x30, 0xF7]))
+      .toBe('Identity Reply v2.10');
+    expect(summary(REQUEST_EDIT_BUFFER)).toBe('Request Edit Buffer');
+    expect(summary(REQUEST_ALL_PRESETS)).toBe('Request All Programs');
+    expect(summary(buildPresetRequest(4))).toBe('Request Program 005');
+    expect(summary(buildPatchDump(DEFAULT_PARAMS, 'CRUNCH'))).toBe("Patch Dump (edit buffer) 'CRUNCH'");
+    expect(summary(buildPatchDump(DEFAULT_PARAMS, 'LEAD', { presetNumber: 9, isEditBuffer: false }))).toBe("Patch Dump (program 010) 'LEAD'");
+  });
+
+  it('recognises dumps for the configured device ID', () => {
+    const dump = buildPatchDump(DEFAULT_PARAMS, 'CRUNCH', { deviceId: 3 });
+    expect(summary(dump)).toBe(`SysEx (${dump.length} bytes)`);
+    expect(describeMidiMessage(dump, { deviceId: 3 }).summary).toBe("Patch Dump (edit buffer) 'CRUNCH'");
+  });
+
+  it('reports malformed messages', () => {
+    expect(describeMidiMessage([0xB0, 13]).error).toBe('expected 3 bytes, got 2');
+    expect(describeMidiMessage([0xB0, 13, 200]).error).toBe('data byte above 7F');
+    expect(describeMidiMessage([0x10, 0x20]).summary).toBe('Invalid message');
+    expect(describeMidiMessage([0xF0, 0x00, 0x01]).error).toBe('SysEx without F7 terminator');
+    expect(describeMidiMessage([0xB0, 13, 96]).error).toBeNull();
+  });
+});
+
+// --- validateMidiMessage ---
+describe('validateMidiMessage', () => {
+  it('accepts well-formed messages', () => {
+    expect(validateMidiMessage([0xC0, 1])).toBeNull();
+    expect(validateMidiMessage(IDENTITY_REQUEST)).toBeNull();
+  });
+
+  it('rejects empty messages', () => {
+    expect(validateMidiMessage([])).toBe('empty message');
+  });
+});
@@ -0,0 +1,157 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { runPodctl, bankFromJson, BANK_FILE_FORMAT } from '../podctl';
+import { DEFAULT_PARAMS, AMP_MODELS, buildPatchDump, buildBankSysEx } from '../pocketPodProtocol';
+
+function makeBank(overrides = {}) {
+  const presets = [0, 1, 2].map((number) => ({
+    number,
+    name: `PATCH ${number + 1}`,
+    params: { ...DEFAULT_PARAMS, ampModel: number, drive: 10 * number, ...overrides[number] },
+  }));
+  return Uint8Array.from(buildBankSysEx(presets));
+}
+
+// In-memory stand-in for the file system and console
+function createIO(files = {}) {
+  const out = [];
+  const err = [];
+  return {
+    files,
+    out,
+    err,
+    readFile(path) {
+      if (!(path in files)) throw new Error('ENOENT');
+      const contents = files[path];
+      return typeof contents === 'string' ? new TextEncoder().encode(contents) : contents;
+    },
+    writeFile(path, data) {
+      files[path] = data;
+    },
+    stdout: (text) => out.push(text),
+    stderr: (text) => err.push(text),
+  };
+}
+
+describe('podctl', () => {
+  it('converts a .syx bank to JSON and back byte for byte', () => {
+    const bank = makeBank();
+    const io = createIO({ 'bank.syx': bank });
+    expect(runPodctl(['to-json', 'bank.syx', '-o', 'bank.json'], io)).toBe(0);
+
+    const json = JSON.parse(io.files['bank.json']);
+    expect(json.format).toBe(BANK_FILE_FORMAT);
+    expect(json.presets).toHaveLength(3);
+    expect(json.presets[1]).toMatchObject({ number: 1, name: 'PATCH 2' });
+    expect(json.presets[1].params.drive).toBe(10);
+
+    expect(runPodctl(['to-syx', 'bank.json', '-o', 'copy.syx'], io)).toBe(0);
+    expect(Array.from(io.files['copy.syx'])).toEqual(Array.from(bank));
+  });
+
+  it('keeps the dump version byte through the JSON round trip', () => {
+    const stored = buildPatchDump(DEFAULT_PARAMS, 'VERSIONED', { presetNumber: 7, isEditBuffer: false, version: 2 });
+    const edit = buildPatchDump(DEFAULT_PARAMS, 'EDIT', { version: 3 });
+    const bank = Uint8Array.from([...stored, ...edit]);
+    const io = createIO({ 'bank.syx': bank });
+    expect(runPodctl(['to-json', 'bank.syx', '-o', 'bank.json'], io)).toBe(0);
+    expect(JSON.parse(io.files['bank.json']).presets.map((p) => p.version)).toEqual([2, 3]);
+
+    expect(runPodctl(['to-syx', 'bank.json', '-o', 'copy.syx'], io)).toBe(0);
+    expect(Array.from(io.files['copy.syx'])).toEqual(Array.from(bank));
+  });
+
+  it('reads dumps saved from a unit on another device ID', () => {
+    const dump = buildPatchDump({ ...DEFAULT_PARAMS, drive: 42 }, 'UNIT FIVE', { presetNumber: 3, isEditBuffer: false, deviceId: 5 });
+    const io = createIO({ 'bank.syx': Uint8Array.from(dump) });
+    expect(runPodctl(['to-json', 'bank.syx', '-o', 'bank.json'], io)).toBe(0);
+    const [preset] = JSON.parse(io.files['bank.json']).presets;
+    expect(preset).toMatchObject({ number: 3, name: 'UNIT FIVE' });
+    expect(preset.params.drive).toBe(42);
+  });
+
+  it('prints JSON to stdout without -o and refuses binary output to stdout', () => {
+    const io = createIO({ 'bank.syx': makeBank() });
+    expect(runPodctl(['to-json', 'bank.syx'], io)).toBe(0);
+    expect(JSON.parse(io.out[0]).presets).toHaveLength(3);
+
+    io.files['bank.json'] = io.out[0];
+    expect(runPodctl(['to-syx', 'bank.json'], io)).toBe(2);
+    expect(io.err[0]).toMatch(/pass -o/);
+  });
+
+  it('lists preset names with 1-based slots', () => {
+    const io = createIO({ 'bank.syx': makeBank() });
+    expect(runPodctl(['list', 'bank.syx'], io)).toBe(0);
+    expect(io.out[0]).toBe('001  PATCH 1\n002  PATCH 2\n003  PATCH 3');
+  });
+
+  it('diffs two banks and exits 1 when they differ', () => {
+    const io = createIO({
+      'a.syx': makeBank(),
+      'b.syx': makeBank({ 2: { drive: 99, ampModel: 5 } }),
+    });
+    expect(runPodctl(['diff', 'a.syx', 'b.syx'], io)).toBe(1);
+    expect(io.out[0]).toContain('003  PATCH 3');
+    expect(io.out[0]).toContain(`Amp Model: ${AMP_MODELS[2]} -> ${AMP_MODELS[5]}`);
+    expect(io.out[0]).toContain('Drive: 20 -> 99');
+    expect(io.out[0]).not.toContain('001');
+
+    expect(runPodctl(['diff', 'a.syx', 'a.syx'], io)).toBe(0);
+    expect(io.out[1]).toBe('Banks are identical');
+  });
+
+  it('pretty-prints a patch with model names', () => {
+    const io = createIO({ 'bank.syx': makeBank() });
+    expect(runPodctl(['show', 'bank.syx', '2'], io)).toBe(0);
+    const text = io.out[0];
+    expect(text).toContain('002  PATCH 2');
+    expect(text).toContain(`Amp:    ${AMP_MODELS[1]}`);
+    expect(text).toMatch(/Drive\s+10/);
+    expect(text).toMatch(/Dist Enable\s+Off/);
+  });
+
+  it('shows a single edit buffer patch file', () => {
+    const io = createIO({ 'patch.syx': Uint8Array.from(buildPatchDump(DEFAULT_PARAMS, 'CRUNCH')) });
+    expect(runPodctl(['show', 'patch.syx'], io)).toBe(0);
+    expect(io.out[0]).toContain('EDIT  CRUNCH');
+  });
+
+  it('reports usage and input errors with exit code 2', () => {
+    const io = createIO({ 'junk.syx': Uint8Array.from([1, 2, 3]) });
+    expect(runPodctl(['frobnicate'], io)).toBe(2);
+    expect(io.err[0]).toMatch(/unknown command/);
+    expect(runPodctl(['list', 'missing.syx'], io)).toBe(2);
+    expect(io.err[1]).toMatch(/cannot read missing.syx/);
+    expect(runPodctl(['list', 'junk.syx'], io)).toBe(2);
+    expect(io.err[2]).toMatch(/no Pocket POD patch dumps/);
+    expect(runPodctl(['show', 'junk.syx', '9'], createIO())).toBe(2);
+  });
+});
+
+describe('bankFromJson', () => {
+  it('rejects out-of-range values with the field path', () => {
+    const text = JSON.stringify({
+      format: BANK_FILE_FORMAT,
+      version: 1,
+      presets: [{ number: 200, name: 'X', params: { drive: 300 } }],
+    });
+    expect(() => bankFromJson(text)).toThrow(/presets\[0\]\.number: 200 is outside 0-123/);
+    expect(() => bankFromJson(text)).toThrow(/presets\[0\]\.params\.drive: 300 is outside 0-127/);
+  });
+
+  it('rejects a bad version byte or rawData of the wrong length', () => {
+    const bankWith = (preset) => JSON.stringify({
+      format: BANK_FILE_FORMAT,
+      version: 1,
+      presets: [{ number: 0, name: 'X', params: {}, ...preset }],
+    });
+    expect(() => bankFromJson(bankWith({ version: 200 }))).toThrow(/presets\[0\]\.version: 200 is outside 0-127/);
+    expect(() => bankFromJson(bankWith({ rawData: '00 01 02' }))).toThrow(/presets\[0\]\.rawData: expected 71 bytes, got 3/);
+    expect(bankFromJson(bankWith({}))[0].version).toBe(0);
+  });
+
+  it('rejects other formats', () => {
+    expect(() => bankFromJson('{"format":"something-else"}')).toThrow(/not a pod-studio-bank file/);
+  });
+});
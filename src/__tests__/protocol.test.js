@@ -1,15 +1,21 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import {
   decodeNibbles, decodePatchName, parsePatchDump,
+  encodeNibbles, encodePatchName, buildPatchDump,
+  buildPresetRequest, findPatchMismatches, PRESET_COUNT,
+  isPatchDump, splitSysEx, buildBankSysEx,
+  serializePatchFile, parsePatchFile, PATCH_FILE_FORMAT, PATCH_FILE_VERSION,
+  diffParams, formatParamValue,
   MIDI_CC_MAP, PATCH_PARAM_MAP, PATCH_SELECT_PARAMS,
   AMP_MODELS, CAB_MODELS, EFFECT_TYPES,
-  DEFAULT_PARAMS,
+  DEFAULT_PARAMS, DEFAULT_TONE_NOTES,
   LINE6_MANUFACTURER_ID, POCKET_POD_DEVICE_ID, MIDI_CHANNEL,
   SYSEX_START, SYSEX_END, IDENTITY_REQUEST, REQUEST_EDIT_BUFFER, REQUEST_ALL_PRESETS,
   EFFECT_CATEGORIES, DELAY_EFFECTS, EFFECT_KNOB_CONFIGS,
   EFFECT_SPECIFIC_PARAMS, EFFECT_CC_REVERSE_MAP,
   getEffectCC, formatCompRatio, COMP_RATIO_LABELS,
-} from '../PocketPodEditor';
+} from '../pocketPodProtocol';
+import { createMockPocketPod, MOCK_PORT_ID } from '../mockPocketPod';
 
 // --- decodeNibbles ---
 describe('decodeNibbles', () => {
@@ -150,6 +156,403 @@ describe('parsePatchDump', () => {
   });
 });
 
+// --- encodeNibbles ---
+describe('encodeNibbles', () => {
+  it('splits each byte into high and low nibbles', () => {
+    expect(encodeNibbles([0xA5, 0x42])).toEqual([0x0A, 0x05, 0x04, 0x02]);
+  });
+
+  it('returns empty array for empty input', () => {
+    expect(encodeNibbles([])).toEqual([]);
+  });
+
+  it('is the inverse of decodeNibbles', () => {
+    const bytes = [0x00, 0x7F, 0x80, 0xFF, 0x31];
+    expect(decodeNibbles(encodeNibbles(bytes))).toEqual(bytes);
+  });
+});
+
+// --- encodePatchName ---
+describe('encodePatchName', () => {
+  it('pads short names to 16 chars with spaces', () => {
+    const nibbles = encodePatchName('Hi');
+    expect(nibbles).toHaveLength(32);
+    expect(decodeNibbles(nibbles).slice(2)).toEqual(new Array(14).fill(0x20));
+    expect(decodePatchName(nibbles)).toBe('Hi');
+  });
+
+  it('truncates names longer than 16 chars', () => {
+    expect(decodePatchName(encodePatchName('ABCDEFGHIJKLMNOPQRST'))).toBe('ABCDEFGHIJKLMNOP');
+  });
+
+  it('replaces non-printable characters with spaces', () => {
+    expect(decodeNibbles(encodePatchName('AéB')).slice(0, 3)).toEqual([0x41, 0x20, 0x42]);
+  });
+});
+
+// --- buildPatchDump ---
+describe('buildPatchDump', () => {
+  const params = { ...DEFAULT_PARAMS, ampModel: 12, drive: 99, cabModel: 11, effect: 6, delay_time: 77 };
+
+  it('builds an edit buffer dump with the correct header and length', () => {
+    const data = buildPatchDump(params, 'Lead', { isEditBuffer: true, version: 3 });
+    expect(data.slice(0, 8)).toEqual([SYSEX_START, ...LINE6_MANUFACTURER_ID, POCKET_POD_DEVICE_ID, 0x01, 0x01, 3]);
+    expect(data).toHaveLength(8 + 142 + 1);
+    expect(data[data.length - 1]).toBe(SYSEX_END);
+  });
+
+  it('builds a stored preset dump with the program number', () => {
+    const data = buildPatchDump(params, 'Lead', { isEditBuffer: false, presetNumber: 42 });
+    expect(data.slice(5, 9)).toEqual([0x01, 0x00, 42, 0x00]);
+    expect(data).toHaveLength(9 + 142 + 1);
+  });
+
+  it('keeps every byte a valid 7-bit SysEx data byte', () => {
+    const data = buildPatchDump({ ...params, drive: 255 }, 'Edge', { isEditBuffer: true });
+    for (const byte of data.slice(1, -1)) {
+      expect(byte).toBeLessThan(0x80);
+    }
+  });
+
+  it('round-trips params and name through parsePatchDump', () => {
+    const result = parsePatchDump(buildPatchDump(params, 'Round Trip', { isEditBuffer: false, presetNumber: 7, version: 2 }));
+    expect(result.name).toBe('Round Trip');
+    expect(result.presetNumber).toBe(7);
+    expect(result.isEditBuffer).toBe(false);
+    expect(result.version).toBe(2);
+    for (const key of Object.values(PATCH_PARAM_MAP)) {
+      expect(result.params[key]).toBe(params[key]);
+    }
+  });
+
+  it('writes the name into decoded bytes 55-70', () => {
+    const { rawData } = parsePatchDump(buildPatchDump(params, 'CRUNCH', { isEditBuffer: true }));
+    expect(rawData.slice(55, 71).map((b) => String.fromCharCode(b)).join('')).toBe('CRUNCH          ');
+  });
+
+  it('preserves unmapped bytes from rawData', () => {
+    const rawData = new Array(71).fill(0);
+    const unmapped = [21, 25, 28, 29, 30, 31, 32, 33, 35, 37, 49, 51, 54];
+    for (const offset of unmapped) rawData[offset] = 100 + (offset % 20);
+
+    const rebuilt = parsePatchDump(buildPatchDump(params, 'Keep', { rawData })).rawData;
+    for (const offset of unmapped) {
+      expect(rebuilt[offset]).toBe(rawData[offset]);
+    }
+  });
+
+  it('reproduces a parsed dump byte for byte', () => {
+    const original = buildPatchDump(params, 'Exact', { isEditBuffer: true, version: 1 });
+    original[8 + 21 * 2 + 1] = 0x09; // set an unmapped byte directly in the nibbles
+    const parsed = parsePatchDump(original);
+    const rebuilt = buildPatchDump(parsed.params, parsed.name, {
+      isEditBuffer: true, version: parsed.version, rawData: parsed.rawData,
+    });
+    expect(rebuilt).toEqual(original);
+  });
+
+  it('zero-fills unmapped bytes when no rawData is given', () => {
+    const { rawData } = parsePatchDump(buildPatchDump(params, 'Zero'));
+    expect(rawData[21]).toBe(0);
+    expect(rawData[54]).toBe(0);
+  });
+});
+
+// --- buildPresetRequest ---
+describe('buildPresetRequest', () => {
+  it('requests a single stored program', () => {
+    expect(buildPresetRequest(42)).toEqual([
+      SYSEX_START, ...LINE6_MANUFACTURER_ID, POCKET_POD_DEVICE_ID, 0x00, 0x00, 42, SYSEX_END,
+    ]);
+  });
+
+  it('covers all program slots', () => {
+    expect(PRESET_COUNT).toBe(124);
+    expect(buildPresetRequest(PRESET_COUNT - 1)[7]).toBe(123);
+  });
+});
+
+// --- findPatchMismatches ---
+describe('findPatchMismatches', () => {
+  const params = { ...DEFAULT_PARAMS, drive: 90 };
+
+  it('returns no mismatches for an identical read-back', () => {
+    const readBack = parsePatchDump(buildPatchDump(params, 'Same', { isEditBuffer: false, presetNumber: 1 }));
+    expect(findPatchMismatches({ name: 'Same', params }, readBack)).toEqual([]);
+  });
+
+  it('ignores name padding and truncation done by the encoder', () => {
+    const longName = 'A Very Long Patch Name';
+    const readBack = parsePatchDump(buildPatchDump(params, longName, { isEditBuffer: false }));
+    expect(findPatchMismatches({ name: longName, params }, readBack)).toEqual([]);
+  });
+
+  it('lists differing params and name', () => {
+    const readBack = parsePatchDump(buildPatchDump({ ...params, drive: 10, bass: 1 }, 'Other', { isEditBuffer: false }));
+    expect(findPatchMismatches({ name: 'Same', params }, readBack)).toEqual(['name', 'drive', 'bass']);
+  });
+});
+
+// --- isPatchDump ---
+describe('isPatchDump', () => {
+  it('accepts edit buffer and stored dumps', () => {
+    expect(isPatchDump(buildPatchDump(DEFAULT_PARAMS, 'A', { isEditBuffer: true }))).toBe(true);
+    expect(isPatchDump(buildPatchDump(DEFAULT_PARAMS, 'A', { isEditBuffer: false }))).toBe(true);
+  });
+
+  it('rejects requests and foreign SysEx', () => {
+    expect(isPatchDump(REQUEST_EDIT_BUFFER)).toBe(false);
+    expect(isPatchDump(IDENTITY_REQUEST)).toBe(false);
+    expect(isPatchDump([0xF0, 0x43, 0x10, 0x01, 0x01, 0x01, 0xF7])).toBe(false);
+  });
+});
+
+// --- splitSysEx ---
+describe('splitSysEx', () => {
+  it('splits concatenated messages', () => {
+    expect(splitSysEx([0xF0, 0x01, 0xF7, 0xF0, 0x02, 0x03, 0xF7])).toEqual([
+      [0xF0, 0x01, 0xF7],
+      [0xF0, 0x02, 0x03, 0xF7],
+    ]);
+  });
+
+  it('ignores bytes outside of messages', () => {
+    expect(splitSysEx([0x00, 0xB0, 0xF0, 0x01, 0xF7, 0x42])).toEqual([[0xF0, 0x01, 0xF7]]);
+  });
+
+  it('drops a message cut short by a new F0', () => {
+    expect(splitSysEx([0xF0, 0x01, 0xF0, 0x02, 0xF7])).toEqual([[0xF0, 0x02, 0xF7]]);
+  });
+
+  it('drops an unterminated trailing message', () => {
+    expect(splitSysEx(new Uint8Array([0xF0, 0x01, 0xF7, 0xF0, 0x02]))).toEqual([[0xF0, 0x01, 0xF7]]);
+  });
+});
+
+// --- buildBankSysEx ---
+describe('buildBankSysEx', () => {
+  it('concatenates stored dumps in slot order', () => {
+    const presets = [
+      { number: 2, name: 'Two', params: { ...DEFAULT_PARAMS, drive: 2 } },
+      { number: 0, name: 'Zero', params: { ...DEFAULT_PARAMS, drive: 0 } },
+    ];
+    const parsed = splitSysEx(buildBankSysEx(presets)).map(parsePatchDump);
+    expect(parsed.map((p) => [p.presetNumber, p.name, p.params.drive])).toEqual([
+      [0, 'Zero', 0],
+      [2, 'Two', 2],
+    ]);
+    expect(parsed.every((p) => !p.isEditBuffer)).toBe(true);
+  });
+
+  it('returns an empty array for an empty library', () => {
+    expect(buildBankSysEx([])).toEqual([]);
+  });
+});
+
+// --- JSON patch files ---
+describe('serializePatchFile', () => {
+  const toneNotes = { ...DEFAULT_TONE_NOTES, song: 'Heartbreaker', pickup: 'Bridge' };
+
+  it('writes format, version, name, params and tone notes', () => {
+    const data = JSON.parse(serializePatchFile({ name: 'Lead', params: DEFAULT_PARAMS, toneNotes }));
+    expect(data.format).toBe(PATCH_FILE_FORMAT);
+    expect(data.version).toBe(PATCH_FILE_VERSION);
+    expect(data.name).toBe('Lead');
+    expect(data.params).toEqual(DEFAULT_PARAMS);
+    expect(data.toneNotes).toEqual(toneNotes);
+  });
+
+  it('round-trips through parsePatchFile without errors', () => {
+    const params = { ...DEFAULT_PARAMS, ampModel: 31, cabModel: 15, dist_enable: 1 };
+    const { patch, errors } = parsePatchFile(serializePatchFile({ name: 'Insane', params, toneNotes }));
+    expect(errors).toEqual([]);
+    expect(patch).toEqual({ name: 'Insane', params, toneNotes });
+  });
+
+  it('leaves out params that are not MIDI parameters', () => {
+    const data = JSON.parse(serializePatchFile({ name: 'X', params: { drive: 1, bogus: 2 }, toneNotes }));
+    expect(data.params).toEqual({ drive: 1 });
+  });
+});
+
+describe('parsePatchFile', () => {
+  const wrap = (fields) => JSON.stringify({ format: PATCH_FILE_FORMAT, version: 1, ...fields });
+
+  it('rejects invalid JSON', () => {
+    const { patch, errors } = parsePatchFile('{nope');
+    expect(patch).toBeNull();
+    expect(errors[0]).toMatch(/Not valid JSON/);
+  });
+
+  it('rejects other formats', () => {
+    expect(parsePatchFile(JSON.stringify({ format: 'other', version: 1 })).patch).toBeNull();
+    expect(parsePatchFile('[]').patch).toBeNull();
+  });
+
+  it('rejects newer versions', () => {
+    const { patch, errors } = parsePatchFile(wrap({ version: PATCH_FILE_VERSION + 1 }));
+    expect(patch).toBeNull();
+    expect(errors[0]).toMatch(/Unsupported patch file version/);
+  });
+
+  it('reports out-of-range, non-integer and unknown params and keeps valid ones', () => {
+    const { patch, errors } = parsePatchFile(wrap({
+      params: { drive: 200, bass: 10.5, ampModel: 32, treble: 90, wobble: 1, dist_enable: 1 },
+    }));
+    expect(patch.params).toEqual({ treble: 90, dist_enable: 1 });
+    expect(errors).toEqual([
+      'params.drive: 200 is outside 0-127',
+      'params.bass: 10.5 is outside 0-127',
+      'params.ampModel: 32 is outside 0-31',
+      'params.wobble: unknown parameter',
+    ]);
+  });
+
+  it('reports bad tone notes and name', () => {
+    const { patch, errors } = parsePatchFile(wrap({ name: 5, toneNotes: { song: 'Ok', band: 3, mood: 'x' } }));
+    expect(patch.name).toBe('');
+    expect(patch.toneNotes).toEqual({ song: 'Ok' });
+    expect(errors).toEqual([
+      'name: must be a string',
+      'toneNotes.band: must be a string',
+      'toneNotes.mood: unknown field',
+    ]);
+  });
+});
+
+// --- diffParams ---
+describe('diffParams', () => {
+  it('returns only the keys whose values differ', () => {
+    const from = { ...DEFAULT_PARAMS };
+    const to = { ...DEFAULT_PARAMS, drive: 100, effect: 3 };
+    expect(diffParams(from, to)).toEqual([
+      { key: 'drive', from: DEFAULT_PARAMS.drive, to: 100 },
+      { key: 'effect', from: DEFAULT_PARAMS.effect, to: 3 },
+    ]);
+  });
+
+  it('returns an empty list for identical params', () => {
+    expect(diffParams(DEFAULT_PARAMS, { ...DEFAULT_PARAMS })).toEqual([]);
+  });
+
+  it('includes keys present on only one side', () => {
+    expect(diffParams({}, { drive: 5 })).toEqual([{ key: 'drive', from: undefined, to: 5 }]);
+  });
+});
+
+// --- formatParamValue ---
+describe('formatParamValue', () => {
+  it('uses model names for select params', () => {
+    expect(formatParamValue('ampModel', 2)).toBe(AMP_MODELS[2]);
+    expect(formatParamValue('cabModel', 1)).toBe(CAB_MODELS[1]);
+    expect(formatParamValue('effect', 4)).toBe(EFFECT_TYPES[4]);
+  });
+
+  it('formats toggles as On/Off', () => {
+    expect(formatParamValue('dist_enable', 1)).toBe('On');
+    expect(formatParamValue('dist_enable', 0)).toBe('Off');
+  });
+
+  it('shows plain numbers for continuous params', () => {
+    expect(formatParamValue('drive', 64)).toBe('64');
+  });
+});
+
+// --- createMockPocketPod ---
+describe('createMockPocketPod', () => {
+  let pod;
+  let received;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    pod = createMockPocketPod({ replyDelay: 1 });
+    received = [];
+    pod.input.addEventListener('midimessage', (e) => received.push(Array.from(e.data)));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('exposes an input/output pair with the simulator port id', () => {
+    expect(pod.input.id).toBe(MOCK_PORT_ID);
+    expect(pod.output.id).toBe(MOCK_PORT_ID);
+    expect(typeof pod.output.send).toBe('function');
+  });
+
+  it('answers the identity request with a Line 6 identity reply', () => {
+    pod.output.send(IDENTITY_REQUEST);
+    vi.runAllTimers();
+    expect(received).toHaveLength(1);
+    const reply = received[0];
+    expect(reply.slice(0, 5)).toEqual([0xF0, 0x7E, 0x7F, 0x06, 0x02]);
+    expect(reply.slice(5, 8)).toEqual(LINE6_MANUFACTURER_ID);
+    expect(String.fromCharCode(...reply.slice(12, 16))).toBe('2.10');
+  });
+
+  it('answers an edit buffer request with a parseable edit buffer dump', () => {
+    pod.output.send(REQUEST_EDIT_BUFFER);
+    vi.runAllTimers();
+    const parsed = parsePatchDump(received[0]);
+    expect(parsed.isEditBuffer).toBe(true);
+    expect(parsed.name).toBe(pod.memory.editBuffer.name);
+  });
+
+  it('answers single and bulk preset requests with stored dumps', () => {
+    pod.output.send(buildPresetRequest(5));
+    vi.runAllTimers();
+    expect(parsePatchDump(received[0]).presetNumber).toBe(5);
+
+    received = [];
+    pod.output.send(REQUEST_ALL_PRESETS);
+    vi.runAllTimers();
+    expect(received).toHaveLength(PRESET_COUNT);
+    expect(received.map((d) => parsePatchDump(d).presetNumber)).toEqual([...Array(PRESET_COUNT).keys()]);
+  });
+
+  it('applies and echoes incoming CCs', () => {
+    pod.output.send([0xB0, MIDI_CC_MAP.drive.cc, 99]);
+    pod.output.send([0xB0, MIDI_CC_MAP.dist_enable.cc, 127]);
+    vi.runAllTimers();
+    expect(pod.memory.editBuffer.params.drive).toBe(99);
+    expect(pod.memory.editBuffer.params.dist_enable).toBe(1);
+    expect(received).toEqual([[0xB0, MIDI_CC_MAP.drive.cc, 99], [0xB0, MIDI_CC_MAP.dist_enable.cc, 127]]);
+  });
+
+  it('loads the stored program into the edit buffer on program change', () => {
+    pod.output.send([0xB0, MIDI_CC_MAP.drive.cc, 1]);
+    pod.output.send([0xC0, 7]);
+    expect(pod.memory.program).toBe(7);
+    expect(pod.memory.editBuffer.params).toEqual(pod.memory.presets[7].params);
+  });
+
+  it('stores incoming stored-program dumps in its memory', () => {
+    const params = { ...DEFAULT_PARAMS, drive: 11 };
+    pod.output.send(buildPatchDump(params, 'WRITTEN', { presetNumber: 3, isEditBuffer: false }));
+    pod.output.send(buildPresetRequest(3));
+    vi.runAllTimers();
+    const parsed = parsePatchDump(received[0]);
+    expect(parsed.name).toBe('WRITTEN');
+    expect(parsed.params.drive).toBe(11);
+  });
+
+  it('ignores channel messages and SysEx addressed to another unit', () => {
+    const ch3 = createMockPocketPod({ replyDelay: 1, channel: 2, deviceId: 5 });
+    const replies = [];
+    ch3.input.addEventListener('midimessage', (e) => replies.push(Array.from(e.data)));
+    ch3.output.send([0xB0, MIDI_CC_MAP.drive.cc, 1]);
+    ch3.output.send(REQUEST_EDIT_BUFFER);
+    vi.runAllTimers();
+    expect(replies).toEqual([]);
+
+    ch3.output.send([0xB2, MIDI_CC_MAP.drive.cc, 1]);
+    ch3.output.send(buildPresetRequest(0, 5));
+    vi.runAllTimers();
+    expect(replies[0]).toEqual([0xB2, MIDI_CC_MAP.drive.cc, 1]);
+    expect(replies[1][4]).toBe(5);
+  });
+});
+
 // --- MIDI_CC_MAP ---
 describe('MIDI_CC_MAP', () => {
   const entries = Object.entries(MIDI_CC_MAP);
@@ -0,0 +1,47 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { BPM_MAX, TAP_RESET_MS, NOTE_DIVISIONS, divisionMs, createTapTempo } from '../tempo';
+
+describe('divisionMs', () => {
+  it('times straight, dotted and triplet notes', () => {
+    expect(divisionMs(120, '1/4')).toBe(500);
+    expect(divisionMs(120, '1/8d')).toBe(375);
+    expect(divisionMs(120, '1/8')).toBe(250);
+    expect(divisionMs(90, '1/4t')).toBeCloseTo(444.44, 2);
+    expect(divisionMs(120, '1/16')).toBe(125);
+  });
+
+  it('keeps the tempo in range', () => {
+    expect(divisionMs(1000, '1/4')).toBe(60000 / BPM_MAX);
+  });
+
+  it('offers each division once', () => {
+    const ids = NOTE_DIVISIONS.map((d) => d.id);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+});
+
+describe('createTapTempo', () => {
+  const tapsAt = (times, options) => {
+    let index = 0;
+    const tapper = createTapTempo({ now: () => times[index], ...options });
+    return times.map(() => {
+      const bpm = tapper.tap();
+      index++;
+      return bpm;
+    });
+  };
+
+  it('needs two taps, then averages the intervals', () => {
+    expect(tapsAt([0, 500, 1000, 1510])).toEqual([null, 120, 120, 119]);
+  });
+
+  it('starts over after a long pause', () => {
+    expect(tapsAt([0, 300, 300 + TAP_RESET_MS + 1, 300 + TAP_RESET_MS + 751])).toEqual([null, 200, null, 80]);
+  });
+
+  it('only averages the most recent taps', () => {
+    const bpms = tapsAt([0, 1000, 1500, 2000], { history: 2 });
+    expect(bpms.at(-1)).toBe(120);
+  });
+});
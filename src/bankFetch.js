@@ -0,0 +1,140 @@
+// --- Bulk dump transfer ---
+// State machine for "Fetch All": one bulk request, then targeted per-slot
+// re-requests for whatever the stream dropped.
+//
+//   "bulk"      waiting for the streamed dumps; each one re-arms the inactivity timer
+//   "retrying"  re-requesting missing slots one at a time, up to maxRetries each
+//   "complete" | "incomplete" | "cancelled"   final, reported through onComplete
+//   "unanswered"  final: the bulk request got no dumps at all, so the device is
+//                 silent (wrong port or device ID) and per-slot retries are skipped
+//
+// The transfer never touches MIDI itself: the caller supplies requestAll() and
+// requestSlot(n), and feeds every stored-program dump it sees into receive(n).
+
+const FETCH_TIMEOUT_MS = 2000;
+const FETCH_MAX_RETRIES = 3;
+
+function createBankFetch({
+  total,
+  requestAll,
+  requestSlot,
+  onUpdate = () => {},
+  onComplete = () => {},
+  timeoutMs = FETCH_TIMEOUT_MS,
+  maxRetries = FETCH_MAX_RETRIES,
+}) {
+  const received = new Set();
+  const recovered = new Set(); // slots that only arrived after a re-request
+  const attempts = new Map(); // slot -> re-requests sent
+  const failed = [];
+  let queue = [];
+  let current = null; // slot being re-requested
+  let phase = "idle";
+  let timer = null;
+
+  const missing = () => [...Array(total).keys()].filter((n) => !received.has(n));
+
+  const snapshot = () => ({
+    phase,
+    received: received.size,
+    total,
+    retrying: current,
+    missing: phase === "retrying" ? [current, ...queue] : [],
+  });
+
+  const update = () => onUpdate(snapshot());
+
+  const finish = (status) => {
+    clearTimeout(timer);
+    timer = null;
+    phase = status;
+    onComplete({
+      status,
+      received: received.size,
+      total,
+      recovered: [...recovered].sort((a, b) => a - b),
+      missing: status === "cancelled" || status === "unanswered" ? missing() : [...failed].sort((a, b) => a - b),
+    });
+  };
+
+  const arm = (onTimeout) => {
+    clearTimeout(timer);
+    timer = setTimeout(onTimeout, timeoutMs);
+  };
+
+  const requestNext = () => {
+    while (queue.length > 0 && received.has(queue[0])) queue.shift();
+    if (queue.length === 0) {
+      current = null;
+      finish(failed.length === 0 ? "complete" : "incomplete");
+      return;
+    }
+    current = queue.shift();
+    attempts.set(current, (attempts.get(current) || 0) + 1);
+    update();
+    requestSlot(current);
+    arm(onSlotTimeout);
+  };
+
+  const onSlotTimeout = () => {
+    if ((attempts.get(current) || 0) < maxRetries) {
+      queue.unshift(current);
+    } else {
+      failed.push(current);
+    }
+    requestNext();
+  };
+
+  const onBulkTimeout = () => {
+    if (received.size === 0) {
+      finish("unanswered");
+      return;
+    }
+    phase = "retrying";
+    queue = missing();
+    requestNext();
+  };
+
+  return {
+    start() {
+      phase = "bulk";
+      update();
+      requestAll();
+      arm(onBulkTimeout);
+    },
+
+    // Called for every stored-program dump, including ones nobody asked for
+    receive(number) {
+      if (phase !== "bulk" && phase !== "retrying") return;
+      if (number === null || number < 0 || number >= total || received.has(number)) return;
+      received.add(number);
+      if (phase === "retrying") recovered.add(number);
+      // A slot given up on may still turn up late
+      if (failed.includes(number)) failed.splice(failed.indexOf(number), 1);
+
+      if (received.size === total) {
+        finish("complete");
+        return;
+      }
+      if (phase === "bulk") {
+        update();
+        arm(onBulkTimeout);
+      } else if (number === current) {
+        requestNext();
+      } else {
+        update();
+      }
+    },
+
+    cancel() {
+      if (phase !== "bulk" && phase !== "retrying") return;
+      finish("cancelled");
+    },
+
+    get phase() {
+      return phase;
+    },
+  };
+}
+
+export { createBankFetch, FETCH_TIMEOUT_MS, FETCH_MAX_RETRIES };
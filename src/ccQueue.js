@@ -0,0 +1,87 @@
+// --- Outgoing CC queue ---
+// Knob drags produce a CC per mouse move, far more than the Pocket POD's
+// 31.25 kbps MIDI input can take. Outgoing CCs go through this queue, which
+// sends at most one message per interval and keeps only the newest value per
+// controller while it waits:
+//
+//   idle          a CC goes out immediately
+//   rate-limited  it waits in the queue; a newer value for the same channel
+//                 and controller replaces it in place, so the last value of a
+//                 sweep always gets through
+//
+// Like bankFetch, the queue never touches MIDI itself: the caller supplies
+// send(message) and decides what "sent" means (transport + monitor log).
+
+// ~100 messages per second. A 31.25 kbaud cable carries about 1000 three-byte
+// CCs per second, so this leaves room for SysEx and for the device itself.
+const CC_SEND_INTERVAL_MS = 10;
+
+function createCcQueue({
+  send,
+  intervalMs = CC_SEND_INTERVAL_MS,
+  onDepthChange = () => {},
+  now = () => Date.now(),
+}) {
+  const pending = new Map(); // "status:controller" -> message
+  let lastSent = -Infinity;
+  let timer = null;
+
+  const transmit = (message) => {
+    lastSent = now();
+    send(message);
+  };
+
+  const schedule = () => {
+    if (timer || pending.size === 0) return;
+    timer = setTimeout(drain, Math.max(0, lastSent + intervalMs - now()));
+  };
+
+  const drain = () => {
+    timer = null;
+    const [key, message] = pending.entries().next().value;
+    pending.delete(key);
+    transmit(message);
+    onDepthChange(pending.size);
+    schedule();
+  };
+
+  return {
+    push(message) {
+      if (pending.size === 0 && !timer && now() - lastSent >= intervalMs) {
+        transmit(message);
+        return;
+      }
+      const key = `${message[0]}:${message[1]}`;
+      const merged = pending.has(key);
+      pending.set(key, message);
+      if (!merged) onDepthChange(pending.size);
+      schedule();
+    },
+
+    // Send everything queued right away, e.g. before a program change or
+    // SysEx that must not overtake the CCs already issued
+    flush() {
+      clearTimeout(timer);
+      timer = null;
+      if (pending.size === 0) return;
+      for (const message of pending.values()) transmit(message);
+      pending.clear();
+      onDepthChange(0);
+    },
+
+    // Drop queued messages (the port is gone)
+    clear() {
+      clearTimeout(timer);
+      timer = null;
+      if (pending.size === 0) return;
+      pending.clear();
+      onDepthChange(0);
+    },
+
+    get depth() {
+      return pending.size;
+    },
+  };
+}
+
+export { createCcQueue, CC_SEND_INTERVAL_MS };
@@ -0,0 +1,72 @@
+// --- Incoming device messages ---
+// What one incoming MIDI message means for the editor, decided without touching
+// React state so the protocol handling can be tested on its own. The editor
+// parses the message, asks deviceUpdates() for the resulting updates and
+// applies them in order:
+//
+//   { type: "deviceInfo", deviceInfo }            identity reply
+//   { type: "drift", rows, patch }                edit buffer answering the sync check;
+//                                                 rows is [] when UI and device agree
+//   { type: "editBuffer", params, name, rawData, version }   load into the editor
+//   { type: "storedPreset", preset }              stored program (Fetch All, read-back)
+//   { type: "param", key, value }                 knob turned on the device
+//   { type: "program", program, name }            program change
+//   { type: "tapNote", tapNote }                  note learned for tap tempo
+//   { type: "tap" }                               the tap note was played
+import { acceptsChannel, findPatchMismatches } from "./pocketPodProtocol";
+
+// context:
+//   channel     the connection's MIDI channel (or MIDI_CHANNEL_OMNI)
+//   sync        null, or { stale, editBuffer: {params, name} } while the sync check awaits a reply
+//   tapNote     { note, learning } for tap tempo
+function deviceUpdates(message, { channel, sync = null, tapNote = { note: null, learning: false } }) {
+  switch (message.type) {
+    case "identityReply": {
+      const { manufacturer, family, member, version } = message;
+      return [{ type: "deviceInfo", deviceInfo: { manufacturer, family, member, version } }];
+    }
+
+    case "patchDump": {
+      const patch = message.patch;
+      if (!patch) return [];
+      if (patch.isEditBuffer && sync) {
+        // Reply to the sync check: compare, don't apply. Edits made since the
+        // request make the comparison meaningless; the next check will tell.
+        if (sync.stale) return [{ type: "drift", rows: null, patch }];
+        const ui = sync.editBuffer;
+        const keys = findPatchMismatches(ui, patch).filter((key) => key !== "name");
+        return [{ type: "drift", rows: keys.map((key) => ({ key, from: ui.params[key], to: patch.params[key] })), patch }];
+      }
+      if (patch.isEditBuffer) {
+        const { params, name, rawData, version } = patch;
+        return [{ type: "editBuffer", params, name, rawData, version }];
+      }
+      const { presetNumber: number, name, params, rawData, version } = patch;
+      return [{ type: "storedPreset", preset: { number, name, params, rawData, version } }];
+    }
+
+    // Channel messages for other units on the same cable are only logged
+    case "cc":
+      if (!acceptsChannel(message.channel, channel) || !message.param) return [];
+      return [{ type: "param", key: message.param, value: message.paramValue }];
+
+    case "programChange":
+      if (!acceptsChannel(message.channel, channel)) return [];
+      return [{ type: "program", program: message.program, name: `Preset ${message.program + 1}` }];
+
+    // Tap tempo from a footswitch or pad, on any channel
+    case "noteOn":
+      if (tapNote.learning) return [{ type: "tapNote", tapNote: { note: message.note, learning: false } }];
+      return message.note === tapNote.note ? [{ type: "tap" }] : [];
+
+    default:
+      return [];
+  }
+}
+
+// The library with one stored program added or replaced, ordered by slot
+function upsertPreset(presets, preset) {
+  return [...presets.filter((p) => p.number !== preset.number), preset].sort((a, b) => a.number - b.number);
+}
+
+export { deviceUpdates, upsertPreset };
@@ -0,0 +1,97 @@
+// --- Local persistence (IndexedDB) ---
+// Keeps preset libraries, per-preset tone notes and the last edit buffer across
+// reloads. Each library is tied to one unit: its identity reply plus the port
+// and SysEx device ID it answers on, since identical units report the same
+// identity. The last device key and edit buffer are kept per device tab.
+import { POCKET_POD_DEVICE_ID } from "./pocketPodProtocol";
+
+const DB_NAME = "pod-studio";
+const DB_VERSION = 1;
+const LIBRARY_STORE = "libraries"; // keyPath deviceKey
+const STATE_STORE = "state"; // key/value: <sessionId>/lastDeviceKey, <sessionId>/editBuffer
+
+// Wrap an IDBRequest in a promise
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase(factory) {
+  return new Promise((resolve, reject) => {
+    const request = factory.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(LIBRARY_STORE)) {
+        db.createObjectStore(LIBRARY_STORE, { keyPath: "deviceKey" });
+      }
+      if (!db.objectStoreNames.contains(STATE_STORE)) {
+        db.createObjectStore(STATE_STORE);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Stable key for a unit from the identity reply fields (firmware version is
+// left out so a library survives an update) and where it answers: the port
+// name and SysEx device ID
+function getDeviceKey(deviceInfo, { port = "", deviceId = POCKET_POD_DEVICE_ID } = {}) {
+  if (!deviceInfo) return null;
+  return [deviceInfo.manufacturer, deviceInfo.family, deviceInfo.member, port, deviceId].join("/");
+}
+
+// Create a store backed by the given IDBFactory (window.indexedDB by default)
+// for one device tab. Returns null when IndexedDB is not available, e.g. in
+// private windows or tests.
+function createLibraryStore(factory = globalThis.indexedDB, { sessionId = "device-1" } = {}) {
+  if (!factory) return null;
+  let dbPromise = null;
+  const db = () => (dbPromise ??= openDatabase(factory));
+  const stateKey = (name) => `${sessionId}/${name}`;
+
+  const run = (storeName, mode, operation) =>
+    db().then((database) => {
+      const tx = database.transaction(storeName, mode);
+      return requestResult(operation(tx.objectStore(storeName)));
+    });
+
+  return {
+    // -> { deviceKey, deviceInfo, presets, toneNotes, updatedAt } or null
+    loadLibrary(deviceKey) {
+      return run(LIBRARY_STORE, "readonly", (store) => store.get(deviceKey)).then((r) => r ?? null);
+    },
+
+    saveLibrary(deviceKey, { deviceInfo = null, presets, toneNotes }) {
+      return run(LIBRARY_STORE, "readwrite", (store) =>
+        store.put({ deviceKey, deviceInfo, presets, toneNotes, updatedAt: Date.now() })
+      );
+    },
+
+    getLastDeviceKey() {
+      return run(STATE_STORE, "readonly", (store) => store.get(stateKey("lastDeviceKey"))).then((r) => r ?? null);
+    },
+
+    setLastDeviceKey(deviceKey) {
+      return run(STATE_STORE, "readwrite", (store) => store.put(deviceKey, stateKey("lastDeviceKey")));
+    },
+
+    // -> { name, params, toneNotes, rawData, version } or null
+    loadEditBuffer() {
+      return run(STATE_STORE, "readonly", (store) => store.get(stateKey("editBuffer"))).then((r) => r ?? null);
+    },
+
+    saveEditBuffer(editBuffer) {
+      return run(STATE_STORE, "readwrite", (store) => store.put(editBuffer, stateKey("editBuffer")));
+    },
+
+    close() {
+      if (dbPromise) dbPromise.then((database) => database.close()).catch(() => {});
+      dbPromise = null;
+    },
+  };
+}
+
+export { createLibraryStore, getDeviceKey };
@@ -0,0 +1,82 @@
+// --- MIDI Monitor log ---
+// Filtering and export of captured monitor entries. Entries are the objects
+// the editor's addLog builds:
+//   { id, time, dir: "IN"|"OUT", bytes: number[], data: "B0 0D 40", type, summary, error }
+// where type is a parseMidiMessage type ("cc", "programChange", "patchDump", ...).
+
+const MIDI_LOG_FORMAT = "pod-studio-midi-log";
+const MIDI_LOG_VERSION = 1;
+
+// Filter categories offered in the monitor, mapped to parseMidiMessage types
+const LOG_CATEGORIES = {
+  cc: { label: "CC", types: ["cc"] },
+  programChange: { label: "PC", types: ["programChange"] },
+  sysex: { label: "SysEx", types: ["patchDump", "patchDumpRequest", "sysex"] },
+  identity: { label: "Identity", types: ["identityRequest", "identityReply"] },
+};
+
+// Everything visible: both directions, all categories, no CC or text filter
+const DEFAULT_LOG_FILTER = {
+  dir: "all",
+  categories: Object.keys(LOG_CATEGORIES),
+  cc: "",
+  search: "",
+};
+
+function logCategory(type) {
+  return Object.keys(LOG_CATEGORIES).find((key) => LOG_CATEGORIES[key].types.includes(type)) || null;
+}
+
+// Entries matching every active filter. A CC number limits the view to that
+// controller; the search text matches the summary, error or hex bytes.
+function filterLogEntries(entries, filter = DEFAULT_LOG_FILTER) {
+  const ccText = String(filter.cc ?? "").trim();
+  const cc = ccText === "" ? null : Number(ccText);
+  const search = String(filter.search ?? "").trim().toLowerCase();
+  return entries.filter((entry) => {
+    if (filter.dir !== "all" && entry.dir !== filter.dir) return false;
+    const category = logCategory(entry.type);
+    // Messages outside the known categories (notes, malformed bytes) only hide when filtering by type
+    if (category && !filter.categories.includes(category)) return false;
+    if (!category && filter.categories.length < Object.keys(LOG_CATEGORIES).length) return false;
+    if (cc !== null && (entry.type !== "cc" || entry.bytes?.[1] !== cc)) return false;
+    if (search) {
+      const haystack = [entry.summary, entry.error, entry.data].filter(Boolean).join(" ").toLowerCase();
+      if (!haystack.includes(search)) return false;
+    }
+    return true;
+  });
+}
+
+// One line per entry: time, direction, hex bytes and the decoded summary
+function logToText(entries) {
+  return entries
+    .map((entry) => {
+      const notes = [entry.summary, entry.error && `(${entry.error})`].filter(Boolean).join(" ");
+      return `${entry.time}  ${entry.dir.padEnd(3)}  ${entry.data}${notes ? `  ${notes}` : ""}`;
+    })
+    .join("\n") + "\n";
+}
+
+function logToJson(entries) {
+  return JSON.stringify({
+    format: MIDI_LOG_FORMAT,
+    version: MIDI_LOG_VERSION,
+    entries: entries.map(({ time, dir, data, type, summary, error }) => ({
+      time, dir, data, type, summary, error: error || null,
+    })),
+  }, null, 2) + "\n";
+}
+
+// Only complete SysEx messages go into a .syx file; channel messages are skipped
+function logToSysEx(entries) {
+  return entries
+    .map((entry) => entry.bytes || [])
+    .filter((bytes) => bytes[0] === 0xF0 && bytes[bytes.length - 1] === 0xF7)
+    .flat();
+}
+
+export {
+  MIDI_LOG_FORMAT, MIDI_LOG_VERSION, LOG_CATEGORIES, DEFAULT_LOG_FILTER,
+  logCategory, filterLogEntries, logToText, logToJson, logToSysEx,
+};
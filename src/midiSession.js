@@ -0,0 +1,119 @@
+// --- MIDI session recording and replay ---
+// A session is every IN/OUT message with a high-resolution timestamp, saved as
+// JSON so device bugs can be reproduced later (or turned into regression tests
+// by replaying the IN side into the editor without hardware):
+//
+//   {
+//     "format": "pod-studio-midi-session",
+//     "version": 1,
+//     "startedAt": "2026-01-01T12:00:00.000Z",
+//     "events": [ { "t": 12.345, "dir": "OUT", "data": "F0 7E 7F 06 01 F7" } ]
+//   }
+//
+// "t" is milliseconds since recording started (fractional, from performance.now()).
+
+const SESSION_FILE_FORMAT = "pod-studio-midi-session";
+const SESSION_FILE_VERSION = 1;
+
+const toHex = (bytes) => bytes.map((b) => b.toString(16).padStart(2, "0").toUpperCase()).join(" ");
+
+const defaultClock = () => globalThis.performance?.now() ?? Date.now();
+
+function createSessionRecorder({ now = defaultClock } = {}) {
+  const start = now();
+  const startedAt = new Date().toISOString();
+  const events = [];
+  return {
+    events,
+    record(dir, data) {
+      events.push({ t: now() - start, dir, data: Array.from(data) });
+    },
+    toJson() {
+      return serializeSession({ startedAt, events });
+    },
+  };
+}
+
+function serializeSession({ startedAt = null, events }) {
+  return JSON.stringify({
+    format: SESSION_FILE_FORMAT,
+    version: SESSION_FILE_VERSION,
+    startedAt,
+    events: events.map(({ t, dir, data }) => ({ t: Math.round(t * 1000) / 1000, dir, data: toHex(data) })),
+  }, null, 2) + "\n";
+}
+
+// Parse a session file; throws an Error naming the first bad field
+function parseSessionFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("not valid JSON");
+  }
+  if (!data || data.format !== SESSION_FILE_FORMAT) throw new Error(`not a ${SESSION_FILE_FORMAT} file`);
+  if (data.version !== SESSION_FILE_VERSION) throw new Error(`unsupported session version: ${data.version}`);
+  if (!Array.isArray(data.events)) throw new Error("events: must be an array");
+
+  const events = data.events.map((event, i) => {
+    const { t, dir, data: hex } = event ?? {};
+    if (typeof t !== "number" || !Number.isFinite(t) || t < 0) throw new Error(`events[${i}].t: must be a non-negative number`);
+    if (dir !== "IN" && dir !== "OUT") throw new Error(`events[${i}].dir: must be "IN" or "OUT"`);
+    const bytes = String(hex ?? "").trim().split(/\s+/).map((h) => parseInt(h, 16));
+    if (bytes.length === 0 || bytes.some((b) => Number.isNaN(b) || b < 0 || b > 0xff)) {
+      throw new Error(`events[${i}].data: not a hex byte string`);
+    }
+    return { t, dir, data: bytes };
+  });
+  return { startedAt: data.startedAt ?? null, events };
+}
+
+// Play events back at their recorded pace divided by `speed`. `deliver(event)`
+// is called for each event in order; filter with `directions`. Returns
+// { cancel(), done } where done resolves with the number of events delivered.
+function replaySession(session, deliver, { speed = 1, directions = ["IN", "OUT"], onProgress } = {}) {
+  const events = session.events.filter((event) => directions.includes(event.dir));
+  const first = events[0]?.t ?? 0;
+  let index = 0;
+  let timer = null;
+  let cancelled = false;
+  let finish;
+  const done = new Promise((resolve) => {
+    finish = resolve;
+  });
+
+  const scheduleNext = () => {
+    if (cancelled) return;
+    if (index >= events.length) {
+      finish(index);
+      return;
+    }
+    const previous = index === 0 ? first : events[index - 1].t;
+    const wait = Math.max(0, (events[index].t - previous) / speed);
+    timer = setTimeout(() => {
+      timer = null;
+      if (cancelled) return;
+      deliver(events[index]);
+      index++;
+      onProgress?.(index, events.length);
+      scheduleNext();
+    }, wait);
+  };
+  scheduleNext();
+
+  return {
+    total: events.length,
+    cancel() {
+      if (cancelled) return;
+      cancelled = true;
+      clearTimeout(timer);
+      finish(index);
+    },
+    done,
+  };
+}
+
+export {
+  SESSION_FILE_FORMAT, SESSION_FILE_VERSION,
+  createSessionRecorder, serializeSession, parseSessionFile, replaySession,
+};
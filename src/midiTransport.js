@@ -0,0 +1,123 @@
+// --- MIDI transport drivers ---
+// Every driver exposes the same small surface so the editor never touches
+// Web MIDI port objects directly:
+//
+//   transport.kind          "webmidi" | "loopback" | "websocket"
+//   transport.send(data)    send one complete MIDI message (array of bytes)
+//   transport.onmessage     set to ({ data: Uint8Array }) => void to receive
+//   transport.onclose       optional, called when the other side goes away
+//   transport.close()       stop receiving and release the underlying port/socket
+//
+// Incoming events have the same shape as a Web MIDI MIDIMessageEvent, so a
+// handler written for Web MIDI works unchanged on any driver.
+
+// Web MIDI input/output pair (or anything shaped like one, e.g. the simulator).
+// It listens with addEventListener, so several transports can share one input
+// port without replacing each other's handler.
+function createWebMidiTransport(input, output) {
+  const forward = (event) => transport.onmessage?.(event);
+  const transport = {
+    kind: "webmidi",
+    input,
+    output,
+    onmessage: null,
+    onclose: null,
+    send(data) {
+      output.send(data);
+    },
+    close() {
+      input.removeEventListener("midimessage", forward);
+      transport.onmessage = null;
+    },
+  };
+  input.addEventListener("midimessage", forward);
+  return transport;
+}
+
+// Two connected in-memory ends: whatever one end sends, the other receives.
+// Delivery is deferred to a microtask, like a real port.
+function createLoopbackPair() {
+  const makeEnd = () => ({
+    kind: "loopback",
+    peer: null,
+    closed: false,
+    onmessage: null,
+    onclose: null,
+    send(data) {
+      const peer = this.peer;
+      if (this.closed || !peer || peer.closed) return;
+      const bytes = Uint8Array.from(data);
+      queueMicrotask(() => peer.onmessage?.({ data: bytes }));
+    },
+    close() {
+      if (this.closed) return;
+      this.closed = true;
+      this.onmessage = null;
+      this.peer?.onclose?.();
+    },
+  });
+  const a = makeEnd();
+  const b = makeEnd();
+  a.peer = b;
+  b.peer = a;
+  return [a, b];
+}
+
+// A text frame holds one MIDI message as a JSON byte array
+function parseTextFrame(text) {
+  const bytes = JSON.parse(text);
+  if (!Array.isArray(bytes) || !bytes.every((b) => Number.isInteger(b) && b >= 0 && b <= 0xff)) {
+    throw new Error("expected a JSON array of bytes");
+  }
+  return Uint8Array.from(bytes);
+}
+
+// Bridge to hardware on another machine through a WebSocket server that
+// relays raw MIDI. Each binary frame carries exactly one MIDI message; text
+// frames holding a JSON byte array are accepted too. Messages sent before the
+// socket opens are queued.
+function createWebSocketTransport(url, { WebSocketImpl = globalThis.WebSocket } = {}) {
+  if (!WebSocketImpl) throw new Error("WebSocket is not available in this environment");
+  const socket = new WebSocketImpl(url);
+  socket.binaryType = "arraybuffer";
+  const pending = [];
+
+  const transport = {
+    kind: "websocket",
+    url,
+    socket,
+    onmessage: null,
+    onclose: null,
+    onerror: null,
+    send(data) {
+      const frame = Uint8Array.from(data);
+      if (socket.readyState === 1) socket.send(frame);
+      else if (socket.readyState === 0) pending.push(frame);
+    },
+    close() {
+      transport.onmessage = null;
+      socket.close();
+    },
+  };
+
+  socket.onopen = () => {
+    while (pending.length > 0) socket.send(pending.shift());
+  };
+  socket.onmessage = (event) => {
+    let data;
+    try {
+      data = typeof event.data === "string" ? parseTextFrame(event.data) : new Uint8Array(event.data);
+    } catch (err) {
+      // A bad frame from the bridge is dropped; the connection stays up
+      transport.onerror?.(new Error(`WebSocket bridge sent an unreadable frame: ${err.message}`));
+      return;
+    }
+    transport.onmessage?.({ data });
+  };
+  socket.onerror = () => transport.onerror?.(new Error(`WebSocket bridge error (${url})`));
+  socket.onclose = () => transport.onclose?.();
+
+  return transport;
+}
+
+export { createWebMidiTransport, createLoopbackPair, createWebSocketTransport };
@@ -0,0 +1,122 @@
+import {
+  LINE6_MANUFACTURER_ID, POCKET_POD_DEVICE_ID, MIDI_CHANNEL, SYSEX_START, SYSEX_END, PRESET_COUNT,
+  AMP_MODELS, CAB_MODELS, EFFECT_TYPES, DEFAULT_PARAMS,
+  buildPatchDump, parseMidiMessage, acceptsChannel,
+} from "./pocketPodProtocol";
+
+// --- Simulated Pocket POD ---
+// A stand-in for the hardware, shaped like a Web MIDI input/output
+// pair so it can be selected as a port. It keeps its own edit buffer and 124
+// stored programs, answers identity and dump requests with real-format SysEx,
+// and applies incoming CCs, program changes and patch dumps. CCs are echoed
+// back like a knob turned on the unit; program changes are not, since the
+// editor already shows the preset it asked for. Like the hardware it listens
+// on one MIDI channel (or omni) and answers SysEx for its own device ID only.
+const MOCK_PORT_ID = "simulated-pocket-pod";
+const MOCK_PORT_NAME = "Simulated Pocket POD";
+const MOCK_FIRMWARE_VERSION = "2.10";
+
+// Factory bank for the simulator: every amp, cab and effect shows up somewhere
+function buildMockPreset(number) {
+  const ampModel = number % AMP_MODELS.length;
+  return {
+    name: AMP_MODELS[ampModel].toUpperCase().slice(0, 16),
+    params: {
+      ...DEFAULT_PARAMS,
+      ampModel,
+      cabModel: number % CAB_MODELS.length,
+      effect: number % EFFECT_TYPES.length,
+      drive: (number * 37) % 128,
+    },
+  };
+}
+
+function createMockPocketPod({ replyDelay = 5, channel = MIDI_CHANNEL, deviceId = POCKET_POD_DEVICE_ID } = {}) {
+  const memory = {
+    presets: Array.from({ length: PRESET_COUNT }, (_, n) => buildMockPreset(n)),
+    editBuffer: null,
+    program: 0,
+  };
+  memory.editBuffer = { name: memory.presets[0].name, params: { ...memory.presets[0].params } };
+
+  const listeners = new Set();
+  const input = {
+    id: MOCK_PORT_ID,
+    name: MOCK_PORT_NAME,
+    type: "input",
+    state: "connected",
+    addEventListener(type, listener) {
+      if (type === "midimessage") listeners.add(listener);
+    },
+    removeEventListener(type, listener) {
+      if (type === "midimessage") listeners.delete(listener);
+    },
+  };
+
+  const reply = (data, delay = replyDelay) => {
+    setTimeout(() => listeners.forEach((listener) => listener({ data: Uint8Array.from(data) })), delay);
+  };
+
+  const storedDump = (n) =>
+    buildPatchDump(memory.presets[n].params, memory.presets[n].name, { presetNumber: n, isEditBuffer: false, deviceId });
+
+  const identityReply = () => [
+    SYSEX_START, 0x7e, 0x7f, 0x06, 0x02,
+    ...LINE6_MANUFACTURER_ID, 0x00, 0x01, 0x00, 0x01,
+    ...MOCK_FIRMWARE_VERSION.split("").map((c) => c.charCodeAt(0)),
+    SYSEX_END,
+  ];
+
+  const handle = (message) => {
+    if ((message.type === "cc" || message.type === "programChange") && !acceptsChannel(message.channel, channel)) return;
+    switch (message.type) {
+      case "identityRequest":
+        reply(identityReply());
+        break;
+      case "patchDumpRequest":
+        if (message.target === "editBuffer") {
+          reply(buildPatchDump(memory.editBuffer.params, memory.editBuffer.name, { deviceId }));
+        } else if (message.target === "program" && message.program < PRESET_COUNT) {
+          reply(storedDump(message.program));
+        } else if (message.target === "all") {
+          for (let n = 0; n < PRESET_COUNT; n++) reply(storedDump(n), replyDelay * (n + 1));
+        }
+        break;
+      case "patchDump": {
+        const { patch } = message;
+        if (!patch) break;
+        const stored = { name: patch.name, params: { ...DEFAULT_PARAMS, ...patch.params } };
+        if (patch.isEditBuffer) memory.editBuffer = stored;
+        else if (patch.presetNumber < PRESET_COUNT) memory.presets[patch.presetNumber] = stored;
+        break;
+      }
+      case "cc":
+        if (message.param) memory.editBuffer.params[message.param] = message.paramValue;
+        reply(message.data);
+        break;
+      case "programChange":
+        if (message.program < PRESET_COUNT) {
+          const preset = memory.presets[message.program];
+          memory.program = message.program;
+          memory.editBuffer = { name: preset.name, params: { ...preset.params } };
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  const output = {
+    id: MOCK_PORT_ID,
+    name: MOCK_PORT_NAME,
+    type: "output",
+    state: "connected",
+    send(data) {
+      handle(parseMidiMessage(data, { deviceId }));
+    },
+  };
+
+  return { input, output, memory, channel, deviceId };
+}
+
+export { createMockPocketPod, MOCK_PORT_ID, MOCK_PORT_NAME };
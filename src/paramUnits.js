@@ -0,0 +1,138 @@
+// --- Parameter display units ---
+// Knobs show raw CC values on a generic 0-10 scale unless the param has a unit
+// spec here. A spec converts between the 0-127 CC value and a real-world amount:
+//
+//   { unit: "dB", decimals: 1, signed: true, toUnits(value), fromUnits(amount) }
+//
+// Exponential specs give significant digits (precision) instead of decimals,
+// so the low end of a sweep keeps its resolution.
+//
+// The POD's own curves are not published; the ranges below follow the Line 6
+// manuals and are meant for orientation, not measurement.
+import { COMP_RATIO_LABELS } from "./pocketPodProtocol";
+
+const CC_MAX = 127;
+
+const EQ_RANGE_DB = 12;
+const GATE_RANGE_DB = 96;
+const WAH_RANGE_HZ = [350, 2200];
+const MOD_SPEED_RANGE_HZ = [0.1, 10];
+
+// Delay time is a 14-bit value: delay_time is the MSB, delay_time_fine the LSB
+const DELAY_TIME_MAX_MS = 3150;
+const DELAY_TIME_STEPS = (1 << 14) - 1;
+
+// Exponential sweep between lo and hi, as frequency controls are heard
+function exponentialSpec(unit, [lo, hi]) {
+  return {
+    unit,
+    precision: 3,
+    toUnits: (value) => lo * (hi / lo) ** (value / CC_MAX),
+    fromUnits: (amount) => (amount > 0 ? (CC_MAX * Math.log(amount / lo)) / Math.log(hi / lo) : 0),
+  };
+}
+
+// EQ is flat at the 64 detent
+const EQ_DB = {
+  unit: "dB",
+  decimals: 1,
+  signed: true,
+  toUnits: (value) => ((value - 64) / (value <= 64 ? 64 : 63)) * EQ_RANGE_DB,
+  fromUnits: (db) => 64 + (db / EQ_RANGE_DB) * (db <= 0 ? 64 : 63),
+};
+
+const GATE_THRESHOLD_DB = {
+  unit: "dB",
+  decimals: 1,
+  toUnits: (value) => -(value / CC_MAX) * GATE_RANGE_DB,
+  fromUnits: (db) => (-db / GATE_RANGE_DB) * CC_MAX,
+};
+
+const WAH_FREQUENCY_HZ = exponentialSpec("Hz", WAH_RANGE_HZ);
+
+// Effect Speed of the modulation effects; for the compressor and swell it is a ratio or attack
+const MOD_SPEED_HZ = exponentialSpec("Hz", MOD_SPEED_RANGE_HZ);
+const MOD_SPEED_CATEGORIES = new Set(["chorus", "flanger", "rotary", "tremolo"]);
+
+const PARAM_UNITS = {
+  bass: EQ_DB,
+  mid: EQ_DB,
+  treble: EQ_DB,
+  noise_gate: GATE_THRESHOLD_DB,
+  wah_bottom: WAH_FREQUENCY_HZ,
+  wah_top: WAH_FREQUENCY_HZ,
+};
+
+const clampValue = (value) => (Number.isNaN(value) ? 0 : Math.min(CC_MAX, Math.max(0, Math.round(value))));
+
+function formatUnits(spec, value) {
+  const amount = spec.toUnits(value);
+  if (spec.precision) {
+    return amount >= 1000 && spec.unit === "Hz"
+      ? `${(amount / 1000).toPrecision(spec.precision)} kHz`
+      : `${amount.toPrecision(spec.precision)} ${spec.unit}`;
+  }
+  const text = amount.toFixed(spec.decimals);
+  const sign = spec.signed && Number(text) > 0 ? "+" : "";
+  return `${sign}${Number(text) === 0 ? (0).toFixed(spec.decimals) : text} ${spec.unit}`;
+}
+
+// A typed number, optionally followed by the unit ("-6", "-6 dB", "1.2 kHz").
+// Null when the text isn't a number or names another unit.
+function parseAmount(text, unit) {
+  const match = /^\s*([+-]?(?:\d+\.?\d*|\.\d+))\s*(k?)([a-z]*)\s*$/i.exec(String(text));
+  if (!match) return null;
+  const [, number, kilo, suffix] = match;
+  if (suffix && suffix.toLowerCase() !== unit.toLowerCase()) return null;
+  if (kilo && unit !== "Hz") return null;
+  return Number(number) * (kilo ? 1000 : 1);
+}
+
+// An amount in the spec's units -> CC value, clamped to 0-127
+function toValue(spec, amount) {
+  return clampValue(spec.fromUnits(amount));
+}
+
+// Typed entry in the spec's units -> CC value
+function parseUnits(spec, text) {
+  const amount = parseAmount(text, spec.unit);
+  return amount === null ? null : toValue(spec, amount);
+}
+
+// Typed entry on the generic 0-10 scale
+function parseScale(text, max = CC_MAX) {
+  const amount = parseAmount(text, "");
+  return amount === null ? null : Math.min(max, Math.max(0, Math.round((amount / 10) * max)));
+}
+
+// "3:1", "3" or "off" -> a value inside that compressor ratio band
+function parseCompRatio(text) {
+  const wanted = String(text).trim().toLowerCase().replace(/^inf/, "\u221E").replace(/:1$/, "");
+  const band = COMP_RATIO_LABELS.find(({ label }) => label.toLowerCase().replace(/:1$/, "") === wanted);
+  return band ? band.max : null;
+}
+
+function delayTimeMs(coarse, fine) {
+  return Math.round((((coarse << 7) | fine) / DELAY_TIME_STEPS) * DELAY_TIME_MAX_MS);
+}
+
+// Milliseconds -> the coarse/fine pair, clamped to the POD's range
+function delayTimeFromMs(ms) {
+  const steps = Math.min(DELAY_TIME_STEPS, Math.max(0, Math.round((ms / DELAY_TIME_MAX_MS) * DELAY_TIME_STEPS)));
+  return { delay_time: steps >> 7, delay_time_fine: steps & 0x7f };
+}
+
+// What the fine knob adds on top of the coarse setting
+function delayFineMs(fine) {
+  return (fine / DELAY_TIME_STEPS) * DELAY_TIME_MAX_MS;
+}
+
+function delayFineFromMs(ms) {
+  return clampValue((ms / DELAY_TIME_MAX_MS) * DELAY_TIME_STEPS);
+}
+
+export {
+  PARAM_UNITS, MOD_SPEED_HZ, MOD_SPEED_CATEGORIES, DELAY_TIME_MAX_MS,
+  formatUnits, toValue, parseAmount, parseUnits, parseScale, parseCompRatio,
+  delayTimeMs, delayTimeFromMs, delayFineMs, delayFineFromMs,
+};
@@ -0,0 +1,817 @@
+// --- Pocket POD protocol ---
+// Framework-free description of the Line 6 Pocket POD MIDI implementation:
+// constants, parameter/CC tables, effect routing, patch dump encoding and a
+// typed parser for incoming messages. No React and no browser APIs, so it runs
+// in the editor, in tests and from Node scripts alike.
+
+// --- Line 6 Pocket POD Protocol Constants ---
+const LINE6_MANUFACTURER_ID = [0x00, 0x01, 0x0c];
+const POCKET_POD_DEVICE_ID = 0x01;
+const MIDI_CHANNEL = 0; // Channel 1 (0-indexed)
+// Channel setting that accepts channel messages on any channel (sends on MIDI_CHANNEL)
+const MIDI_CHANNEL_OMNI = "omni";
+
+const SYSEX_START = 0xf0;
+const SYSEX_END = 0xf7;
+
+// SysEx opcodes
+const OPCODE_PATCH_DUMP_REQUEST = 0x00;
+const OPCODE_PATCH_DUMP = 0x01;
+
+// Universal Device Identity
+const IDENTITY_REQUEST = [0xf0, 0x7e, 0x7f, 0x06, 0x01, 0xf7];
+
+// Request current edit buffer: opcode [0x00, 0x01]
+const REQUEST_EDIT_BUFFER = [
+  SYSEX_START,
+  ...LINE6_MANUFACTURER_ID,
+  POCKET_POD_DEVICE_ID,
+  OPCODE_PATCH_DUMP_REQUEST,
+  0x01, // edit buffer
+  SYSEX_END,
+];
+
+// Request all 124 presets: opcode [0x00, 0x02]
+const REQUEST_ALL_PRESETS = [
+  SYSEX_START,
+  ...LINE6_MANUFACTURER_ID,
+  POCKET_POD_DEVICE_ID,
+  OPCODE_PATCH_DUMP_REQUEST,
+  0x02, // dump all programs
+  SYSEX_END,
+];
+
+const PRESET_COUNT = 124;
+
+// Request a single stored program: opcode [0x00, 0x00, <program#>]
+function buildPresetRequest(presetNumber, deviceId = POCKET_POD_DEVICE_ID) {
+  return [
+    SYSEX_START,
+    ...LINE6_MANUFACTURER_ID,
+    deviceId,
+    OPCODE_PATCH_DUMP_REQUEST,
+    0x00, // single program
+    presetNumber,
+    SYSEX_END,
+  ];
+}
+
+// REQUEST_EDIT_BUFFER / REQUEST_ALL_PRESETS for a unit on another device ID
+function buildEditBufferRequest(deviceId = POCKET_POD_DEVICE_ID) {
+  return REQUEST_EDIT_BUFFER.map((b, i) => (i === 4 ? deviceId : b));
+}
+
+function buildAllPresetsRequest(deviceId = POCKET_POD_DEVICE_ID) {
+  return REQUEST_ALL_PRESETS.map((b, i) => (i === 4 ? deviceId : b));
+}
+
+// MIDI CC definitions for Pocket POD parameters
+const MIDI_CC_MAP = {
+  // Preamp
+  ampModel: { cc: 12, name: "Amp Model", min: 0, max: 31 },
+  drive: { cc: 13, name: "Drive", min: 0, max: 127 },
+  bass: { cc: 14, name: "Bass", min: 0, max: 127 },
+  mid: { cc: 15, name: "Mid", min: 0, max: 127 },
+  treble: { cc: 16, name: "Treble", min: 0, max: 127 },
+  chanVol: { cc: 17, name: "Chan Vol", min: 0, max: 127 },
+  drive2: { cc: 20, name: "Drive 2", min: 0, max: 127 },
+  presence: { cc: 21, name: "Presence", min: 0, max: 127 },
+  // Reverb
+  reverb_level: { cc: 18, name: "Reverb Level", min: 0, max: 127 },
+  reverb_type: { cc: 37, name: "Reverb Type", min: 0, max: 1 },
+  reverb_decay: { cc: 38, name: "Reverb Decay", min: 0, max: 127 },
+  reverb_tone: { cc: 39, name: "Reverb Tone", min: 0, max: 127 },
+  reverb_diffusion: { cc: 40, name: "Reverb Diffusion", min: 0, max: 127 },
+  reverb_density: { cc: 41, name: "Reverb Density", min: 0, max: 127 },
+  // FX config
+  effect: { cc: 19, name: "Effect Type", min: 0, max: 15 },
+  effect_tweak: { cc: 1, name: "Effect Tweak", min: 0, max: 127 },
+  effect_speed: { cc: 51, name: "Effect Speed", min: 0, max: 127 },
+  effect_depth: { cc: 52, name: "Effect Depth", min: 0, max: 127 },
+  effect_feedback: { cc: 53, name: "Effect Feedback", min: 0, max: 127 },
+  effect_predelay: { cc: 54, name: "Effect Pre-Delay", min: 0, max: 127 },
+  // Noise gate
+  noise_gate: { cc: 23, name: "Noise Gate Thresh", min: 0, max: 127 },
+  noise_gate_decay: { cc: 24, name: "Noise Gate Decay", min: 0, max: 127 },
+  // Delay
+  delay_time: { cc: 30, name: "Delay Time", min: 0, max: 127 },
+  delay_time_fine: { cc: 62, name: "Delay Fine", min: 0, max: 127 },
+  delay_feedback: { cc: 32, name: "Delay Feedback", min: 0, max: 127 },
+  delay_level: { cc: 34, name: "Delay Level", min: 0, max: 127 },
+  // Cabinet
+  cabModel: { cc: 71, name: "Cab Model", min: 0, max: 15 },
+  air: { cc: 72, name: "Air", min: 0, max: 127 },
+  // Wah
+  wah_position: { cc: 4, name: "Wah Position", min: 0, max: 127 },
+  wah_bottom: { cc: 44, name: "Wah Bot Freq", min: 0, max: 127 },
+  wah_top: { cc: 45, name: "Wah Top Freq", min: 0, max: 127 },
+  // Volume pedal
+  vol_level: { cc: 7, name: "Volume Level", min: 0, max: 127 },
+  vol_min: { cc: 46, name: "Volume Min", min: 0, max: 127 },
+  vol_position: { cc: 47, name: "Volume Position", min: 0, max: 127 },
+  // Switches (toggle: CC sends 0 or 127)
+  dist_enable: { cc: 25, name: "Dist Enable", min: 0, max: 1 },
+  drive_enable: { cc: 26, name: "Drive Enable", min: 0, max: 1 },
+  eq_enable: { cc: 27, name: "EQ Enable", min: 0, max: 1 },
+  delay_enable: { cc: 28, name: "Delay Enable", min: 0, max: 1 },
+  reverb_enable: { cc: 36, name: "Reverb Enable", min: 0, max: 1 },
+  noise_gate_enable: { cc: 22, name: "Noise Gate Enable", min: 0, max: 1 },
+  mod_fx_enable: { cc: 50, name: "Mod FX Enable", min: 0, max: 1 },
+  bright_switch: { cc: 73, name: "Bright Switch", min: 0, max: 1 },
+};
+
+// Amp model names (32 models, indexed 0-31 matching CC 12 values)
+const AMP_MODELS = [
+  "Tube Preamp",          // 0
+  "Line 6 Clean",         // 1
+  "Line 6 Crunch",        // 2
+  "Line 6 Drive",         // 3
+  "Line 6 Layer",         // 4
+  "Small Tweed",          // 5
+  "Tweed Blues",           // 6
+  "Black Panel",           // 7
+  "Modern Class A",        // 8
+  "Brit Class A",          // 9
+  "Brit Blues",            // 10
+  "Brit Classic",          // 11
+  "Brit Hi Gain",          // 12
+  "Treadplate",            // 13
+  "Modern Hi Gain",        // 14
+  "Fuzz Box",              // 15
+  "Jazz Clean",            // 16
+  "Boutique #1",           // 17
+  "Boutique #2",           // 18
+  "Brit Class A #2",       // 19
+  "Brit Class A #3",       // 20
+  "Small Tweed #2",        // 21
+  "Black Panel #2",        // 22
+  "Boutique #3",           // 23
+  "California Crunch #1",  // 24
+  "California Crunch #2",  // 25
+  "Treadplate #2",         // 26
+  "Modern Hi Gain #2",     // 27
+  "Line 6 Twang",          // 28
+  "Line 6 Crunch #2",      // 29
+  "Line 6 Blues",           // 30
+  "Line 6 INSANE",         // 31
+];
+
+// Cabinet model names (16 models, indexed 0-15 matching CC 71 values)
+const CAB_MODELS = [
+  "1x8 '60 Fender Tweed Champ",                      // 0
+  "1x12 '52 Fender Tweed Deluxe",                     // 1
+  "1x12 '60 Vox AC15",                                // 2
+  "1x12 '64 Fender Blackface Deluxe",                 // 3
+  "1x12 '98 Line 6 Flextone",                         // 4
+  "2x12 '65 Fender Blackface Twin",                   // 5
+  "2x12 '67 VOX AC30",                                // 6
+  "2x12 '95 Matchless Chieftain",                     // 7
+  "2x12 '98 Pod Custom 2x12",                         // 8
+  "4x10 '59 Fender Bassman",                          // 9
+  "4x10 '98 Pod Custom 4x10",                         // 10
+  "4x12 '96 Marshall w/ V30s",                        // 11
+  "4x12 '78 Marshall w/ 70s",                         // 12
+  "4x12 '97 Marshall Basketweave w/ Greenbacks",      // 13
+  "4x12 '98 Pod Custom 4x12",                         // 14
+  "No Cabinet",                                        // 15
+];
+
+// Effect type names (16 types, indexed 0-15 matching CC 19 values)
+const EFFECT_TYPES = [
+  "Chorus 2",         // 0
+  "Flanger 1",        // 1
+  "Rotary",           // 2
+  "Flanger 2",        // 3
+  "Delay/Chorus 1",   // 4
+  "Delay/Tremolo",    // 5
+  "Delay",            // 6
+  "Delay/Comp",       // 7
+  "Chorus 1",         // 8
+  "Tremolo",          // 9
+  "Bypass",           // 10
+  "Compressor",       // 11
+  "Delay/Chorus 2",   // 12
+  "Delay/Flanger 1",  // 13
+  "Delay/Swell",      // 14
+  "Delay/Flanger 2",  // 15
+];
+
+// --- Effect Category Mapping ---
+const EFFECT_CATEGORIES = {
+  0: 'chorus', 1: 'flanger', 2: 'rotary', 3: 'flanger',
+  4: 'chorus', 5: 'tremolo', 6: 'delay_only', 7: 'compressor',
+  8: 'chorus', 9: 'tremolo', 10: 'bypass', 11: 'compressor',
+  12: 'chorus', 13: 'flanger', 14: 'swell', 15: 'flanger',
+};
+
+const DELAY_EFFECTS = new Set([4, 5, 6, 7, 12, 13, 14, 15]);
+
+const EFFECT_KNOB_CONFIGS = {
+  chorus:     [{ stateKey: 'effect_speed', cc: 51, label: 'Speed' }, { stateKey: 'effect_depth', cc: 52, label: 'Depth' }, { stateKey: 'effect_feedback', cc: 53, label: 'Feedback' }, { stateKey: 'effect_predelay', cc: 54, label: 'Pre-Delay' }],
+  flanger:    [{ stateKey: 'effect_speed', cc: 51, label: 'Speed' }, { stateKey: 'effect_depth', cc: 52, label: 'Depth' }, { stateKey: 'effect_feedback', cc: 53, label: 'Feedback' }, { stateKey: 'effect_predelay', cc: 54, label: 'Pre-Delay' }],
+  rotary:     [{ stateKey: 'effect_speed', cc: 55, label: 'Speed' }, { stateKey: 'effect_depth', cc: 56, label: 'Doppler' }],
+  tremolo:    [{ stateKey: 'effect_speed', cc: 58, label: 'Speed' }, { stateKey: 'effect_depth', cc: 59, label: 'Depth' }],
+  compressor: [{ stateKey: 'effect_speed', cc: 42, label: 'Ratio' }],
+  swell:      [{ stateKey: 'effect_speed', cc: 49, label: 'Attack' }],
+  bypass:     [],
+  delay_only: [],
+};
+
+const EFFECT_SPECIFIC_PARAMS = new Set(['effect_speed', 'effect_depth', 'effect_feedback', 'effect_predelay']);
+
+const EFFECT_CC_REVERSE_MAP = {};
+for (const config of Object.values(EFFECT_KNOB_CONFIGS)) {
+  for (const { stateKey, cc } of config) {
+    EFFECT_CC_REVERSE_MAP[cc] = stateKey;
+  }
+}
+
+function getEffectCC(stateKey, effectType) {
+  const category = EFFECT_CATEGORIES[effectType];
+  const config = EFFECT_KNOB_CONFIGS[category];
+  if (!config) return null;
+  const knob = config.find(k => k.stateKey === stateKey);
+  return knob ? knob.cc : null;
+}
+
+const COMP_RATIO_LABELS = [
+  { max: 21, label: 'Off' }, { max: 42, label: '1.4:1' },
+  { max: 64, label: '2:1' }, { max: 85, label: '3:1' },
+  { max: 107, label: '6:1' }, { max: 127, label: '\u221E:1' },
+];
+
+function formatCompRatio(value) {
+  for (const { max, label } of COMP_RATIO_LABELS) {
+    if (value <= max) return label;
+  }
+  return '\u221E:1';
+}
+
+// Patch data byte offset -> params state key mapping
+// These are the 71 decoded bytes from the nibblized SysEx payload
+const PATCH_PARAM_MAP = {
+  // Switches (positions 0-7)
+  0: 'dist_enable',
+  1: 'drive_enable',
+  2: 'eq_enable',
+  3: 'delay_enable',
+  4: 'mod_fx_enable',
+  5: 'reverb_enable',
+  6: 'noise_gate_enable',
+  7: 'bright_switch',
+  // Preamp (positions 8-15)
+  8: 'ampModel',
+  9: 'drive',
+  10: 'drive2',
+  11: 'bass',
+  12: 'mid',
+  13: 'treble',
+  14: 'presence',
+  15: 'chanVol',
+  // Noise gate (positions 16-17)
+  16: 'noise_gate',
+  17: 'noise_gate_decay',
+  // Wah (positions 18-20)
+  18: 'wah_position',
+  19: 'wah_bottom',
+  20: 'wah_top',
+  // Volume pedal (positions 22-24)
+  22: 'vol_level',
+  23: 'vol_min',
+  24: 'vol_position',
+  // Delay (positions 26, 27, 34, 36)
+  26: 'delay_time',
+  27: 'delay_time_fine',
+  34: 'delay_feedback',
+  36: 'delay_level',
+  // Reverb (positions 38-43)
+  38: 'reverb_type',
+  39: 'reverb_decay',
+  40: 'reverb_tone',
+  41: 'reverb_diffusion',
+  42: 'reverb_density',
+  43: 'reverb_level',
+  // Cabinet (positions 44-45)
+  44: 'cabModel',
+  45: 'air',
+  // FX config (positions 46-47)
+  46: 'effect',
+  47: 'effect_tweak',
+  // Shared effect params (positions 48-54)
+  48: 'effect_speed',
+  50: 'effect_depth',
+  52: 'effect_feedback',
+  53: 'effect_predelay',
+};
+
+// Params that use select/enum values (value used as-is from patch data)
+const PATCH_SELECT_PARAMS = new Set([
+  'dist_enable', 'drive_enable', 'eq_enable', 'delay_enable',
+  'mod_fx_enable', 'reverb_enable', 'noise_gate_enable', 'bright_switch',
+  'ampModel', 'cabModel', 'effect', 'reverb_type',
+]);
+
+// --- Nibble decode utility ---
+function decodeNibbles(data) {
+  const bytes = [];
+  for (let i = 0; i < data.length - 1; i += 2) {
+    bytes.push((data[i] << 4) | data[i + 1]);
+  }
+  return bytes;
+}
+
+function decodePatchName(nibbles) {
+  const bytes = decodeNibbles(nibbles);
+  return bytes
+    .map((b) => String.fromCharCode(b))
+    .join("")
+    .trim();
+}
+
+// --- Nibble encode utility (inverse of decodeNibbles) ---
+function encodeNibbles(bytes) {
+  const nibbles = [];
+  for (const byte of bytes) {
+    nibbles.push((byte >> 4) & 0x0f);
+    nibbles.push(byte & 0x0f);
+  }
+  return nibbles;
+}
+
+// Encode a preset name as 16 space-padded ASCII chars, nibblized
+function encodePatchName(name) {
+  const chars = String(name ?? "").slice(0, 16).split("");
+  const bytes = chars.map((c) => {
+    const code = c.charCodeAt(0);
+    // Keep printable 7-bit ASCII only; the POD display can't show anything else
+    return code >= 0x20 && code < 0x7f ? code : 0x20;
+  });
+  while (bytes.length < 16) bytes.push(0x20);
+  return encodeNibbles(bytes);
+}
+
+// Parse a full SysEx patch dump into { name, params, presetNumber, isEditBuffer, version, rawData }
+function parsePatchDump(data) {
+  // Header: F0 00 01 0C 01 01 <type> ...
+  // type 0x00 = stored preset: F0 00 01 0C 01 01 00 <program#> <version> <142 nibblized> F7
+  // type 0x01 = edit buffer:   F0 00 01 0C 01 01 01 <version> <142 nibblized> F7
+  const isEditBuffer = data[6] === 0x01;
+  let presetNumber = null;
+  let version;
+  let nibbleStart;
+
+  if (isEditBuffer) {
+    // data[7] = version, nibblized data starts at index 8
+    version = data[7];
+    nibbleStart = 8;
+  } else {
+    // data[6] = 0x00 (stored), data[7] = program#, data[8] = version
+    presetNumber = data[7];
+    version = data[8];
+    nibbleStart = 9;
+  }
+
+  // Extract 142 nibblized bytes (71 decoded bytes)
+  const nibblizedPayload = data.slice(nibbleStart, nibbleStart + 142);
+  if (nibblizedPayload.length < 142) {
+    console.warn("Patch dump too short:", nibblizedPayload.length, "nibbles");
+    return null;
+  }
+
+  const decoded = decodeNibbles(nibblizedPayload);
+
+  // Extract preset name from bytes 55-70 (16 ASCII chars)
+  const nameBytes = decoded.slice(55, 71);
+  const name = nameBytes.map((b) => String.fromCharCode(b)).join("").trim();
+
+  // Map byte offsets to param values
+  // Decoded nibble bytes are already in the correct 0-127 range (no scaling needed)
+  const params = {};
+  for (const [offset, key] of Object.entries(PATCH_PARAM_MAP)) {
+    const byteIdx = Number(offset);
+    const rawValue = decoded[byteIdx];
+    params[key] = rawValue;
+  }
+
+  // rawData keeps all 71 decoded bytes so unmapped ones survive a rebuild
+  return { name, params, presetNumber, isEditBuffer, version, rawData: decoded };
+}
+
+// Build a full SysEx patch dump from params + name (inverse of parsePatchDump).
+// Bytes not covered by PATCH_PARAM_MAP (21, 25, 28-33, 35, 37, 49, 51, 54) are
+// copied from rawData when given, so a parsed dump round-trips byte for byte.
+function buildPatchDump(params, name, {
+  presetNumber = 0, isEditBuffer = true, version = 0, rawData = null, deviceId = POCKET_POD_DEVICE_ID,
+} = {}) {
+  const decoded = new Array(55).fill(0);
+  if (rawData) {
+    for (let i = 0; i < 55 && i < rawData.length; i++) decoded[i] = rawData[i] & 0xff;
+  }
+
+  for (const [offset, key] of Object.entries(PATCH_PARAM_MAP)) {
+    const value = params[key];
+    if (typeof value === "number") decoded[Number(offset)] = value & 0xff;
+  }
+
+  // Header: F0 00 01 0C 01 01 <type> ...
+  const header = [SYSEX_START, ...LINE6_MANUFACTURER_ID, deviceId, OPCODE_PATCH_DUMP];
+  const meta = isEditBuffer ? [0x01, version] : [0x00, presetNumber, version];
+
+  return [...header, ...meta, ...encodeNibbles(decoded), ...encodePatchName(name), SYSEX_END];
+}
+
+// True for a Line 6 Pocket POD patch dump message (opcode 0x01) from the given device ID
+function isPatchDump(data, deviceId = POCKET_POD_DEVICE_ID) {
+  return (
+    data[0] === SYSEX_START &&
+    data[1] === LINE6_MANUFACTURER_ID[0] &&
+    data[2] === LINE6_MANUFACTURER_ID[1] &&
+    data[3] === LINE6_MANUFACTURER_ID[2] &&
+    data[4] === deviceId &&
+    data[5] === OPCODE_PATCH_DUMP
+  );
+}
+
+// --- .syx file helpers ---
+// Split a raw .syx byte stream into F0...F7 messages. Bytes outside a message
+// and messages cut short by a new F0 are dropped.
+function splitSysEx(bytes) {
+  const messages = [];
+  let current = null;
+  for (const byte of bytes) {
+    if (byte === SYSEX_START) {
+      current = [byte];
+    } else if (current) {
+      current.push(byte);
+      if (byte === SYSEX_END) {
+        messages.push(current);
+        current = null;
+      }
+    }
+  }
+  return messages;
+}
+
+// Concatenate stored-program dumps for a whole library, in slot order
+function buildBankSysEx(presets) {
+  return [...presets]
+    .sort((a, b) => a.number - b.number)
+    .flatMap((preset) => buildPatchDump(preset.params, preset.name, {
+      isEditBuffer: false,
+      presetNumber: preset.number,
+      version: preset.version || 0,
+      rawData: preset.rawData || null,
+    }));
+}
+
+// Compare a patch we wrote with the one read back from the device.
+// Returns the mismatched param keys (plus "name"), empty when they match.
+function findPatchMismatches(expected, actual) {
+  const mismatches = [];
+  if (decodePatchName(encodePatchName(expected.name)) !== actual.name) {
+    mismatches.push("name");
+  }
+  for (const key of Object.values(PATCH_PARAM_MAP)) {
+    if ((expected.params[key] & 0xff) !== actual.params[key]) mismatches.push(key);
+  }
+  return mismatches;
+}
+
+// --- Param diff ---
+// Select-type params shown by name instead of raw index
+const PARAM_VALUE_LABELS = {
+  ampModel: AMP_MODELS,
+  cabModel: CAB_MODELS,
+  effect: EFFECT_TYPES,
+  reverb_type: ["Room", "Spring"],
+};
+
+function formatParamValue(key, value) {
+  if (value === undefined || value === null) return "\u2014";
+  const labels = PARAM_VALUE_LABELS[key];
+  if (labels) return labels[value] ?? String(value);
+  if (key === "vol_position") return value < 64 ? "Pre-amp" : "Post-amp";
+  if (MIDI_CC_MAP[key]?.max === 1) return value ? "On" : "Off";
+  return String(value);
+}
+
+// Keys whose values differ between two params objects -> [{ key, from, to }]
+function diffParams(from, to) {
+  const keys = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+  return keys
+    .filter((key) => from[key] !== to[key])
+    .map((key) => ({ key, from: from[key], to: to[key] }));
+}
+
+const DEFAULT_PARAMS = {
+  ampModel: 0, drive: 64, drive2: 0, bass: 64, mid: 64, treble: 64,
+  chanVol: 100, presence: 64, reverb_level: 40, reverb_type: 0,
+  reverb_decay: 64, reverb_tone: 64, reverb_diffusion: 64, reverb_density: 64,
+  effect: 0, effect_tweak: 64, effect_speed: 64, effect_depth: 64,
+  effect_feedback: 0, effect_predelay: 0, noise_gate: 0, noise_gate_decay: 64,
+  delay_time: 40, delay_time_fine: 0, delay_feedback: 30, delay_level: 50,
+  cabModel: 0, air: 0, wah_position: 0, wah_bottom: 0, wah_top: 127,
+  vol_level: 100, vol_min: 0, vol_position: 127,
+  dist_enable: 0, drive_enable: 0, eq_enable: 0, delay_enable: 0,
+  reverb_enable: 0, noise_gate_enable: 0, mod_fx_enable: 0, bright_switch: 0,
+};
+
+const DEFAULT_TONE_NOTES = {
+  song: "", guitarist: "", band: "", notes: "", author: "", pickup: "", style: "",
+};
+
+// --- JSON patch file format ---
+// A patch file is a single JSON object:
+//
+//   {
+//     "format": "pod-studio-patch",     // fixed identifier
+//     "version": 1,                     // PATCH_FILE_VERSION, bumped on breaking changes
+//     "name": "CRUNCH",                 // patch name, truncated to 16 chars on the device
+//     "params": { "ampModel": 2, ... }, // MIDI_CC_MAP keys, integers within [min, max]
+//     "toneNotes": { "song": "", ... }  // DEFAULT_TONE_NOTES keys, strings
+//   }
+//
+// Missing params/notes keep their current values when loaded. Files with an
+// unknown format or a newer version are rejected; bad fields are reported and skipped.
+const PATCH_FILE_FORMAT = "pod-studio-patch";
+const PATCH_FILE_VERSION = 1;
+
+function serializePatchFile({ name, params, toneNotes }) {
+  const fileParams = {};
+  for (const key of Object.keys(MIDI_CC_MAP)) {
+    if (typeof params[key] === "number") fileParams[key] = params[key];
+  }
+  const fileNotes = {};
+  for (const key of Object.keys(DEFAULT_TONE_NOTES)) {
+    fileNotes[key] = toneNotes?.[key] ?? "";
+  }
+  return JSON.stringify({
+    format: PATCH_FILE_FORMAT,
+    version: PATCH_FILE_VERSION,
+    name: name ?? "",
+    params: fileParams,
+    toneNotes: fileNotes,
+  }, null, 2);
+}
+
+// Keep only known params with integer values inside their MIDI_CC_MAP range.
+// Returns { params, errors } with one "params.<key>: ..." message per rejected field.
+function validatePatchParams(params) {
+  const valid = {};
+  const errors = [];
+  if (!params || typeof params !== "object" || Array.isArray(params)) {
+    return { params: valid, errors: ["params: must be an object"] };
+  }
+  for (const [key, value] of Object.entries(params)) {
+    const def = MIDI_CC_MAP[key];
+    if (!def) {
+      errors.push(`params.${key}: unknown parameter`);
+    } else if (!Number.isInteger(value) || value < def.min || value > def.max) {
+      errors.push(`params.${key}: ${JSON.stringify(value)} is outside ${def.min}-${def.max}`);
+    } else {
+      valid[key] = value;
+    }
+  }
+  return { params: valid, errors };
+}
+
+// Parse and validate a patch file. Returns { patch, errors }; patch is null when
+// the file can't be used at all, otherwise it holds only the fields that passed.
+function parsePatchFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { patch: null, errors: [`Not valid JSON: ${err.message}`] };
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data) || data.format !== PATCH_FILE_FORMAT) {
+    return { patch: null, errors: [`Not a ${PATCH_FILE_FORMAT} file`] };
+  }
+  if (!Number.isInteger(data.version) || data.version < 1 || data.version > PATCH_FILE_VERSION) {
+    return { patch: null, errors: [`Unsupported patch file version: ${data.version}`] };
+  }
+
+  const errors = [];
+  const patch = { name: "", params: {}, toneNotes: {} };
+
+  if (typeof data.name === "string") patch.name = data.name;
+  else if (data.name !== undefined) errors.push("name: must be a string");
+
+  const validated = validatePatchParams(data.params ?? {});
+  patch.params = validated.params;
+  errors.push(...validated.errors);
+
+  const toneNotes = data.toneNotes ?? {};
+  if (typeof toneNotes !== "object" || Array.isArray(toneNotes)) {
+    errors.push("toneNotes: must be an object");
+  } else {
+    for (const [key, value] of Object.entries(toneNotes)) {
+      if (!(key in DEFAULT_TONE_NOTES)) {
+        errors.push(`toneNotes.${key}: unknown field`);
+      } else if (typeof value !== "string") {
+        errors.push(`toneNotes.${key}: must be a string`);
+      } else {
+        patch.toneNotes[key] = value;
+      }
+    }
+  }
+
+  return { patch, errors };
+}
+
+// --- Channel messages ---
+function buildControlChange(cc, value, channel = MIDI_CHANNEL) {
+  return [0xb0 | channel, cc, value];
+}
+
+function buildProgramChange(program, channel = MIDI_CHANNEL) {
+  return [0xc0 | channel, program];
+}
+
+// Channel settings are 0-15 or MIDI_CHANNEL_OMNI
+function acceptsChannel(channel, setting) {
+  return setting === MIDI_CHANNEL_OMNI || channel === setting;
+}
+
+function outputChannel(setting) {
+  return setting === MIDI_CHANNEL_OMNI ? MIDI_CHANNEL : setting;
+}
+
+// State key for an incoming CC: effect-specific CCs first (42, 49, 55, 56, 58, 59),
+// then the general CC map. Toggle params are reported as 0/1.
+function resolveControlChange(cc, value) {
+  const effectKey = EFFECT_CC_REVERSE_MAP[cc];
+  if (effectKey) return { param: effectKey, paramValue: value };
+  for (const [key, def] of Object.entries(MIDI_CC_MAP)) {
+    if (def.cc === cc) {
+      return { param: key, paramValue: def.max === 1 ? (value >= 64 ? 1 : 0) : value };
+    }
+  }
+  return { param: null, paramValue: value };
+}
+
+// --- Typed message parser ---
+// Turns one raw MIDI message into a tagged object:
+//
+//   { type: "cc", channel, cc, value, param, paramValue }   param null when unmapped
+//   { type: "programChange", channel, program }
+//   { type: "noteOn", channel, note, velocity }   velocity > 0 (a note on with 0 is a note off)
+//   { type: "identityRequest" }
+//   { type: "identityReply", manufacturer, family, member, version }   ids as "00 01 0c" hex strings
+//   { type: "patchDumpRequest", target: "editBuffer" | "program" | "all", program }
+//   { type: "patchDump", patch }   patch from parsePatchDump, null when truncated
+//   { type: "sysex" }              any other SysEx
+//   { type: "unknown" }
+//
+// Every result also carries the original bytes as `data`. Line 6 SysEx addressed
+// to a device ID other than `deviceId` comes back as plain "sysex".
+function toHexId(bytes) {
+  return bytes.map((b) => b.toString(16).padStart(2, "0")).join(" ");
+}
+
+function parseMidiMessage(message, { deviceId = POCKET_POD_DEVICE_ID } = {}) {
+  const data = Array.from(message);
+  const status = data[0] & 0xf0;
+
+  if (data[0] === SYSEX_START) {
+    if (data[1] === 0x7e && data[3] === 0x06) {
+      if (data[4] === 0x01) return { type: "identityRequest", data };
+      if (data[4] === 0x02) {
+        return {
+          type: "identityReply",
+          manufacturer: toHexId(data.slice(5, 8)),
+          family: toHexId(data.slice(8, 10)),
+          member: toHexId(data.slice(10, 12)),
+          version: data.slice(12, 16).map((b) => String.fromCharCode(b)).join(""),
+          data,
+        };
+      }
+    }
+    if (isPatchDump(data, deviceId)) return { type: "patchDump", patch: parsePatchDump(data), data };
+    const isLine6 = LINE6_MANUFACTURER_ID.every((b, i) => data[i + 1] === b) && data[4] === deviceId;
+    if (isLine6 && data[5] === OPCODE_PATCH_DUMP_REQUEST) {
+      if (data[6] === 0x00) return { type: "patchDumpRequest", target: "program", program: data[7], data };
+      if (data[6] === 0x01) return { type: "patchDumpRequest", target: "editBuffer", program: null, data };
+      if (data[6] === 0x02) return { type: "patchDumpRequest", target: "all", program: null, data };
+    }
+    return { type: "sysex", data };
+  }
+
+  if (status === 0xb0 && data.length >= 3) {
+    return { type: "cc", channel: data[0] & 0x0f, cc: data[1], value: data[2], ...resolveControlChange(data[1], data[2]), data };
+  }
+
+  if (status === 0xc0 && data.length >= 2) {
+    return { type: "programChange", channel: data[0] & 0x0f, program: data[1], data };
+  }
+
+  if (status === 0x90 && data.length >= 3 && data[2] > 0) {
+    return { type: "noteOn", channel: data[0] & 0x0f, note: data[1], velocity: data[2], data };
+  }
+
+  return { type: "unknown", data };
+}
+
+// --- Human-readable message descriptions (MIDI Monitor) ---
+// Name for a CC number: MIDI_CC_MAP first, then the effect-specific CCs from
+// EFFECT_CC_REVERSE_MAP labelled with their effect, e.g. "Rotary Speed"
+function ccName(cc) {
+  const entry = Object.values(MIDI_CC_MAP).find((def) => def.cc === cc);
+  if (entry) return entry.name;
+  if (!EFFECT_CC_REVERSE_MAP[cc]) return null;
+  for (const [category, knobs] of Object.entries(EFFECT_KNOB_CONFIGS)) {
+    const knob = knobs.find((k) => k.cc === cc);
+    if (knob) return `${category[0].toUpperCase()}${category.slice(1)} ${knob.label}`;
+  }
+  return null;
+}
+
+// Structural problems that make a message invalid, or null
+function validateMidiMessage(data) {
+  if (data.length === 0) return "empty message";
+  if (data.some((b) => !Number.isInteger(b) || b < 0 || b > 0xff)) return "bytes must be 0-255";
+  if (data[0] < 0x80) return "missing status byte";
+  if (data[0] === SYSEX_START) {
+    if (data[data.length - 1] !== SYSEX_END) return "SysEx without F7 terminator";
+    if (data.slice(1, -1).some((b) => b > 0x7f)) return "SysEx data byte above 7F";
+    return null;
+  }
+  const status = data[0] & 0xf0;
+  const expected = status === 0xc0 || status === 0xd0 ? 2 : 3;
+  if (data[0] < 0xf0 && data.length !== expected) return `expected ${expected} bytes, got ${data.length}`;
+  if (data.slice(1).some((b) => b > 0x7f)) return "data byte above 7F";
+  return null;
+}
+
+const programLabel = (program) => String(program + 1).padStart(3, "0");
+
+// Decode one raw message for display. Returns { type, summary, error } where
+// type is the parseMidiMessage type and error is null for well-formed messages.
+// deviceId is the connection's SysEx device ID, as for parseMidiMessage.
+function describeMidiMessage(bytes, { deviceId = POCKET_POD_DEVICE_ID } = {}) {
+  const data = Array.from(bytes);
+  const error = validateMidiMessage(data);
+  if (error && (data.length === 0 || data[0] < 0x80)) return { type: "unknown", summary: "Invalid message", error };
+
+  const message = parseMidiMessage(data, { deviceId });
+  const channel = message.channel ? ` (ch ${message.channel + 1})` : "";
+  let summary;
+  switch (message.type) {
+    case "cc": {
+      const name = ccName(message.cc);
+      summary = `CC ${message.cc}${name ? ` ${name}` : ""} = ${message.value}${channel}`;
+      break;
+    }
+    case "programChange":
+      summary = `Program Change \u2192 ${programLabel(message.program)}${channel}`;
+      break;
+    case "noteOn":
+      summary = `Note On ${message.note} vel ${message.velocity}${channel}`;
+      break;
+    case "identityRequest":
+      summary = "Identity Request";
+      break;
+    case "identityReply":
+      summary = `Identity Reply v${message.version}`;
+      break;
+    case "patchDumpRequest":
+      summary = message.target === "editBuffer" ? "Request Edit Buffer"
+        : message.target === "all" ? "Request All Programs"
+        : `Request Program ${programLabel(message.program)}`;
+      break;
+    case "patchDump": {
+      const { patch } = message;
+      if (!patch) return { type: message.type, summary: "Patch Dump (truncated)", error: error || "patch dump too short" };
+      const where = patch.isEditBuffer ? "edit buffer" : `program ${programLabel(patch.presetNumber)}`;
+      summary = `Patch Dump (${where}) '${patch.name}'`;
+      break;
+    }
+    case "sysex":
+      summary = `SysEx (${data.length} bytes)`;
+      break;
+    default:
+      summary = `Unknown (status ${data[0].toString(16).toUpperCase().padStart(2, "0")})`;
+  }
+  return { type: message.type, summary, error };
+}
+
+export {
+  LINE6_MANUFACTURER_ID, POCKET_POD_DEVICE_ID, MIDI_CHANNEL, MIDI_CHANNEL_OMNI,
+  SYSEX_START, SYSEX_END, OPCODE_PATCH_DUMP_REQUEST, OPCODE_PATCH_DUMP,
+  IDENTITY_REQUEST, REQUEST_EDIT_BUFFER, REQUEST_ALL_PRESETS, PRESET_COUNT,
+  buildPresetRequest, buildEditBufferRequest, buildAllPresetsRequest,
+  buildControlChange, buildProgramChange, acceptsChannel, outputChannel,
+  MIDI_CC_MAP, AMP_MODELS, CAB_MODELS, EFFECT_TYPES,
+  EFFECT_CATEGORIES, DELAY_EFFECTS, EFFECT_KNOB_CONFIGS,
+  EFFECT_SPECIFIC_PARAMS, EFFECT_CC_REVERSE_MAP,
+  getEffectCC, formatCompRatio, COMP_RATIO_LABELS,
+  PATCH_PARAM_MAP, PATCH_SELECT_PARAMS,
+  decodeNibbles, decodePatchName, parsePatchDump,
+  encodeNibbles, encodePatchName, buildPatchDump,
+  isPatchDump, splitSysEx, buildBankSysEx, findPatchMismatches,
+  diffParams, formatParamValue,
+  DEFAULT_PARAMS, DEFAULT_TONE_NOTES,
+  serializePatchFile, parsePatchFile, validatePatchParams, PATCH_FILE_FORMAT, PATCH_FILE_VERSION,
+  resolveControlChange, parseMidiMessage,
+  validateMidiMessage, describeMidiMessage,
+};
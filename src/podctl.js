@@ -0,0 +1,270 @@
+// --- podctl ---
+// Offline command-line tool for Pocket POD banks and patches. All file access
+// goes through the `io` object handed to runPodctl, so the commands can be
+// tested without touching the disk; bin/podctl.js wires it to node:fs.
+//
+// The import carries a .js extension so the module loads in plain Node.
+import {
+  PRESET_COUNT, MIDI_CC_MAP, PATCH_PARAM_MAP,
+  splitSysEx, isPatchDump, parsePatchDump, buildBankSysEx, buildPatchDump,
+  diffParams, formatParamValue, validatePatchParams,
+} from "./pocketPodProtocol.js";
+
+// --- JSON bank format ---
+//   {
+//     "format": "pod-studio-bank",
+//     "version": 1,
+//     "presets": [
+//       { "number": 0, "name": "CRUNCH", "params": { ... }, "version": 0, "rawData": "00 01 ..." }
+//     ]
+//   }
+//
+// "number" is the 0-based slot (null for an edit buffer). "version" is the
+// dump's version byte (0 when left out). "rawData" is optional: the 71 decoded
+// patch bytes as hex, so bytes outside PATCH_PARAM_MAP survive a
+// .syx -> JSON -> .syx round trip unchanged.
+const BANK_FILE_FORMAT = "pod-studio-bank";
+const BANK_FILE_VERSION = 1;
+
+const USAGE = `Usage: podctl <command> [args]
+
+Commands:
+  to-json <bank.syx> [-o out.json]   Convert a .syx bank to JSON
+  to-syx <bank.json> [-o out.syx]    Convert a JSON bank back to .syx
+  list <bank>                        List preset names
+  diff <bankA> <bankB>               Show presets that differ (exit 1 when any do)
+  show <bank> [slot]                 Pretty-print one patch (slot is 1-based)
+
+<bank> may be a .syx file or a JSON bank.`;
+
+class PodctlError extends Error {}
+
+const slotLabel = (number) => (number === null ? "EDIT" : String(number + 1).padStart(3, "0"));
+
+// Decoded bytes in one patch dump: 55 param bytes and a 16-character name
+const PATCH_DATA_LENGTH = 71;
+
+const toHex = (bytes) => bytes.map((b) => b.toString(16).padStart(2, "0")).join(" ");
+
+function fromHex(text, where) {
+  const bytes = String(text).trim().split(/\s+/).map((h) => parseInt(h, 16));
+  if (bytes.some((b) => Number.isNaN(b) || b < 0 || b > 0xff)) {
+    throw new PodctlError(`${where}.rawData: not a hex byte string`);
+  }
+  if (bytes.length !== PATCH_DATA_LENGTH) {
+    throw new PodctlError(`${where}.rawData: expected ${PATCH_DATA_LENGTH} bytes, got ${bytes.length}`);
+  }
+  return bytes;
+}
+
+// Presets from a raw .syx stream: [{ number, name, params, rawData, version }].
+// Dumps saved from a unit with any device ID are accepted.
+function bankFromSysEx(bytes) {
+  const presets = splitSysEx(bytes)
+    .filter((message) => isPatchDump(message, message[4]))
+    .map(parsePatchDump)
+    .filter(Boolean)
+    .map((p) => ({
+      number: p.isEditBuffer ? null : p.presetNumber,
+      name: p.name,
+      params: p.params,
+      rawData: p.rawData,
+      version: p.version,
+    }));
+  if (presets.length === 0) throw new PodctlError("no Pocket POD patch dumps found");
+  return presets;
+}
+
+function bankToJson(presets) {
+  return JSON.stringify({
+    format: BANK_FILE_FORMAT,
+    version: BANK_FILE_VERSION,
+    presets: presets.map(({ number, name, params, version = 0, rawData }) => ({
+      number,
+      name,
+      params,
+      version,
+      ...(rawData ? { rawData: toHex(rawData) } : {}),
+    })),
+  }, null, 2) + "\n";
+}
+
+// Parse and validate a JSON bank; any invalid field fails the whole file
+function bankFromJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new PodctlError(`not valid JSON: ${err.message}`);
+  }
+  if (!data || data.format !== BANK_FILE_FORMAT) throw new PodctlError(`not a ${BANK_FILE_FORMAT} file`);
+  if (data.version !== BANK_FILE_VERSION) throw new PodctlError(`unsupported bank file version: ${data.version}`);
+  if (!Array.isArray(data.presets)) throw new PodctlError("presets: must be an array");
+
+  const errors = [];
+  const presets = data.presets.map((preset, i) => {
+    const where = `presets[${i}]`;
+    const { number = null, name = "", params, version = 0, rawData } = preset ?? {};
+    if (number !== null && (!Number.isInteger(number) || number < 0 || number >= PRESET_COUNT)) {
+      errors.push(`${where}.number: ${JSON.stringify(number)} is outside 0-${PRESET_COUNT - 1}`);
+    }
+    if (typeof name !== "string") errors.push(`${where}.name: must be a string`);
+    if (!Number.isInteger(version) || version < 0 || version > 0x7f) {
+      errors.push(`${where}.version: ${JSON.stringify(version)} is outside 0-127`);
+    }
+    const validated = validatePatchParams(params);
+    errors.push(...validated.errors.map((e) => `${where}.${e}`));
+    return {
+      number,
+      name: String(name),
+      params: validated.params,
+      version,
+      rawData: rawData === undefined ? null : fromHex(rawData, where),
+    };
+  });
+  if (errors.length > 0) throw new PodctlError(errors.join("\n"));
+  return presets;
+}
+
+function loadBank(path, io) {
+  let contents;
+  try {
+    contents = io.readFile(path);
+  } catch (err) {
+    throw new PodctlError(`cannot read ${path}: ${err.message}`);
+  }
+  if (path.toLowerCase().endsWith(".json")) return bankFromJson(new TextDecoder().decode(contents));
+  return bankFromSysEx(Array.from(contents));
+}
+
+function bankToSysEx(presets) {
+  const stored = presets.filter((p) => p.number !== null);
+  const editBuffers = presets.filter((p) => p.number === null);
+  return [
+    ...buildBankSysEx(stored),
+    ...editBuffers.flatMap((p) => buildPatchDump(p.params, p.name, { rawData: p.rawData, version: p.version || 0 })),
+  ];
+}
+
+function listBank(presets) {
+  return presets.map((p) => `${slotLabel(p.number)}  ${p.name}`).join("\n");
+}
+
+// Slot-by-slot comparison; presets missing on one side are reported too
+function diffBanks(a, b) {
+  const key = (p) => (p.number === null ? "edit" : p.number);
+  const left = new Map(a.map((p) => [key(p), p]));
+  const right = new Map(b.map((p) => [key(p), p]));
+  const keys = [...new Set([...left.keys(), ...right.keys()])].sort((x, y) => {
+    if (x === "edit") return 1;
+    if (y === "edit") return -1;
+    return x - y;
+  });
+
+  const lines = [];
+  for (const k of keys) {
+    const from = left.get(k);
+    const to = right.get(k);
+    const label = slotLabel(k === "edit" ? null : k);
+    if (!from || !to) {
+      lines.push(`${label}  only in ${from ? "first" : "second"} bank: ${(from || to).name}`);
+      continue;
+    }
+    const changes = diffParams(from.params, to.params).map(({ key: param, from: oldValue, to: newValue }) =>
+      `    ${MIDI_CC_MAP[param]?.name || param}: ${formatParamValue(param, oldValue)} -> ${formatParamValue(param, newValue)}`
+    );
+    if (from.name !== to.name) changes.unshift(`    Name: ${from.name} -> ${to.name}`);
+    if (changes.length > 0) lines.push(`${label}  ${to.name}`, ...changes);
+  }
+  return lines;
+}
+
+function formatPatch(preset) {
+  const params = preset.params;
+  const lines = [
+    `${slotLabel(preset.number)}  ${preset.name}`,
+    `  Amp:    ${formatParamValue("ampModel", params.ampModel)}`,
+    `  Cab:    ${formatParamValue("cabModel", params.cabModel)}`,
+    `  Effect: ${formatParamValue("effect", params.effect)}`,
+    "",
+  ];
+  const shown = new Set(["ampModel", "cabModel", "effect"]);
+  const width = Math.max(...Object.values(MIDI_CC_MAP).map((def) => def.name.length));
+  for (const key of Object.values(PATCH_PARAM_MAP)) {
+    if (shown.has(key) || params[key] === undefined) continue;
+    const label = MIDI_CC_MAP[key]?.name || key;
+    lines.push(`  ${label.padEnd(width)}  ${formatParamValue(key, params[key])}`);
+  }
+  return lines.join("\n");
+}
+
+// Pull "-o <path>" out of the argument list
+function takeOutput(args) {
+  const i = args.indexOf("-o");
+  if (i === -1) return { rest: args, output: null };
+  if (!args[i + 1]) throw new PodctlError("-o needs a file name");
+  return { rest: [...args.slice(0, i), ...args.slice(i + 2)], output: args[i + 1] };
+}
+
+// Run one command. io = { readFile(path) -> Uint8Array, writeFile(path, data), stdout(text), stderr(text) }.
+// Returns the process exit code: 0 ok, 1 differences found (diff), 2 usage or input error.
+function runPodctl(argv, io) {
+  const [command, ...args] = argv;
+  try {
+    const { rest, output } = takeOutput(args);
+    const emit = (data) => (output ? io.writeFile(output, data) : io.stdout(data));
+
+    switch (command) {
+      case "to-json": {
+        if (rest.length !== 1) throw new PodctlError(USAGE);
+        emit(bankToJson(loadBank(rest[0], io)));
+        return 0;
+      }
+      case "to-syx": {
+        if (rest.length !== 1) throw new PodctlError(USAGE);
+        if (!output) throw new PodctlError("to-syx writes binary data; pass -o <file>");
+        emit(Uint8Array.from(bankToSysEx(loadBank(rest[0], io))));
+        return 0;
+      }
+      case "list": {
+        if (rest.length !== 1) throw new PodctlError(USAGE);
+        io.stdout(listBank(loadBank(rest[0], io)));
+        return 0;
+      }
+      case "diff": {
+        if (rest.length !== 2) throw new PodctlError(USAGE);
+        const lines = diffBanks(loadBank(rest[0], io), loadBank(rest[1], io));
+        io.stdout(lines.length > 0 ? lines.join("\n") : "Banks are identical");
+        return lines.length > 0 ? 1 : 0;
+      }
+      case "show": {
+        if (rest.length < 1 || rest.length > 2) throw new PodctlError(USAGE);
+        const presets = loadBank(rest[0], io);
+        let preset = presets[0];
+        if (rest.length === 2) {
+          const slot = Number(rest[1]);
+          preset = presets.find((p) => p.number === slot - 1);
+          if (!preset) throw new PodctlError(`slot ${rest[1]} is not in ${rest[0]}`);
+        }
+        io.stdout(formatPatch(preset));
+        return 0;
+      }
+      case undefined:
+      case "help":
+      case "--help":
+        io.stdout(USAGE);
+        return 0;
+      default:
+        throw new PodctlError(`unknown command: ${command}\n\n${USAGE}`);
+    }
+  } catch (err) {
+    if (!(err instanceof PodctlError)) throw err;
+    io.stderr(`podctl: ${err.message}`);
+    return 2;
+  }
+}
+
+export {
+  runPodctl, bankFromSysEx, bankToJson, bankFromJson, bankToSysEx,
+  listBank, diffBanks, formatPatch, BANK_FILE_FORMAT, BANK_FILE_VERSION,
+};
@@ -1 +1,23 @@
 import '@testing-library/jest-dom';
+
+// jsdom's Blob lacks the promise-based readers; route them through FileReader
+function readBlob(blob, method) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader[method](blob);
+  });
+}
+
+if (!Blob.prototype.arrayBuffer) {
+  Blob.prototype.arrayBuffer = function arrayBuffer() {
+    return readBlob(this, 'readAsArrayBuffer');
+  };
+}
+
+if (!Blob.prototype.text) {
+  Blob.prototype.text = function text() {
+    return readBlob(this, 'readAsText');
+  };
+}
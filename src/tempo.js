@@ -0,0 +1,60 @@
+// --- Tap tempo and note divisions ---
+// Tempo sync for the delay and modulation knobs: a BPM, a note division, and
+// a tap tracker that averages the intervals between recent taps.
+
+const BPM_MIN = 40;
+const BPM_MAX = 300;
+const DEFAULT_BPM = 120;
+
+// Taps further apart than this start a new tempo
+const TAP_RESET_MS = 2000;
+// Intervals averaged for the tapped tempo
+const TAP_HISTORY = 8;
+
+// beats: length in quarter notes
+const NOTE_DIVISIONS = [
+  { id: "1/2", label: "1/2", beats: 2 },
+  { id: "1/4", label: "1/4", beats: 1 },
+  { id: "1/4t", label: "1/4 triplet", beats: 2 / 3 },
+  { id: "1/8d", label: "Dotted 1/8", beats: 3 / 4 },
+  { id: "1/8", label: "1/8", beats: 1 / 2 },
+  { id: "1/8t", label: "1/8 triplet", beats: 1 / 3 },
+  { id: "1/16", label: "1/16", beats: 1 / 4 },
+];
+
+const DEFAULT_DIVISION = "1/4";
+
+function clampBpm(bpm) {
+  return Math.min(BPM_MAX, Math.max(BPM_MIN, bpm));
+}
+
+// Length of one note of the division at the given tempo, in milliseconds
+function divisionMs(bpm, divisionId) {
+  const division = NOTE_DIVISIONS.find((d) => d.id === divisionId) ?? NOTE_DIVISIONS[1];
+  return (60000 / clampBpm(bpm)) * division.beats;
+}
+
+const defaultClock = () => globalThis.performance?.now() ?? Date.now();
+
+// tap() returns the tempo in whole BPM once there are two taps, null before
+function createTapTempo({ now = defaultClock, resetMs = TAP_RESET_MS, history = TAP_HISTORY } = {}) {
+  let taps = [];
+  return {
+    tap() {
+      const time = now();
+      if (taps.length > 0 && time - taps[taps.length - 1] > resetMs) taps = [];
+      taps = [...taps, time].slice(-(history + 1));
+      if (taps.length < 2) return null;
+      const interval = (taps[taps.length - 1] - taps[0]) / (taps.length - 1);
+      return clampBpm(Math.round(60000 / interval));
+    },
+    reset() {
+      taps = [];
+    },
+  };
+}
+
+export {
+  BPM_MIN, BPM_MAX, DEFAULT_BPM, TAP_RESET_MS, NOTE_DIVISIONS, DEFAULT_DIVISION,
+  clampBpm, divisionMs, createTapTempo,
+};